@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "llm_usage" (
+    "id" TEXT NOT NULL,
+    "organization_id" TEXT,
+    "conversation_id" TEXT,
+    "message_id" TEXT,
+    "agent_id" TEXT,
+    "swarm_id" TEXT,
+    "task_id" TEXT,
+    "operation" TEXT NOT NULL DEFAULT 'chat',
+    "provider" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "prompt_tokens" INTEGER NOT NULL DEFAULT 0,
+    "completion_tokens" INTEGER NOT NULL DEFAULT 0,
+    "reasoning_tokens" INTEGER NOT NULL DEFAULT 0,
+    "total_tokens" INTEGER NOT NULL DEFAULT 0,
+    "cost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "latency_ms" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "llm_usage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "llm_usage_organization_id_created_at_idx" ON "llm_usage"("organization_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "llm_usage_conversation_id_idx" ON "llm_usage"("conversation_id");
+
+-- AddForeignKey
+ALTER TABLE "llm_usage" ADD CONSTRAINT "llm_usage_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "llm_usage" ADD CONSTRAINT "llm_usage_conversation_id_fkey" FOREIGN KEY ("conversation_id") REFERENCES "conversations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "llm_usage" ADD CONSTRAINT "llm_usage_message_id_fkey" FOREIGN KEY ("message_id") REFERENCES "messages"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "llm_usage" ADD COLUMN "cached" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "agents" ADD COLUMN "description" TEXT,
+ADD COLUMN "prompt_id" TEXT,
+ADD COLUMN "priority" INTEGER NOT NULL DEFAULT 5;
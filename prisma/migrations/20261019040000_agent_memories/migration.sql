@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "agent_memories" (
+    "id" TEXT NOT NULL,
+    "agent_id" TEXT NOT NULL,
+    "swarm_id" TEXT,
+    "kind" TEXT NOT NULL DEFAULT 'task',
+    "content" TEXT NOT NULL,
+    "embedding" DOUBLE PRECISION[],
+    "embedding_space" TEXT NOT NULL,
+    "importance" DOUBLE PRECISION NOT NULL DEFAULT 0.5,
+    "access_count" INTEGER NOT NULL DEFAULT 0,
+    "metadata" JSONB NOT NULL DEFAULT '{}',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_accessed_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "agent_memories_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "agent_memories_agent_id_idx" ON "agent_memories"("agent_id");
+
+-- AddForeignKey
+ALTER TABLE "agent_memories" ADD CONSTRAINT "agent_memories_agent_id_fkey" FOREIGN KEY ("agent_id") REFERENCES "agents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "agent_messages" (
+    "id" TEXT NOT NULL,
+    "thread_id" TEXT NOT NULL,
+    "from_agent_id" TEXT NOT NULL,
+    "to_agent_id" TEXT NOT NULL,
+    "swarm_id" TEXT,
+    "kind" TEXT NOT NULL DEFAULT 'message',
+    "correlation_id" TEXT,
+    "content" TEXT NOT NULL,
+    "metadata" JSONB NOT NULL DEFAULT '{}',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "read_at" TIMESTAMP(3),
+
+    CONSTRAINT "agent_messages_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "agent_messages_from_agent_id_idx" ON "agent_messages"("from_agent_id");
+
+-- CreateIndex
+CREATE INDEX "agent_messages_to_agent_id_idx" ON "agent_messages"("to_agent_id");
+
+-- CreateIndex
+CREATE INDEX "agent_messages_thread_id_idx" ON "agent_messages"("thread_id");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "agents" ADD COLUMN "max_concurrent_tasks" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN "requests_per_minute" INTEGER;
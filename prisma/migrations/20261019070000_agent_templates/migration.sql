@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "agents" ADD COLUMN "template_id" TEXT,
+ADD COLUMN "system_prompt" TEXT,
+ADD COLUMN "model" TEXT,
+ADD COLUMN "tools" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "agent_templates" (
+    "id" TEXT NOT NULL,
+    "organization_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "type" TEXT NOT NULL DEFAULT 'worker',
+    "role" TEXT NOT NULL DEFAULT 'general',
+    "capabilities" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "system_prompt" TEXT,
+    "model" TEXT,
+    "tools" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "priority" INTEGER NOT NULL DEFAULT 5,
+    "max_concurrent_tasks" INTEGER NOT NULL DEFAULT 1,
+    "requests_per_minute" INTEGER,
+    "tags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "agent_templates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "agent_templates_organization_id_name_key" ON "agent_templates"("organization_id", "name");
+
+-- AddForeignKey
+ALTER TABLE "agent_templates" ADD CONSTRAINT "agent_templates_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
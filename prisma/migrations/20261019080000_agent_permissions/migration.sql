@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "agents" ADD COLUMN "permissions" JSONB;
+
+-- AlterTable
+ALTER TABLE "agent_templates" ADD COLUMN "permissions" JSONB;
+
+-- AlterTable
+ALTER TABLE "activity_logs" ALTER COLUMN "user_id" DROP NOT NULL;
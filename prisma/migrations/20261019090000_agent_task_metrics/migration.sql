@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "agent_task_metrics" (
+    "id" TEXT NOT NULL,
+    "agent_id" TEXT NOT NULL,
+    "template_id" TEXT,
+    "swarm_id" TEXT,
+    "task_id" TEXT NOT NULL,
+    "task_type" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "latency_ms" INTEGER NOT NULL,
+    "llm_requests" INTEGER NOT NULL DEFAULT 0,
+    "prompt_tokens" INTEGER NOT NULL DEFAULT 0,
+    "completion_tokens" INTEGER NOT NULL DEFAULT 0,
+    "cost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "retries" INTEGER NOT NULL DEFAULT 0,
+    "rating" INTEGER,
+    "rating_comment" TEXT,
+    "rated_by" TEXT,
+    "rated_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "agent_task_metrics_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "agent_task_metrics_agent_id_created_at_idx" ON "agent_task_metrics"("agent_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "agent_task_metrics_template_id_created_at_idx" ON "agent_task_metrics"("template_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "agent_task_metrics_task_id_idx" ON "agent_task_metrics"("task_id");
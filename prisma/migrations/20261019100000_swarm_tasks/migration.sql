@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN "parent_task_id" TEXT,
+ADD COLUMN "started_at" TIMESTAMP(3),
+ADD COLUMN "stopped_at" TIMESTAMP(3),
+ADD COLUMN "error" TEXT;
+
+-- CreateIndex
+CREATE INDEX "tasks_status_idx" ON "tasks"("status");
@@ -19,6 +19,20 @@ import {SwarmService} from './services/SwarmService.js';
 import {SwarmEventBus} from './services/SwarmEventBus.js';
 import {LLMService} from './services/LLMService.js';
 import {DatabaseService} from './services/DatabaseService.js';
+import {ToolRegistry} from './services/ToolRegistry.js';
+import {UsageService} from './services/UsageService.js';
+import {BudgetService} from './services/BudgetService.js';
+import {SummaryService} from './services/SummaryService.js';
+import {PromptService,renderTemplate} from './services/PromptService.js';
+import {ResponseCache} from './services/ResponseCache.js';
+import {TaskTypeRegistry} from './services/TaskTypeRegistry.js';
+import {AgentStore} from './services/AgentStore.js';
+import {SwarmStore} from './services/SwarmStore.js';
+import {MemoryService} from './services/MemoryService.js';
+import {AgentInbox} from './services/AgentInbox.js';
+import {AgentTemplateService} from './services/AgentTemplateService.js';
+import {AgentPermissions,normalizePermissions} from './services/AgentPermissions.js';
+import {AgentMetricsService} from './services/AgentMetricsService.js';
 
 dotenv.config();
 
@@ -59,13 +73,27 @@ app.use('/api/',limiter);
 // Initialize services 
 const databaseService = new DatabaseService();
 const eventBus=new SwarmEventBus();
-const swarmService=new SwarmService();
-const llmService=new LLMService();
+const agentStore=new AgentStore(databaseService);
+const agentMetrics=new AgentMetricsService(databaseService);
+const swarmStore=new SwarmStore(databaseService);
+const taskTypeRegistry=new TaskTypeRegistry();
+const swarmService=new SwarmService(agentStore,agentMetrics,swarmStore,taskTypeRegistry);
+const agentPermissions=new AgentPermissions(agentStore,databaseService);
+const toolRegistry=new ToolRegistry(agentPermissions);
+const usageService=new UsageService(databaseService);
+const budgetService=new BudgetService(databaseService,eventBus);
+const promptService=new PromptService(databaseService);
+const responseCache=new ResponseCache();
+const llmService=new LLMService(databaseService,toolRegistry,usageService,budgetService,promptService,responseCache,agentMetrics);
+const summaryService=new SummaryService(databaseService,llmService);
 const astraService=new AstraService();
 const githubService=new GitHubService();
 const sandboxService=new SandboxService();
 const mcpService=new MCPService();
-const agentService=new AgentService(swarmService);
+const memoryService=new MemoryService(databaseService,llmService);
+const agentInbox=new AgentInbox(databaseService);
+const agentTemplateService=new AgentTemplateService(databaseService);
+const agentService=new AgentService(swarmService,llmService,taskTypeRegistry,agentStore,memoryService,sandboxService,agentInbox,agentMetrics,agentPermissions);
 
 // Initialize services in sequence 
 const initializeServices=async ()=> {
@@ -79,21 +107,32 @@ const initializeServices=async ()=> {
       process.exit(1);
     }
 
-    // Check API key 
-    if (!process.env.REQUESTY_API_KEY) {
+    // Check LLM provider configuration 
+    const llmProvider=llmService.defaultProvider;
+    if (llmProvider==='requesty' && !process.env.REQUESTY_API_KEY) {
       console.error('❌ REQUESTY_API_KEY not found in environment variables');
       console.error('💡 Please add your Requesty API key to Railway environment variables');
+    } else if (!llmService.isConfigured()) {
+      console.error(`❌ LLM provider "${llmProvider}" is not configured`);
     } else {
-      const keyPrefix=process.env.REQUESTY_API_KEY.substring(0,10);
-      console.log(`✅ REQUESTY_API_KEY found (${keyPrefix}...)`);
+      console.log(`✅ LLM provider: ${llmProvider}`);
     } 
 
     // Initialize event bus 
     await eventBus.initialize(process.env.REDIS_URL);
     // Initialize swarm service with event bus support 
     await swarmService.initialize(process.env.REDIS_URL);
+    // Share cached LLM responses through Redis when available 
+    await responseCache.initialize(process.env.REDIS_URL);
     // Initialize other services 
     await agentService.initialize();
+    // Recent task metrics the swarm scheduler ranks agents by 
+    const metricRows=await agentMetrics.load();
+    console.log(`📈 Loaded ${metricRows} agent task metrics`);
+    // Swarms and tasks; tasks cut off by the last shutdown are scheduled again 
+    const restored=await swarmService.restore();
+    console.log(`🐝 Restored ${restored.swarms} swarms and ${restored.tasks} tasks (${restored.requeued} re-queued)`);
+    memoryService.start();
     
     // Only initialize Astra if Supabase is disabled and Astra is configured
     if (!databaseService.isSupabaseEnabled && process.env.ASTRA_DB_ID) {
@@ -101,6 +140,15 @@ const initializeServices=async ()=> {
     } 
     
     await mcpService.initialize();
+
+    // Register tools the LLM can call 
+    await toolRegistry.registerMCPTools(mcpService);
+    toolRegistry.registerSandboxTools(sandboxService);
+    toolRegistry.registerGitHubTools(githubService);
+    toolRegistry.registerAgentTools(agentService);
+    toolRegistry.registerMemoryTools(swarmService);
+    console.log(`🛠️ Registered ${toolRegistry.list().length} LLM tools`);
+
     console.log('✅ All services initialized successfully');
   } catch (error) {
     console.error('❌ Service initialization error:',error);
@@ -111,13 +159,21 @@ initializeServices();
 // Cleanup on shutdown
 process.on('SIGINT', async () => {
   console.log('🛑 Shutting down...');
+  memoryService.stop();
+  await agentStore.flush();
+  await swarmStore.flush();
   await databaseService.disconnect();
+  await responseCache.disconnect();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('🛑 Shutting down...');
+  memoryService.stop();
+  await agentStore.flush();
+  await swarmStore.flush();
   await databaseService.disconnect();
+  await responseCache.disconnect();
   process.exit(0);
 });
 
@@ -133,7 +189,8 @@ app.get('/health',async (req,res)=> {
       eventBus: eventBus.isConnected(),
       supabase: databaseService.isSupabaseEnabled,
       astra: !!process.env.ASTRA_DB_ID && !databaseService.isSupabaseEnabled,
-      llm: !!process.env.REQUESTY_API_KEY
+      llm: llmService.isConfigured(),
+      llmProvider: llmService.defaultProvider
     },
     cors: corsOptions.origin
   });
@@ -142,11 +199,14 @@ app.get('/health',async (req,res)=> {
 // Enhanced LLM Test endpoint with Sonnet-4 support 
 app.post('/api/llm/test',async (req,res)=> {
   try {
-    const {message="Hello! Can you respond with 'OK' to confirm the connection works?",model="anthropic/claude-sonnet-4-0"}=req.body;
+    const {message="Hello! Can you respond with 'OK' to confirm the connection works?",provider}=req.body;
+    const llmProvider=llmService.getProvider(provider);
+    const model=req.body.model || llmProvider.defaultModel || llmService.defaultModel;
     console.log('🧪 Testing LLM with message:',message);
-    console.log('🔑 API Key status:',process.env.REQUESTY_API_KEY ? 'Present' : 'Missing');
+    console.log('🔌 Provider:',llmProvider.name,llmProvider.isConfigured() ? '(configured)' : '(not configured)');
     console.log('🤖 Model:',model);
-    const response=await llmService.generateResponse(message,{
+    const completion=await llmService.generateCompletion(message,{
+      provider: llmProvider.name,
       model,
       context: {test: true},
       reasoning_effort: 'low'
@@ -154,8 +214,10 @@ app.post('/api/llm/test',async (req,res)=> {
     console.log('✅ LLM test successful');
     res.json({
       success: true,
-      response,
+      response: completion.content,
+      reasoning: completion.reasoning || null,
       timestamp: new Date().toISOString(),
+      provider: llmProvider.name,
       model
     });
   } catch (error) {
@@ -172,7 +234,7 @@ app.post('/api/llm/test',async (req,res)=> {
 app.post('/api/llm/test-models',async (req,res)=> {
   try {
     console.log('🧪 Testing multiple models...');
-    const results=await llmService.testModels();
+    const results=await llmService.testModels(req.body?.provider);
     res.json({
       success: true,
       results,
@@ -191,7 +253,7 @@ app.post('/api/llm/test-models',async (req,res)=> {
 // LLM Health check endpoint 
 app.get('/api/llm/health',async (req,res)=> {
   try {
-    const healthCheck=await llmService.healthCheck();
+    const healthCheck=await llmService.healthCheck(req.query.provider,{mode: req.query.mode});
     if (healthCheck.status==='healthy') {
       res.json(healthCheck);
     } else {
@@ -206,6 +268,85 @@ app.get('/api/llm/health',async (req,res)=> {
   }
 });
 
+// Structured JSON output validated against a JSON schema 
+const STRUCTURED_MAX_ATTEMPTS=5;
+app.post('/api/llm/structured',async (req,res)=> {
+  try {
+    const {prompt,schema,provider,model,maxAttempts}=req.body;
+    if (!prompt || !schema) {
+      return res.status(400).json({error: 'prompt and schema are required'});
+    }
+    if (typeof schema!=='object' || Array.isArray(schema)) {
+      return res.status(400).json({error: 'schema must be a JSON schema object'});
+    }
+    const result=await llmService.generateStructured(prompt,schema,{
+      provider,
+      model,
+      // Each attempt is a paid completion 
+      maxAttempts: Math.min(Math.max(parseInt(maxAttempts,10) || llmService.maxStructuredAttempts,1),STRUCTURED_MAX_ATTEMPTS),
+      operation: 'structured'
+    });
+    res.json({success: true,result});
+  } catch (error) {
+    console.error('❌ Structured output error:',error);
+    res.status(error.code==='invalid_structured_output' ? 422 : error.code==='budget_exceeded' ? 402 : 500).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      errors: error.errors,
+      output: error.output
+    });
+  }
+});
+
+// Model routing: known models, fallback chains and retry policy 
+app.get('/api/llm/routing',(req,res)=> {
+  res.json({
+    models: llmService.router.models,
+    fallbacks: llmService.router.fallbacks,
+    retry: llmService.router.retry
+  });
+});
+
+// LLM response cache statistics and flush 
+app.get('/api/llm/cache',(req,res)=> {
+  res.json(responseCache.getStats());
+});
+
+app.delete('/api/llm/cache',async (req,res)=> {
+  await responseCache.clear();
+  res.json({success: true});
+});
+
+// Tools available to the LLM 
+app.get('/api/tools',(req,res)=> {
+  res.json(toolRegistry.list());
+});
+
+// LLM usage and cost aggregates 
+app.get('/api/usage',async (req,res)=> {
+  try {
+    const {organizationId,conversationId,agentId,swarmId,bucket='day',from,to}=req.query;
+    const usage=await usageService.getUsage({
+      organizationId: organizationId || (conversationId ? undefined : 'default-org'),
+      conversationId,
+      agentId,
+      swarmId,
+      bucket,
+      from: from ? new Date(from) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+      to: to ? new Date(to) : undefined
+    });
+    res.json(usage);
+  } catch (error) {
+    console.error('Error fetching usage:',error);
+    res.status(error.message.startsWith('Invalid ') ? 400 : 500).json({error: error.message});
+  }
+});
+
+app.get('/api/usage/prices',(req,res)=> {
+  res.json(usageService.listPrices());
+});
+
 // Database API Routes using Railway PostgreSQL
 app.get('/api/organizations',async (req,res)=> {
   try {
@@ -218,6 +359,29 @@ app.get('/api/organizations',async (req,res)=> {
   }
 });
 
+app.get('/api/organizations/:id/budget',async (req,res)=> {
+  try {
+    const status=await budgetService.getStatus(req.params.id);
+    res.json({
+      budgets: await budgetService.getBudgets(req.params.id),
+      status
+    });
+  } catch (error) {
+    console.error('Error fetching budget:',error);
+    res.status(500).json({error: 'Failed to fetch budget'});
+  }
+});
+
+app.put('/api/organizations/:id/budget',async (req,res)=> {
+  try {
+    const budgets=await budgetService.setBudgets(req.params.id,req.body);
+    res.json({budgets});
+  } catch (error) {
+    console.error('Error updating budget:',error);
+    res.status(400).json({error: error.message});
+  }
+});
+
 app.get('/api/conversations',async (req,res)=> {
   try {
     const { organizationId, folderId } = req.query;
@@ -256,6 +420,135 @@ app.get('/api/conversations/:id/messages',async (req,res)=> {
   }
 });
 
+// Rolling conversation summary 
+app.get('/api/conversations/:id/summary',async (req,res)=> {
+  try {
+    const summary = await summaryService.getSummary(req.params.id);
+    res.json({summary});
+  } catch (error) {
+    console.error('Error fetching summary:',error);
+    res.status(404).json({error: error.message});
+  }
+});
+
+app.put('/api/conversations/:id/summary',async (req,res)=> {
+  try {
+    const {content}=req.body;
+    if (typeof content!=='string') {
+      return res.status(400).json({error: 'content must be a string'});
+    }
+    const summary = await summaryService.updateSummary(req.params.id,content);
+    res.json({summary});
+  } catch (error) {
+    console.error('Error updating summary:',error);
+    res.status(400).json({error: error.message});
+  }
+});
+
+app.post('/api/conversations/:id/summary/refresh',async (req,res)=> {
+  try {
+    const updated = await summaryService.maybeSummarize(req.params.id,{force: true});
+    const summary = updated || await summaryService.getSummary(req.params.id);
+    res.json({summary,updated: !!updated});
+  } catch (error) {
+    console.error('Error refreshing summary:',error);
+    res.status(error.code==='budget_exceeded' ? 402 : 500).json({
+      error: error.message,
+      code: error.code,
+      budget: error.budget
+    });
+  }
+});
+
+app.put('/api/conversations/:id/prompt',async (req,res)=> {
+  try {
+    const promptId = await promptService.setConversationPrompt(req.params.id,req.body.promptId);
+    res.json({promptId});
+  } catch (error) {
+    console.error('Error setting conversation prompt:',error);
+    res.status(400).json({error: error.message});
+  }
+});
+
+// Prompt template library 
+app.get('/api/prompts',async (req,res)=> {
+  try {
+    const prompts = await promptService.listPrompts(req.query.organizationId || 'default-org');
+    res.json(prompts);
+  } catch (error) {
+    console.error('Error fetching prompts:',error);
+    res.status(500).json({error: 'Failed to fetch prompts'});
+  }
+});
+
+app.get('/api/prompts/builtin',(req,res)=> {
+  res.json(promptService.listBuiltins());
+});
+
+app.get('/api/prompts/:id',async (req,res)=> {
+  try {
+    const prompt = await promptService.getPrompt(req.params.id);
+    res.json(prompt);
+  } catch (error) {
+    console.error('Error fetching prompt:',error);
+    res.status(404).json({error: error.message});
+  }
+});
+
+app.get('/api/prompts/:id/versions',async (req,res)=> {
+  try {
+    const versions = await promptService.getVersions(req.params.id);
+    res.json(versions);
+  } catch (error) {
+    console.error('Error fetching prompt versions:',error);
+    res.status(500).json({error: 'Failed to fetch prompt versions'});
+  }
+});
+
+app.post('/api/prompts',async (req,res)=> {
+  try {
+    const prompt = await promptService.createPrompt({
+      ...req.body,
+      organizationId: req.body.organizationId || 'default-org'
+    },'default-admin'); // For demo
+    res.json(prompt);
+  } catch (error) {
+    console.error('Error creating prompt:',error);
+    res.status(400).json({error: error.message});
+  }
+});
+
+app.put('/api/prompts/:id',async (req,res)=> {
+  try {
+    const prompt = await promptService.updatePrompt(req.params.id,req.body,'default-admin'); // For demo
+    res.json(prompt);
+  } catch (error) {
+    console.error('Error updating prompt:',error);
+    res.status(400).json({error: error.message});
+  }
+});
+
+app.delete('/api/prompts/:id',async (req,res)=> {
+  try {
+    await promptService.deletePrompt(req.params.id);
+    res.json({success: true});
+  } catch (error) {
+    console.error('Error deleting prompt:',error);
+    res.status(404).json({error: error.message});
+  }
+});
+
+// Preview a template with sample variables 
+app.post('/api/prompts/:id/render',async (req,res)=> {
+  try {
+    const prompt = await promptService.getPrompt(req.params.id);
+    res.json({content: renderTemplate(prompt.content,req.body.variables || {}),version: prompt.version});
+  } catch (error) {
+    console.error('Error rendering prompt:',error);
+    res.status(404).json({error: error.message});
+  }
+});
+
 app.post('/api/messages',async (req,res)=> {
   try {
     const message = await databaseService.createMessage({
@@ -282,7 +575,14 @@ app.get('/api/swarms',async (req,res)=> {
 
 app.post('/api/swarms',async (req,res)=> {
   try {
-    const swarm = await databaseService.createSwarm(req.body);
+    let config;
+    try {
+      config=await parseSwarmConfig(req.body);
+    } catch (error) {
+      return res.status(400).json({error: error.message});
+    }
+    // The scheduler stores it, along with its agents 
+    const swarm=await swarmService.createSwarm(config);
     res.json(swarm);
   } catch (error) {
     console.error('Error creating swarm:',error);
@@ -300,10 +600,24 @@ app.get('/api/swarms/:swarmId/agents',async (req,res)=> {
   }
 });
 
+// A swarm's tasks with their status, assigned agents and results 
+app.get('/api/swarms/:swarmId/tasks',(req,res)=> {
+  res.json(swarmService.getTasks(req.params.swarmId));
+});
+
 app.post('/api/swarms/:swarmId/tasks',async (req,res)=> {
   try {
-    const task = await databaseService.createTask({
-      ...req.body,
+    if (!swarmService.swarms.has(req.params.swarmId)) {
+      return res.status(404).json({error: 'Swarm not found'});
+    }
+    let config;
+    try {
+      config=parseSwarmTask(req.body);
+    } catch (error) {
+      return res.status(400).json({error: error.message,errors: error.errors});
+    }
+    const task=await swarmService.submitTask({
+      ...config,
       swarmId: req.params.swarmId
     });
     res.json(task);
@@ -334,11 +648,163 @@ app.post('/api/projects',async (req,res)=> {
   }
 });
 
-// Agents API 
+// Long-term agent memory: list, or recall by similarity with ?query= 
+app.get('/api/agents/:id/memories',async (req,res)=> {
+  try {
+    const agent=await agentService.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({error: 'Agent not found'});
+    }
+    const {query,limit}=req.query;
+    const memories=query
+      ? await memoryService.recall(agent,query,{limit: parseInt(limit,10) || undefined})
+      : await memoryService.listMemories(agent);
+    res.json(memories);
+  } catch (error) {
+    console.error('Error fetching agent memories:',error);
+    res.status(500).json({error: 'Failed to fetch agent memories'});
+  }
+});
+
+app.post('/api/agents/:id/memories',async (req,res)=> {
+  try {
+    const agent=await agentService.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({error: 'Agent not found'});
+    }
+    const {content,importance}=req.body;
+    if (!content?.trim()) {
+      return res.status(400).json({error: 'Memory content is required'});
+    }
+    const memory=await memoryService.remember(agent,{content: content.trim(),kind: 'note',importance: importance ?? 0.6});
+    const {embedding,...rest}=memory;
+    res.json(rest);
+  } catch (error) {
+    console.error('Error adding agent memory:',error);
+    res.status(500).json({error: 'Failed to add agent memory'});
+  }
+});
+
+app.post('/api/agents/:id/memories/consolidate',async (req,res)=> {
+  try {
+    const agent=await agentService.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({error: 'Agent not found'});
+    }
+    const summary=await memoryService.consolidate(agent);
+    res.json({consolidated: !!summary,summary: summary?.content || null});
+  } catch (error) {
+    console.error('Error consolidating agent memory:',error);
+    res.status(500).json({error: 'Failed to consolidate agent memory'});
+  }
+});
+
+// Agent inbox: the agent's message threads, newest first 
+app.get('/api/agents/:id/messages',async (req,res)=> {
+  try {
+    const agent=await agentService.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({error: 'Agent not found'});
+    }
+    res.json(await agentInbox.threads(agent.id));
+  } catch (error) {
+    console.error('Error fetching agent messages:',error);
+    res.status(500).json({error: 'Failed to fetch agent messages'});
+  }
+});
+
+// Message an agent as the user; requests and messages wake it if it is idle 
+app.post('/api/agents/:id/messages',async (req,res)=> {
+  try {
+    const agent=await agentService.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({error: 'Agent not found'});
+    }
+    const {content,kind='message',threadId}=req.body;
+    if (!content?.trim()) {
+      return res.status(400).json({error: 'Message content is required'});
+    }
+    if (!['message','request'].includes(kind)) {
+      return res.status(400).json({error: 'kind must be message or request'});
+    }
+    const message=await swarmService.sendAgentMessage('user',agent.id,content.trim(),{kind,threadId});
+    res.json(message);
+  } catch (error) {
+    console.error('Error sending agent message:',error);
+    res.status(500).json({error: 'Failed to send agent message'});
+  }
+});
+
+// Task types agents can execute, with the capabilities they require 
+app.get('/api/task-types',(req,res)=> {
+  res.json({
+    taskTypes: taskTypeRegistry.list(),
+    capabilities: taskTypeRegistry.listCapabilities()
+  });
+});
+
+// Concurrency limits and permissions an agent may be created or updated with; undefined fields are left out 
+function parseAgentLimits({maxConcurrentTasks,requestsPerMinute,permissions}) {
+  if (maxConcurrentTasks!==undefined && !(Number.isInteger(maxConcurrentTasks) && maxConcurrentTasks>=1)) {
+    throw new Error('maxConcurrentTasks must be a positive integer');
+  }
+  if (requestsPerMinute!==undefined && requestsPerMinute!==null && !(Number.isInteger(requestsPerMinute) && requestsPerMinute>=1)) {
+    throw new Error('requestsPerMinute must be a positive integer, or null for no limit');
+  }
+  // null goes back to the default permissions 
+  if (permissions!==undefined && permissions!==null) {
+    permissions=normalizePermissions(permissions);
+  }
+  return Object.fromEntries(Object.entries({maxConcurrentTasks,requestsPerMinute,permissions}).filter(([,value])=> value!==undefined));
+}
+
+// Fields an agent listed directly in a new swarm may set 
+const SWARM_AGENT_FIELDS=['name','description','type','role','capabilities','promptId','priority','systemPrompt','model','tools','maxConcurrentTasks','requestsPerMinute'];
+
+// A new swarm from a request: its name, description, owner, shared memory and agents, from a roster of [{templateId,count}] or listed directly 
+async function parseSwarmConfig({name,description,owner,sharedMemory,initialMemory,agents,roster}) {
+  if (agents!==undefined && !Array.isArray(agents)) {
+    throw new Error('agents must be an array');
+  }
+  if (agents?.some(agent=> agent?.permissions!==undefined)) {
+    throw new Error('Agents listed in a swarm cannot set permissions; use a template or update the agent');
+  }
+  const agentConfigs=roster
+    ? await agentTemplateService.rosterConfigs(roster,{swarmName: name})
+    : (agents || []).map(agent=> {
+      const config=Object.fromEntries(SWARM_AGENT_FIELDS.filter(field=> agent?.[field]!==undefined).map(field=> [field,agent[field]]));
+      parseAgentLimits(config);
+      return config;
+    });
+  return {name,description,owner,initialMemory: initialMemory || sharedMemory,agents: agentConfigs};
+}
+
+// A swarm task from a request. Inputs its type declares (code, language, topic, ...) may be given at the top level or in context; 
+// they are kept in context, where the agent running the task reads them, and checked against the type's input schema 
+function parseSwarmTask({type,description,priority,dependencies,deadline,context={},swarmId,...inputs}={}) {
+  // Unregistered types run as generic 
+  const inputType=taskTypeRegistry.has(type) ? type : 'generic';
+  const declared=Object.keys(taskTypeRegistry.get(inputType)?.inputSchema?.properties || {});
+  const unknown=Object.keys(inputs).filter(field=> !declared.includes(field));
+  if (unknown.length>0) {
+    throw new Error(`Unknown fields for a ${type || 'generic'} task: ${unknown.join(', ')}`);
+  }
+  if (typeof context!=='object' || context===null || Array.isArray(context)) {
+    throw new Error('context must be an object');
+  }
+  const taskContext={...context,...inputs};
+  taskTypeRegistry.validateInput(inputType,{...taskContext,type,description});
+  return {type,description,priority,dependencies,deadline,context: taskContext};
+}
+
+// Agents API, each with its running and queued task counts 
 app.get('/api/agents',async (req,res)=> {
   try {
-    const agents = await databaseService.getAgents();
-    res.json(agents);
+    const agents = await agentService.getAgents(req.query.swarmId);
+    res.json(agents.map(agent=> {
+      const {activeTasks,queueDepth}=agentService.getWorkload(agent.id);
+      return {...agent,activeTasks,queueDepth};
+    }));
   } catch (error) {
     console.error('Error fetching agents:',error);
     res.status(500).json({error: 'Failed to fetch agents'});
@@ -347,7 +813,17 @@ app.get('/api/agents',async (req,res)=> {
 
 app.post('/api/agents',async (req,res)=> {
   try {
-    const agent = await databaseService.createAgent(req.body);
+    const {name,description,type,role,capabilities,swarmId,promptId,priority,systemPrompt,model,tools}=req.body;
+    if (!name?.trim()) {
+      return res.status(400).json({error: 'Agent name is required'});
+    }
+    let limits;
+    try {
+      limits=parseAgentLimits(req.body);
+    } catch (error) {
+      return res.status(400).json({error: error.message});
+    }
+    const agent = await agentService.createAgent({name: name.trim(),description,type,role,capabilities,swarmId,promptId,priority,systemPrompt,model,tools,...limits});
     res.json(agent);
   } catch (error) {
     console.error('Error creating agent:',error);
@@ -355,6 +831,198 @@ app.post('/api/agents',async (req,res)=> {
   }
 });
 
+app.put('/api/agents/:id',async (req,res)=> {
+  try {
+    const {name,description,role,capabilities,promptId,priority,systemPrompt,model,tools}=req.body;
+    let limits;
+    try {
+      limits=parseAgentLimits(req.body);
+    } catch (error) {
+      return res.status(400).json({error: error.message});
+    }
+    const updates=Object.fromEntries(Object.entries({name,description,role,capabilities,promptId,priority,systemPrompt,model,tools}).filter(([,value])=> value!==undefined));
+    const agent = await agentService.updateAgent(req.params.id,{...updates,...limits});
+    res.json(agent);
+  } catch (error) {
+    console.error('Error updating agent:',error);
+    res.status(404).json({error: error.message});
+  }
+});
+
+app.delete('/api/agents/:id',async (req,res)=> {
+  try {
+    await agentService.deleteAgent(req.params.id);
+    res.json({success: true});
+  } catch (error) {
+    console.error('Error deleting agent:',error);
+    res.status(404).json({error: error.message});
+  }
+});
+
+// An agent's effective permissions and its recently denied tool calls 
+app.get('/api/agents/:id/permissions',async (req,res)=> {
+  try {
+    const agent=await agentService.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({error: 'Agent not found'});
+    }
+    const denials=await databaseService.getResourceActivity('agent',agent.id,{action: 'permission_denied',limit: parseInt(req.query.limit) || 50});
+    res.json({permissions: agentPermissions.resolve(agent),custom: !!agent.permissions,denials});
+  } catch (error) {
+    console.error('Error fetching agent permissions:',error);
+    res.status(500).json({error: 'Failed to fetch agent permissions'});
+  }
+});
+
+// Performance of an agent: success rates by task type, latency percentiles, cost, retries and ratings 
+app.get('/api/agents/:id/metrics',async (req,res)=> {
+  try {
+    const {from,to,bucket}=req.query;
+    res.json(await agentMetrics.getStats({agentId: req.params.id,from,to,bucket}));
+  } catch (error) {
+    console.error('Error fetching agent metrics:',error);
+    res.status(400).json({error: error.message});
+  }
+});
+
+// What an agent is running and what is queued for it 
+app.get('/api/agents/:id/queue',(req,res)=> {
+  const workload=agentService.getWorkload(req.params.id);
+  if (!workload) {
+    return res.status(404).json({error: 'Agent not found'});
+  }
+  res.json(workload);
+});
+
+// Agent templates API: built-in and organization templates, shared as JSON or YAML 
+app.get('/api/agent-templates',async (req,res)=> {
+  try {
+    const templates=await agentTemplateService.listTemplates(req.query.organizationId || 'default-org');
+    res.json(templates);
+  } catch (error) {
+    console.error('Error fetching agent templates:',error);
+    res.status(500).json({error: 'Failed to fetch agent templates'});
+  }
+});
+
+// Download templates as a file; ?ids= limits the export, ?format=yaml switches from JSON 
+app.get('/api/agent-templates/export',async (req,res)=> {
+  try {
+    const format=req.query.format || 'json';
+    const ids=req.query.ids ? req.query.ids.split(',') : null;
+    const templates=(await agentTemplateService.listTemplates(req.query.organizationId || 'default-org'))
+      .filter(template=> ids ? ids.includes(template.id) : !template.builtin);
+    const content=agentTemplateService.exportTemplates(templates,format);
+    res.setHeader('Content-Type',format==='yaml' ? 'application/yaml' : 'application/json');
+    res.setHeader('Content-Disposition',`attachment; filename="agent-templates.${format==='yaml' ? 'yaml' : 'json'}"`);
+    res.send(content);
+  } catch (error) {
+    console.error('Error exporting agent templates:',error);
+    res.status(400).json({error: error.message});
+  }
+});
+
+app.post('/api/agent-templates/import',async (req,res)=> {
+  try {
+    const {content,format,organizationId='default-org'}=req.body;
+    const result=await agentTemplateService.importTemplates(organizationId,content,{format},'default-admin'); // For demo
+    res.json(result);
+  } catch (error) {
+    console.error('Error importing agent templates:',error);
+    res.status(400).json({error: error.message});
+  }
+});
+
+app.get('/api/agent-templates/:id',async (req,res)=> {
+  try {
+    res.json(await agentTemplateService.getTemplate(req.params.id));
+  } catch (error) {
+    console.error('Error fetching agent template:',error);
+    res.status(404).json({error: error.message});
+  }
+});
+
+app.post('/api/agent-templates',async (req,res)=> {
+  try {
+    const template=await agentTemplateService.createTemplate({
+      ...req.body,
+      organizationId: req.body.organizationId || 'default-org'
+    },'default-admin'); // For demo
+    res.json(template);
+  } catch (error) {
+    console.error('Error creating agent template:',error);
+    res.status(400).json({error: error.message});
+  }
+});
+
+app.put('/api/agent-templates/:id',async (req,res)=> {
+  try {
+    res.json(await agentTemplateService.updateTemplate(req.params.id,req.body));
+  } catch (error) {
+    console.error('Error updating agent template:',error);
+    res.status(400).json({error: error.message});
+  }
+});
+
+app.delete('/api/agent-templates/:id',async (req,res)=> {
+  try {
+    await agentTemplateService.deleteTemplate(req.params.id);
+    res.json({success: true});
+  } catch (error) {
+    console.error('Error deleting agent template:',error);
+    res.status(400).json({error: error.message});
+  }
+});
+
+// Performance of every agent created from a template 
+app.get('/api/agent-templates/:id/metrics',async (req,res)=> {
+  try {
+    const {from,to,bucket}=req.query;
+    res.json(await agentMetrics.getStats({templateId: req.params.id,from,to,bucket}));
+  } catch (error) {
+    console.error('Error fetching template metrics:',error);
+    res.status(400).json({error: error.message});
+  }
+});
+
+// Create an agent from a template; name, description and swarmId override it 
+app.post('/api/agent-templates/:id/agents',async (req,res)=> {
+  try {
+    const template=await agentTemplateService.getTemplate(req.params.id);
+    const {name,description,swarmId}=req.body;
+    const agent=await agentService.createAgent(agentTemplateService.agentConfig(template,{name: name?.trim() || undefined,description,swarmId}));
+    res.json(agent);
+  } catch (error) {
+    console.error('Error creating agent from template:',error);
+    res.status(400).json({error: error.message});
+  }
+});
+
+// Rate the output of a finished agent task from 1 to 10 
+app.post('/api/tasks/:id/rating',async (req,res)=> {
+  try {
+    const {rating,comment}=req.body;
+    res.json(await agentMetrics.rate(req.params.id,Number(rating),{ratedBy: 'user',comment: comment || null}));
+  } catch (error) {
+    console.error('Error rating task:',error);
+    res.status(400).json({error: error.message});
+  }
+});
+
+// Cancel a running agent task, or a swarm task still waiting for an agent 
+app.post('/api/tasks/:id/cancel',async (req,res)=> {
+  try {
+    const cancelled=await agentService.cancelTask(req.params.id,req.body?.reason);
+    if (!cancelled) {
+      return res.status(404).json({error: 'Task is not running or queued'});
+    }
+    res.json({success: true});
+  } catch (error) {
+    console.error('Error cancelling task:',error);
+    res.status(500).json({error: 'Failed to cancel task'});
+  }
+});
+
 // Sandbox API 
 app.post('/api/sandbox/execute',async (req,res)=> {
   try {
@@ -382,9 +1050,9 @@ app.post('/api/github/sync',async (req,res)=> {
 // Artifact generation API with reasoning 
 app.post('/api/artifacts/generate',async (req,res)=> {
   try {
-    const {description,type='code',language='javascript'}=req.body;
+    const {description,type='code',language='javascript',promptId,organizationId,cache}=req.body;
     console.log('🎨 Generating artifact:',{description,type,language});
-    const content=await llmService.generateArtifact(description,type,language);
+    const content=await llmService.generateArtifact(description,type,language,{promptId,organizationId,cache});
     res.json({
       success: true,
       content,
@@ -394,9 +1062,11 @@ app.post('/api/artifacts/generate',async (req,res)=> {
     });
   } catch (error) {
     console.error('❌ Error generating artifact:',error);
-    res.status(500).json({
+    res.status(error.code==='budget_exceeded' ? 402 : 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      code: error.code,
+      budget: error.budget
     });
   }
 });
@@ -407,51 +1077,111 @@ io.on('connection',(socket)=> {
 
   // Handle client message 
   socket.on('message',async (data)=> {
+    const messageId=data.messageId || uuidv4();
     try {
-      const {content,agent,context}=data;
+      const {content,context,provider,promptId,tools=true,stream=false}=data;
+      // The agent is answered as its stored record, so the client cannot pick its swarm or permissions 
+      const agent=data.agent?.id ? agentStore.get(data.agent.id) || null : null;
+      if (data.agent && !agent) {
+        console.warn(`⚠️ Unknown agent ${data.agent.id || data.agent.name} in message; answering without an agent`);
+      }
       console.log('💬 Received message:',{
         content: content.substring(0,100),
-        agent: agent?.name
+        agent: agent?.name,
+        stream
       });
 
-      // Process message through MCP 
-      const mcpResponse=await mcpService.processMessage(content,context);
-
-      // Generate AI response with reasoning 
-      const aiResponse=await llmService.generateResponse(content,{
+      // Generate AI response with reasoning, relaying deltas and tool steps as they happen 
+      const usageRecords=[];
+      let routing=null;
+      const completion=await llmService.generateCompletion(content,{
         agent,
-        context: {...context,mcp: mcpResponse},
-        reasoning_effort: 'medium'
+        provider,
+        promptId,
+        context,
+        reasoning_effort: 'medium',
+        stream,
+        tools: tools ? toolRegistry.getSchemas(Array.isArray(tools) ? tools : null) : undefined,
+        onDelta: ({type,delta})=> {
+          socket.emit('message-delta',{messageId,type,delta});
+        },
+        onToolEvent: ({type,...event})=> {
+          socket.emit(type,{messageId,...event});
+        },
+        onUsage: (record)=> usageRecords.push(record),
+        onModelUsed: (used)=> {
+          routing=used;
+        }
       });
-      console.log('🤖 Generated AI response with reasoning:',aiResponse.substring(0,100));
+      const usage=usageService.summarize(usageRecords);
+      // Reasoning is kept out of the answer and stored in metadata 
+      const aiResponse=completion.content || '';
+      const reasoning=completion.reasoning || null;
+      console.log('🤖 Generated AI response:',aiResponse.substring(0,100),reasoning ? `(+${reasoning.length} chars reasoning)` : '');
 
-      // Store in database
+      // Store in database once the full response is available
+      let userMessage=null;
+      let assistantMessage=null;
       if (context?.conversationId) {
-        await databaseService.createMessage({
+        userMessage=await databaseService.createMessage({
           conversationId: context.conversationId,
           userId: 'default-admin',
           role: 'user',
           content: content
         });
 
-        await databaseService.createMessage({
+        assistantMessage=await databaseService.createMessage({
           conversationId: context.conversationId,
           userId: 'default-admin',
           role: 'assistant',
-          content: aiResponse
+          content: aiResponse,
+          metadata: {
+            usage,
+            reasoning,
+            model: routing?.model,
+            provider: routing?.provider,
+            ...(routing?.fallback && {requestedModel: routing.requestedModel})
+          }
         });
+        await usageService.attachToMessage(usageRecords,assistantMessage.id);
+
+        // Fold older turns into the rolling summary once the history grows too long
+        const conversationId=context.conversationId;
+        summaryService.maybeSummarize(conversationId)
+          .then(summary=> summary && socket.emit('conversation-summary',{conversationId,summary}))
+          .catch(error=> console.error('⚠️ Failed to summarise conversation:',error.message));
       }
 
-      socket.emit('message',{
-        content: aiResponse,
-        agent: agent?.name || 'Claude Sonnet-4',
-        timestamp: new Date()
-      });
+      if (stream) {
+        socket.emit('message-done',{
+          messageId,
+          content: aiResponse,
+          agent: agent?.name || 'Claude Sonnet-4',
+          timestamp: new Date(),
+          userMessage,
+          message: assistantMessage,
+          reasoning,
+          usage,
+          model: routing?.model
+        });
+      } else {
+        socket.emit('message',{
+          content: aiResponse,
+          reasoning,
+          agent: agent?.name || 'Claude Sonnet-4',
+          timestamp: new Date(),
+          usage,
+          model: routing?.model
+        });
+      }
     } catch (error) {
       console.error('❌ Error processing message:',error);
       socket.emit('error',{
+        messageId,
         message: 'Failed to process message',
-        details: error.message
+        details: error.message,
+        code: error.code,
+        budget: error.budget
       });
     }
   });
@@ -490,41 +1220,71 @@ io.on('connection',(socket)=> {
       socket.emit('agent-result',result);
     } catch (error) {
       console.error('❌ Error executing agent task:',error);
-      socket.emit('agent-error',{message: 'Failed to execute agent task'});
+      socket.emit('agent-error',{
+        message: 'Failed to execute agent task',
+        details: error.message,
+        code: error.code,
+        budget: error.budget
+      });
+    }
+  });
+
+  // Cancel an agent task; the swarm bus reports it as task:cancelled 
+  socket.on('cancel-task',async (data)=> {
+    try {
+      const {taskId,reason}=data;
+      const cancelled=await agentService.cancelTask(taskId,reason);
+      if (!cancelled) {
+        socket.emit('task-cancel-error',{taskId,message: 'Task is not running or queued'});
+      }
+    } catch (error) {
+      console.error('❌ Error cancelling task:',error);
+      socket.emit('task-cancel-error',{taskId: data?.taskId,message: 'Failed to cancel task'});
     }
   });
 
   // Handle swarm operations with reasoning 
   socket.on('swarm-create',async (data)=> {
     try {
-      const swarm = await databaseService.createSwarm(data);
+      // The scheduler stores the swarm and creates its agents 
+      const swarm=await swarmService.createSwarm(await parseSwarmConfig(data || {}));
       socket.emit('swarm-created',swarm);
     } catch (error) {
       console.error('❌ Error creating swarm:',error);
-      socket.emit('swarm-error',{message: 'Failed to create swarm'});
+      socket.emit('swarm-error',{message: 'Failed to create swarm',details: error.message});
     }
   });
 
   socket.on('swarm-task',async (data)=> {
     try {
-      const {swarmId,task}=data;
+      const {swarmId}=data;
+
+      if (!swarmService.swarms.has(swarmId)) {
+        throw new Error(`Swarm ${swarmId} not found`);
+      }
+
+      const task=parseSwarmTask(data.task);
 
       // Get AI assistance for task planning with reasoning 
-      const swarm = await databaseService.getSwarm(swarmId);
-      if (swarm) {
-        const aiAnalysis=await llmService.processSwarmTask(task,{
-          role: 'coordinator',
-          capabilities: ['task_distribution','coordination'],
-          swarmId: swarmId
-        });
-        task.aiAnalysis=aiAnalysis;
-      } 
+      // Structured plan: subtasks with capabilities, estimates and dependencies 
+      const plan=await llmService.processSwarmTask(task,{
+        role: 'coordinator',
+        capabilities: ['task_distribution','coordination'],
+        swarmId: swarmId
+      });
+      task.context={...task.context,plan};
 
-      const result = await databaseService.createTask({...task,swarmId});
+      // Stored and scheduled on the swarm's agents 
+      const result=await swarmService.submitTask({...task,swarmId});
       socket.emit('swarm-task-submitted',result);
     } catch (error) {
       console.error('❌ Error submitting swarm task:',error);
-      socket.emit('swarm-error',{message: 'Failed to submit swarm task'});
+      socket.emit('swarm-error',{
+        message: 'Failed to submit swarm task',
+        details: error.message,
+        code: error.code,
+        budget: error.budget
+      });
     }
   });
 
@@ -572,6 +1332,28 @@ eventBus.subscribe('swarm:*',(event)=> {
   io.emit('swarm-event',event);
 });
 
+// Relay task lifecycle events from the swarm bus so SwarmBoard can follow them 
+['task:assigned','task:started','task:updated','task:requeued','task:completed','task:failed','task:cancelled','task:timed_out'].forEach((type)=> {
+  swarmService.subscribeToEvent(type,(data)=> {
+    io.emit('swarm-event',{...data,type,timestamp: new Date().toISOString()});
+  });
+});
+
+// Relay agent messages so open inbox threads update live 
+swarmService.subscribeToEvent('agent:message',(message)=> {
+  io.emit('agent-message',message);
+});
+
+// Relay running and queued task counts for the agent cards 
+swarmService.subscribeToEvent('agent:workload',(workload)=> {
+  io.emit('agent-workload',workload);
+});
+
+// Warn every client when an organization crosses a soft budget limit 
+eventBus.subscribe('budget:warning',(event)=> {
+  io.emit('budget-warning',event);
+});
+
 // Serve static files from the React app build directory
 app.use(express.static(path.join(__dirname, '../dist')));
 
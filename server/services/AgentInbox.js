@@ -0,0 +1,160 @@
+const MAX_CACHED_MESSAGES = 200;
+const DEFAULT_REQUEST_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * AgentInbox - Messages between agents, grouped into threads
+ *
+ * Every agent has an inbox of the messages it sent and received. A message
+ * is a plain "message", a "request" that expects an answer, or a "response"
+ * whose correlationId is the id of the request it answers; replies keep the
+ * threadId of the message they answer. Unread messages are handed to the
+ * agent with its next task; waitForResponse() lets an agent block on a
+ * request mid-task until the peer answers or the wait times out.
+ *
+ * Messages are written to the database when there is one; each agent's
+ * newest MAX_CACHED_MESSAGES are cached.
+ */
+export class AgentInbox {
+  constructor(databaseService = null) {
+    this.databaseService = databaseService;
+    this.requestTimeoutMs = parseInt(process.env.AGENT_REQUEST_TIMEOUT_MS, 10) || DEFAULT_REQUEST_TIMEOUT_MS;
+    // agentId -> messages it sent or received, oldest first
+    this.mailboxes = new Map();
+    // request id -> { resolve, reject } of the agent waiting for the response
+    this.pending = new Map();
+  }
+
+  async getMailbox(agentId) {
+    let mailbox = this.mailboxes.get(agentId);
+    if (!mailbox) {
+      const records = this.databaseService ? await this.databaseService.getAgentMessages(agentId, MAX_CACHED_MESSAGES) : [];
+      // A message delivered while the records loaded is already cached
+      mailbox = this.mailboxes.get(agentId) || records.map(record => ({
+        ...record,
+        createdAt: new Date(record.createdAt).toISOString(),
+        readAt: record.readAt ? new Date(record.readAt).toISOString() : null
+      }));
+      this.mailboxes.set(agentId, mailbox);
+    }
+    return mailbox;
+  }
+
+  /**
+   * Store a message in the sender's and the recipient's mailboxes. A response
+   * settles the request it answers, if its sender is still waiting.
+   */
+  async deliver(message) {
+    const stored = {
+      swarmId: null,
+      kind: 'message',
+      correlationId: null,
+      metadata: {},
+      readAt: null,
+      ...message,
+      threadId: message.threadId || message.id,
+      content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+    };
+
+    if (this.databaseService) {
+      await this.databaseService.createAgentMessage(stored);
+    }
+    for (const agentId of new Set([stored.from, stored.to])) {
+      const mailbox = await this.getMailbox(agentId);
+      mailbox.push(stored);
+      if (mailbox.length > MAX_CACHED_MESSAGES) {
+        mailbox.splice(0, mailbox.length - MAX_CACHED_MESSAGES);
+      }
+    }
+
+    const waiting = stored.kind === 'response' && this.pending.get(stored.correlationId);
+    if (waiting) {
+      await this.markRead(stored.to, [stored.id]);
+      waiting.resolve(stored);
+    }
+    return stored;
+  }
+
+  async unread(agentId) {
+    const mailbox = await this.getMailbox(agentId);
+    return mailbox.filter(message => message.to === agentId && !message.readAt);
+  }
+
+  async markRead(agentId, ids) {
+    if (ids.length === 0) return;
+    const readAt = new Date().toISOString();
+    const mailbox = await this.getMailbox(agentId);
+    for (const message of mailbox) {
+      if (ids.includes(message.id) && !message.readAt) {
+        message.readAt = readAt;
+      }
+    }
+    if (this.databaseService) {
+      await this.databaseService.markAgentMessagesRead(ids, new Date(readAt));
+    }
+  }
+
+  /**
+   * The agent's threads, most recently active first
+   */
+  async threads(agentId) {
+    const byThread = new Map();
+    for (const message of await this.getMailbox(agentId)) {
+      if (!byThread.has(message.threadId)) {
+        byThread.set(message.threadId, []);
+      }
+      byThread.get(message.threadId).push(message);
+    }
+
+    return Array.from(byThread.entries())
+      .map(([threadId, messages]) => ({
+        threadId,
+        participants: Array.from(new Set(messages.flatMap(message => [message.from, message.to]))),
+        unread: messages.filter(message => message.to === agentId && !message.readAt).length,
+        lastMessageAt: messages[messages.length - 1].createdAt,
+        messages
+      }))
+      .sort((a, b) => new Date(b.lastMessageAt) - new Date(a.lastMessageAt));
+  }
+
+  /**
+   * Resolve with the response to a request its sender made. Rejects after
+   * timeoutMs, or with the signal's reason when the waiting task is stopped.
+   */
+  async waitForResponse(request, { timeoutMs = this.requestTimeoutMs, signal } = {}) {
+    const requestId = request.id;
+    const answered = (await this.getMailbox(request.from))
+      .find(message => message.kind === 'response' && message.correlationId === requestId);
+    if (answered) {
+      await this.markRead(request.from, [answered.id]);
+      return answered;
+    }
+
+    return new Promise((resolve, reject) => {
+      const settle = (callback) => (value) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.pending.delete(requestId);
+        callback(value);
+      };
+      const onAbort = () => settle(reject)(signal.reason);
+      const timer = setTimeout(() => {
+        settle(reject)(new Error(`No response to request ${requestId} within ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      this.pending.set(requestId, { resolve: settle(resolve), reject: settle(reject) });
+      if (signal?.aborted) {
+        onAbort();
+      } else {
+        signal?.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  // Forget a deleted agent's messages
+  async dropAgent(agentId) {
+    this.mailboxes.delete(agentId);
+    if (this.databaseService) {
+      await this.databaseService.deleteAgentMessages(agentId);
+    }
+  }
+}
@@ -0,0 +1,243 @@
+const RECENT_TASKS = 50;
+const PRIOR_TASKS = 5;
+const DEFAULT_WINDOW_DAYS = 30;
+const MAX_ROWS = 5000;
+const RECENT_SHOWN = 20;
+const BUCKETS = ['hour', 'day', 'week'];
+
+// Value at quantile q of sorted numbers, by nearest rank
+function percentile(sorted, q) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(q * sorted.length) - 1)];
+}
+
+const round = (value, digits = 4) => (value === null ? null : Number(value.toFixed(digits)));
+
+/**
+ * How well a finished task went, from 0 to 1: a failure is 0, a success 1
+ * unless a review rated its output lower. Cancelled tasks say nothing.
+ */
+function taskScore({ status, rating }) {
+  if (status === 'cancelled') return null;
+  if (status !== 'completed') return 0;
+  return rating ? (rating - 1) / 9 : 1;
+}
+
+/**
+ * AgentMetricsService - Per-task performance history of agents and templates
+ *
+ * Every task an agent finishes leaves one row in agent_task_metrics: its
+ * type, outcome, latency, the tokens and cost of its LLM requests, retried
+ * requests and, once someone reviews the output, a rating from 1 to 10.
+ * LLMService reports requests and retries for the task they belong to while
+ * it runs. getStats() aggregates rows per agent or template into success
+ * rates by task type, p50/p95 latency and cost, overall and per time bucket.
+ *
+ * The newest RECENT_TASKS rows of each agent stay cached for score(), which
+ * the swarm scheduler uses to prefer agents that do well on a task type.
+ */
+export class AgentMetricsService {
+  constructor(databaseService = null) {
+    this.databaseService = databaseService;
+    // taskId -> LLM requests, tokens, cost and retries of a running task
+    this.running = new Map();
+    // agentId -> its newest metric rows, oldest first
+    this.recent = new Map();
+  }
+
+  async load() {
+    if (!this.databaseService) return 0;
+    try {
+      const since = new Date(Date.now() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+      const rows = await this.databaseService.getAgentTaskMetrics({ since, limit: MAX_ROWS });
+      for (const row of rows.reverse()) {
+        this.remember(row);
+      }
+      return rows.length;
+    } catch (error) {
+      console.error('⚠️ Failed to load agent metrics:', error.message);
+      return 0;
+    }
+  }
+
+  remember(row) {
+    const rows = this.recent.get(row.agentId) || [];
+    rows.push(row);
+    this.recent.set(row.agentId, rows.slice(-RECENT_TASKS));
+  }
+
+  begin(taskId) {
+    this.running.set(taskId, { llmRequests: 0, promptTokens: 0, completionTokens: 0, cost: 0, retries: 0 });
+  }
+
+  // One LLM request of a task, from its usage record, and the failed attempts before it
+  recordRequest(taskId, usage, attempts = 1) {
+    const tally = this.running.get(taskId);
+    if (!tally) return;
+    tally.llmRequests++;
+    tally.promptTokens += usage?.promptTokens || 0;
+    tally.completionTokens += usage?.completionTokens || 0;
+    tally.cost += usage?.cost || 0;
+    tally.retries += Math.max(0, attempts - 1);
+  }
+
+  // A request repeated because its output was unusable, e.g. invalid JSON
+  recordRetry(taskId) {
+    const tally = this.running.get(taskId);
+    if (tally) tally.retries++;
+  }
+
+  /**
+   * Store the metrics of a finished task. status is completed, failed,
+   * cancelled or timed_out. Never throws; a failed write is logged.
+   */
+  async finish(agent, task, { taskId, status, latencyMs }) {
+    const tally = this.running.get(taskId) || { llmRequests: 0, promptTokens: 0, completionTokens: 0, cost: 0, retries: 0 };
+    this.running.delete(taskId);
+
+    const row = {
+      agentId: agent.id,
+      templateId: agent.templateId || null,
+      swarmId: agent.swarmId || null,
+      taskId: task.swarmTaskId || taskId,
+      taskType: task.type || 'generic',
+      status,
+      latencyMs: Math.round(latencyMs),
+      ...tally,
+      cost: round(tally.cost, 6),
+      rating: null,
+      createdAt: new Date().toISOString()
+    };
+    this.remember(row);
+
+    if (this.databaseService) {
+      try {
+        Object.assign(row, await this.databaseService.createAgentTaskMetric(row));
+      } catch (error) {
+        console.error(`⚠️ Failed to store metrics of task ${row.taskId}:`, error.message);
+      }
+    }
+    return row;
+  }
+
+  /**
+   * Rate the output of a finished task from 1 to 10. ratedBy is "user" or
+   * the id of the reviewing agent.
+   */
+  async rate(taskId, rating, { ratedBy = 'user', comment = null } = {}) {
+    if (!Number.isFinite(rating) || rating < 1 || rating > 10) {
+      throw new Error('rating must be a number from 1 to 10');
+    }
+    const update = { rating: Math.round(rating), ratedBy, ratingComment: comment, ratedAt: new Date().toISOString() };
+
+    let found = false;
+    for (const rows of this.recent.values()) {
+      for (const row of rows.filter(entry => entry.taskId === taskId)) {
+        Object.assign(row, update);
+        found = true;
+      }
+    }
+    if (this.databaseService) {
+      found = (await this.databaseService.rateAgentTaskMetrics(taskId, update)).count > 0 || found;
+    }
+    if (!found) {
+      throw new Error(`No finished task ${taskId} to rate`);
+    }
+    console.log(`⭐ Task ${taskId} rated ${update.rating}/10 by ${ratedBy}`);
+    return update;
+  }
+
+  summarize(rows) {
+    const counts = { completed: 0, failed: 0, cancelled: 0, timed_out: 0 };
+    for (const row of rows) {
+      counts[row.status] = (counts[row.status] || 0) + 1;
+    }
+    const finished = counts.completed + counts.failed + counts.timed_out;
+    const latencies = rows.filter(row => row.status !== 'cancelled').map(row => row.latencyMs).sort((a, b) => a - b);
+    const ratings = rows.filter(row => row.rating).map(row => row.rating);
+    const totalCost = rows.reduce((total, row) => total + (row.cost || 0), 0);
+    const retries = rows.reduce((total, row) => total + (row.retries || 0), 0);
+    const tokens = rows.reduce((total, row) => total + (row.promptTokens || 0) + (row.completionTokens || 0), 0);
+
+    return {
+      tasks: rows.length,
+      completed: counts.completed,
+      failed: counts.failed,
+      timedOut: counts.timed_out,
+      cancelled: counts.cancelled,
+      successRate: finished > 0 ? round(counts.completed / finished) : null,
+      p50LatencyMs: percentile(latencies, 0.5),
+      p95LatencyMs: percentile(latencies, 0.95),
+      totalCost: round(totalCost, 6),
+      costPerTask: rows.length > 0 ? round(totalCost / rows.length, 6) : null,
+      tokensPerTask: rows.length > 0 ? Math.round(tokens / rows.length) : null,
+      retries,
+      retriesPerTask: rows.length > 0 ? round(retries / rows.length, 2) : null,
+      ratings: ratings.length,
+      averageRating: ratings.length > 0 ? round(ratings.reduce((a, b) => a + b, 0) / ratings.length, 2) : null
+    };
+  }
+
+  bucketStart(date, bucket) {
+    const start = new Date(date);
+    start.setUTCMinutes(0, 0, 0);
+    if (bucket !== 'hour') start.setUTCHours(0);
+    if (bucket === 'week') start.setUTCDate(start.getUTCDate() - start.getUTCDay());
+    return start.toISOString();
+  }
+
+  /**
+   * Aggregate metrics of an agent, a template or a swarm since `from`
+   * (default 30 days ago): totals, one summary per task type, one per
+   * time bucket, oldest first, and the newest tasks themselves.
+   */
+  async getStats({ agentId, templateId, swarmId, from, to, bucket = 'day' } = {}) {
+    if (!BUCKETS.includes(bucket)) {
+      throw new Error(`bucket must be one of ${BUCKETS.join(', ')}`);
+    }
+    const since = from ? new Date(from) : new Date(Date.now() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const until = to ? new Date(to) : null;
+    const rows = this.databaseService
+      ? await this.databaseService.getAgentTaskMetrics({ agentId, templateId, swarmId, since, until, limit: MAX_ROWS })
+      : Array.from(this.recent.values()).flat().filter(row =>
+        (!agentId || row.agentId === agentId) &&
+        (!templateId || row.templateId === templateId) &&
+        (!swarmId || row.swarmId === swarmId) &&
+        new Date(row.createdAt) >= since && (!until || new Date(row.createdAt) <= until));
+
+    const group = (keyFn) => {
+      const groups = new Map();
+      for (const row of rows) {
+        const key = keyFn(row);
+        groups.set(key, [...(groups.get(key) || []), row]);
+      }
+      return groups;
+    };
+
+    return {
+      from: since.toISOString(),
+      to: until ? until.toISOString() : null,
+      bucket,
+      totals: this.summarize(rows),
+      byType: Array.from(group(row => row.taskType), ([taskType, entries]) => ({ taskType, ...this.summarize(entries) }))
+        .sort((a, b) => b.tasks - a.tasks),
+      series: Array.from(group(row => this.bucketStart(row.createdAt, bucket)), ([start, entries]) => ({ start, ...this.summarize(entries) }))
+        .sort((a, b) => a.start.localeCompare(b.start)),
+      recent: [...rows]
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, RECENT_SHOWN)
+    };
+  }
+
+  /**
+   * How well the agent has done lately, from 0 to 1: the average score of
+   * its recent tasks of this type (all types when it has none), pulled
+   * towards 0.5 while there are few of them.
+   */
+  score(agentId, taskType = null) {
+    const rows = this.recent.get(agentId) || [];
+    const ofType = taskType ? rows.filter(row => row.taskType === taskType) : [];
+    const scores = (ofType.length > 0 ? ofType : rows).map(taskScore).filter(value => value !== null);
+    return (scores.reduce((a, b) => a + b, 0) + PRIOR_TASKS * 0.5) / (scores.length + PRIOR_TASKS);
+  }
+}
@@ -0,0 +1,195 @@
+const SANDBOX_LANGUAGES = ['javascript', 'python', 'bash'];
+const LANGUAGE_ALIASES = { js: 'javascript', py: 'python', sh: 'bash' };
+
+/**
+ * What an agent may do when it has no permissions of its own: run code
+ * offline, read any repository but write none, call every MCP tool and read
+ * and write all of its swarm's shared memory.
+ */
+export const DEFAULT_PERMISSIONS = Object.freeze({
+  sandbox: { languages: SANDBOX_LANGUAGES, network: false },
+  github: { read: ['*'], write: [] },
+  mcp: { tools: ['*'] },
+  memory: { read: ['*'], write: ['*'] }
+});
+
+// What an agent the store does not know may do: nothing
+export const NO_PERMISSIONS = Object.freeze({
+  sandbox: { languages: [], network: false },
+  github: { read: [], write: [] },
+  mcp: { tools: [] },
+  memory: { read: [], write: [] }
+});
+
+export class PermissionDeniedError extends Error {
+  constructor(tool, reason) {
+    super(`Permission denied for ${tool}: ${reason}`);
+    this.name = 'PermissionDeniedError';
+    this.code = 'permission_denied';
+    this.tool = tool;
+    this.reason = reason;
+  }
+}
+
+// "owner/*" or "notes.*" -> RegExp; * matches any run of characters
+function patternRegExp(pattern) {
+  return new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+}
+
+export function matchesPattern(patterns, value) {
+  return patterns.some(pattern => patternRegExp(pattern).test(value));
+}
+
+function patternList(value, label) {
+  if (!Array.isArray(value) || !value.every(entry => typeof entry === 'string' && entry.trim())) {
+    throw new Error(`permissions.${label} must be a list of names or patterns`);
+  }
+  return value.map(entry => entry.trim());
+}
+
+/**
+ * Validate permissions and fill in what they leave out from the defaults.
+ * null or undefined means the defaults.
+ */
+export function normalizePermissions(permissions) {
+  if (permissions === null || permissions === undefined) {
+    return structuredClone(DEFAULT_PERMISSIONS);
+  }
+  if (typeof permissions !== 'object' || Array.isArray(permissions)) {
+    throw new Error('permissions must be an object');
+  }
+  const unknown = Object.keys(permissions).filter(section => !(section in DEFAULT_PERMISSIONS));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+
+  const { sandbox = {}, github = {}, mcp = {}, memory = {} } = permissions;
+  const languages = sandbox.languages === undefined
+    ? DEFAULT_PERMISSIONS.sandbox.languages
+    : patternList(sandbox.languages, 'sandbox.languages').map(language => LANGUAGE_ALIASES[language.toLowerCase()] || language.toLowerCase());
+  const unsupported = languages.filter(language => !SANDBOX_LANGUAGES.includes(language));
+  if (unsupported.length > 0) {
+    throw new Error(`permissions.sandbox.languages: unsupported ${unsupported.join(', ')}; expected ${SANDBOX_LANGUAGES.join(', ')}`);
+  }
+  if (sandbox.network !== undefined && typeof sandbox.network !== 'boolean') {
+    throw new Error('permissions.sandbox.network must be true or false');
+  }
+
+  return {
+    sandbox: { languages, network: sandbox.network ?? DEFAULT_PERMISSIONS.sandbox.network },
+    github: {
+      read: github.read === undefined ? DEFAULT_PERMISSIONS.github.read : patternList(github.read, 'github.read'),
+      write: github.write === undefined ? DEFAULT_PERMISSIONS.github.write : patternList(github.write, 'github.write')
+    },
+    mcp: { tools: mcp.tools === undefined ? DEFAULT_PERMISSIONS.mcp.tools : patternList(mcp.tools, 'mcp.tools') },
+    memory: {
+      read: memory.read === undefined ? DEFAULT_PERMISSIONS.memory.read : patternList(memory.read, 'memory.read'),
+      write: memory.write === undefined ? DEFAULT_PERMISSIONS.memory.write : patternList(memory.write, 'memory.write')
+    }
+  };
+}
+
+/**
+ * Why permissions do not allow a tool's request, or null when they do.
+ * Requests come from a tool's permission(args):
+ *   { kind: 'sandbox', language, network }
+ *   { kind: 'github', access: 'read' | 'write', repo: 'owner/name' }
+ *   { kind: 'mcp', tool }
+ *   { kind: 'memory', access: 'read' | 'write', keys }
+ */
+export function checkPermission(permissions, request) {
+  switch (request.kind) {
+    case 'sandbox': {
+      const language = LANGUAGE_ALIASES[request.language?.toLowerCase()] || request.language?.toLowerCase();
+      if (!permissions.sandbox.languages.includes(language)) {
+        return `may not run ${request.language || 'code'} in the sandbox`;
+      }
+      if (request.network && !permissions.sandbox.network) {
+        return 'may not use the network in the sandbox';
+      }
+      return null;
+    }
+    case 'github':
+      return matchesPattern(permissions.github[request.access] || [], request.repo)
+        ? null
+        : `may not ${request.access} GitHub repository ${request.repo}`;
+    case 'mcp':
+      return matchesPattern(permissions.mcp.tools, request.tool) ? null : `may not call MCP tool ${request.tool}`;
+    case 'memory': {
+      const denied = request.keys.filter(key => !matchesPattern(permissions.memory[request.access] || [], key));
+      return denied.length > 0 ? `may not ${request.access} shared memory ${denied.join(', ')}` : null;
+    }
+    default:
+      return `unknown permission ${request.kind}`;
+  }
+}
+
+/**
+ * AgentPermissions - Enforces what agents may do through their tools
+ *
+ * ToolRegistry asks authorize() before running any tool. The agent's
+ * permissions come from the agent store, not from the caller, so a tool
+ * context cannot grant itself more; calls made for no agent, such as tools
+ * in plain chat, get the defaults and an agent the store does not know gets
+ * none. Denied calls are logged to the activity log of the task's
+ * organization.
+ */
+export class AgentPermissions {
+  constructor(agentStore = null, databaseService = null) {
+    this.agentStore = agentStore;
+    this.databaseService = databaseService;
+  }
+
+  // The stored record of an agent, or null when the store does not know it
+  lookup(agent) {
+    if (!agent) return null;
+    return this.agentStore ? this.agentStore.get(agent.id) || null : agent;
+  }
+
+  // No agent gets the defaults, an unknown one nothing
+  resolve(agent) {
+    if (!agent) return normalizePermissions(null);
+    const source = this.lookup(agent);
+    return source ? normalizePermissions(source.permissions) : structuredClone(NO_PERMISSIONS);
+  }
+
+  /**
+   * Resolve the agent's permissions and check the tool's request against
+   * them. Returns the permissions, which tools use to limit what they do
+   * (e.g. sandbox network); throws PermissionDeniedError when denied.
+   */
+  async authorize(tool, args, { agent, context } = {}) {
+    const request = tool.permission?.(args);
+    return request
+      ? this.authorizeRequest(tool.name, request, { agent, context })
+      : this.resolve(agent);
+  }
+
+  /**
+   * Check a request an agent task makes without going through a tool, e.g.
+   * code a debugging or testing task runs in the sandbox itself. name says
+   * what is asking, for the error and the activity log.
+   */
+  async authorizeRequest(name, request, { agent, context } = {}) {
+    const permissions = this.resolve(agent);
+    const reason = checkPermission(permissions, request);
+    if (reason) {
+      await this.logDenial(agent, name, request, reason, context);
+      throw new PermissionDeniedError(name, `${agent ? `agent ${agent.name || agent.id}` : 'this request'} ${reason}`);
+    }
+    return permissions;
+  }
+
+  // Denials outside agent tasks are logged against the conversation, if any
+  async logDenial(agent, toolName, request, reason, context = {}) {
+    console.warn(`🚫 ${agent ? `Agent ${agent.name || agent.id}` : 'Request without an agent'} denied ${toolName}: ${reason}`);
+    await this.databaseService?.logActivity(
+      context?.organizationId || 'default-org',
+      null,
+      'permission_denied',
+      agent ? 'agent' : 'conversation',
+      agent ? agent.id : context?.conversationId || null,
+      { tool: toolName, request, reason, taskId: context?.taskId || null, swarmId: agent?.swarmId || null }
+    );
+  }
+}
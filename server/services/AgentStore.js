@@ -0,0 +1,184 @@
+// Agent fields stored in the agents table; anything else lives in the cache only
+const PERSISTED_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'role',
+  'capabilities',
+  'status',
+  'swarmId',
+  'promptId',
+  'templateId',
+  'systemPrompt',
+  'model',
+  'tools',
+  'permissions',
+  'priority',
+  'maxConcurrentTasks',
+  'requestsPerMinute',
+  'tasksCompleted',
+  'averageResponseTime',
+  'memory',
+  'context',
+  'currentTask',
+  'createdAt',
+  'lastActive'
+];
+
+function toISOString(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * AgentStore - Write-through cache of agents backed by the agents table
+ *
+ * AgentService and SwarmService share one store, so both see the same agent
+ * object and every change to its status, stats or memory is written to the
+ * database. Reads come from the cache, which load() fills at startup. Writes
+ * for the same agent are applied in order; a failed write is logged and the
+ * cached agent stays usable. Without a database the store is memory only.
+ *
+ * The store also tracks which tasks hold each agent's slots, so the swarm
+ * scheduler and AgentService agree on who has room for another task. An
+ * agent runs up to maxConcurrentTasks at once. Slots are not persisted.
+ */
+export class AgentStore {
+  constructor(databaseService = null) {
+    this.databaseService = databaseService;
+    this.agents = new Map();
+    this.pendingWrites = new Map();
+    // agentId -> ids of the tasks holding its slots
+    this.slots = new Map();
+  }
+
+  /**
+   * Fill the cache from the database. Agents that were busy when the
+   * process stopped lost their task, so they come back idle.
+   */
+  async load() {
+    if (!this.databaseService) return 0;
+
+    const records = await this.databaseService.getAgents();
+    for (const { swarm, ...record } of records) {
+      const agent = {
+        ...record,
+        createdAt: toISOString(record.createdAt),
+        lastActive: toISOString(record.lastActive),
+        memory: Array.isArray(record.memory) ? record.memory : [],
+        context: record.context || {}
+      };
+      this.agents.set(agent.id, agent);
+
+      if (agent.status === 'busy') {
+        agent.status = 'idle';
+        agent.currentTask = null;
+        await this.save(agent);
+      }
+    }
+    return records.length;
+  }
+
+  get(id) {
+    return this.agents.get(id);
+  }
+
+  has(id) {
+    return this.agents.has(id);
+  }
+
+  values() {
+    return this.agents.values();
+  }
+
+  list(swarmId = null) {
+    const agents = Array.from(this.agents.values());
+    return swarmId ? agents.filter(agent => agent.swarmId === swarmId) : agents;
+  }
+
+  // Tasks the agent is running or has been assigned
+  workload(agentId) {
+    return this.slots.get(agentId)?.size || 0;
+  }
+
+  hasCapacity(agent) {
+    return this.workload(agent.id) < (agent.maxConcurrentTasks || 1);
+  }
+
+  holdsSlot(agentId, taskId) {
+    return this.slots.get(agentId)?.has(taskId) || false;
+  }
+
+  claimSlot(agentId, taskId) {
+    if (!this.slots.has(agentId)) {
+      this.slots.set(agentId, new Set());
+    }
+    this.slots.get(agentId).add(taskId);
+  }
+
+  /**
+   * Free the task's slot; releasing twice is harmless. Returns how many
+   * tasks the agent still holds.
+   */
+  releaseSlot(agentId, taskId) {
+    const held = this.slots.get(agentId);
+    held?.delete(taskId);
+    if (held?.size === 0) {
+      this.slots.delete(agentId);
+    }
+    return this.workload(agentId);
+  }
+
+  /**
+   * Cache the agent and write its persisted fields to the database
+   */
+  async save(agent) {
+    this.agents.set(agent.id, agent);
+    if (!this.databaseService) return agent;
+
+    // Snapshot now; the write may wait behind an earlier one for this agent
+    const data = JSON.parse(JSON.stringify(
+      Object.fromEntries(PERSISTED_FIELDS.filter(field => agent[field] !== undefined).map(field => [field, agent[field]]))
+    ));
+    const previous = this.pendingWrites.get(agent.id) || Promise.resolve();
+    const write = previous
+      .then(() => this.databaseService.upsertAgent(agent.id, data))
+      .catch(error => console.error(`⚠️ Failed to persist agent ${agent.id}:`, error.message))
+      .finally(() => {
+        if (this.pendingWrites.get(agent.id) === write) {
+          this.pendingWrites.delete(agent.id);
+        }
+      });
+    this.pendingWrites.set(agent.id, write);
+
+    await write;
+    return agent;
+  }
+
+  async update(id, updates) {
+    const agent = this.agents.get(id);
+    if (!agent) return null;
+    Object.assign(agent, updates);
+    return this.save(agent);
+  }
+
+  async delete(id) {
+    const existed = this.agents.delete(id);
+    this.slots.delete(id);
+    if (this.databaseService) {
+      await this.pendingWrites.get(id);
+      try {
+        await this.databaseService.deleteAgent(id);
+      } catch (error) {
+        console.error(`⚠️ Failed to delete agent ${id}:`, error.message);
+      }
+    }
+    return existed;
+  }
+
+  /**
+   * Wait for outstanding writes, e.g. before shutting down
+   */
+  async flush() {
+    await Promise.all(this.pendingWrites.values());
+  }
+}
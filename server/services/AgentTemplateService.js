@@ -0,0 +1,338 @@
+import { parseYaml, stringifyYaml } from './Yaml.js';
+import { normalizePermissions } from './AgentPermissions.js';
+
+const BUILTIN_PREFIX = 'builtin:';
+const EXPORT_VERSION = 1;
+const MAX_AGENTS_PER_TEMPLATE = 20;
+
+// Template fields that travel in exports and carry over to agents
+const TEMPLATE_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'role',
+  'capabilities',
+  'systemPrompt',
+  'model',
+  'tools',
+  'priority',
+  'maxConcurrentTasks',
+  'requestsPerMinute',
+  'permissions',
+  'tags'
+];
+
+const TEMPLATE_DEFAULTS = {
+  description: null,
+  type: 'worker',
+  role: 'general',
+  capabilities: [],
+  systemPrompt: null,
+  model: null,
+  tools: [],
+  priority: 5,
+  maxConcurrentTasks: 1,
+  requestsPerMinute: null,
+  permissions: null,
+  tags: []
+};
+
+// The roles swarms were built from before templates existed
+const BUILTIN_TEMPLATES = [
+  {
+    name: 'Coordinator',
+    description: 'Manages the swarm and distributes tasks',
+    type: 'coordinator',
+    role: 'coordinator',
+    capabilities: ['coordination', 'task_distribution', 'memory_management'],
+    systemPrompt: 'You coordinate a swarm of agents. Break work into tasks for the agent best suited to each, keep the swarm\'s shared memory current and ask peers for status rather than guessing.',
+    priority: 8,
+    maxConcurrentTasks: 3,
+    permissions: { sandbox: { languages: [] } },
+    tags: ['swarm']
+  },
+  {
+    name: 'Researcher',
+    description: 'Gathers and analyzes information',
+    type: 'researcher',
+    role: 'researcher',
+    capabilities: ['research', 'analysis', 'information_gathering'],
+    systemPrompt: 'You research topics thoroughly. Separate established facts from assumptions and say where each finding comes from.',
+    permissions: { sandbox: { languages: ['python'], network: true } },
+    tags: ['swarm']
+  },
+  {
+    name: 'Coder',
+    description: 'Writes, refactors and debugs code',
+    type: 'coder',
+    role: 'coder',
+    capabilities: ['code_generation', 'refactoring', 'debugging'],
+    systemPrompt: 'You write clear, working code that follows the conventions of the code around it. Run code before claiming it works.',
+    tools: ['execute_code'],
+    tags: ['swarm', 'code']
+  },
+  {
+    name: 'Reviewer',
+    description: 'Reviews and improves work',
+    type: 'reviewer',
+    role: 'reviewer',
+    capabilities: ['code_review', 'quality_control', 'testing'],
+    systemPrompt: 'You review work for correctness, security and maintainability. Point to the exact place of each problem and suggest a fix.',
+    tools: ['execute_code', 'read_github_file'],
+    tags: ['swarm', 'code']
+  },
+  {
+    name: 'Tester',
+    description: 'Tests and validates solutions',
+    type: 'tester',
+    role: 'tester',
+    capabilities: ['testing', 'debugging'],
+    systemPrompt: 'You test solutions against their requirements, including edge cases, and report failures with steps to reproduce them.',
+    tools: ['execute_code'],
+    tags: ['code']
+  }
+].map(template => ({
+  ...TEMPLATE_DEFAULTS,
+  ...template,
+  permissions: template.permissions ? normalizePermissions(template.permissions) : null,
+  id: `${BUILTIN_PREFIX}${template.name.toLowerCase()}`,
+  organizationId: null,
+  builtin: true,
+  version: 1
+}));
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.trim());
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value >= 1;
+}
+
+/**
+ * AgentTemplateService - Reusable agent definitions
+ *
+ * A template bundles what an agent is: role, capabilities, extra system
+ * prompt, model, the tools it may call, what those tools may do (see
+ * AgentPermissions.js), priority and concurrency limits.
+ * Organizations keep their own templates next to read-only built-ins, and
+ * share them as JSON or YAML documents of the form
+ * { version, templates: [...] }. Importing updates templates with the same
+ * name and adds the rest.
+ */
+export class AgentTemplateService {
+  constructor(databaseService = null) {
+    this.databaseService = databaseService;
+  }
+
+  async listTemplates(organizationId) {
+    const templates = await this.databaseService.getAgentTemplates(organizationId);
+    return [...BUILTIN_TEMPLATES, ...templates];
+  }
+
+  async getTemplate(id) {
+    const template = id?.startsWith(BUILTIN_PREFIX)
+      ? BUILTIN_TEMPLATES.find(entry => entry.id === id)
+      : await this.databaseService.getAgentTemplate(id);
+    if (!template) {
+      throw new Error(`Agent template ${id} not found`);
+    }
+    return template;
+  }
+
+  /**
+   * Check template data and keep only template fields. With partial, fields
+   * that are not given stay undefined.
+   */
+  validate(data, { partial = false } = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Agent template must be an object');
+    }
+    const template = Object.fromEntries(TEMPLATE_FIELDS
+      .filter(field => data[field] !== undefined || !partial)
+      .map(field => [field, data[field] === undefined ? TEMPLATE_DEFAULTS[field] : data[field]]));
+    const label = typeof data.name === 'string' && data.name.trim() ? `Template "${data.name.trim()}"` : 'Agent template';
+
+    if (!partial || template.name !== undefined) {
+      if (typeof template.name !== 'string' || !template.name.trim()) {
+        throw new Error('Agent template name is required');
+      }
+      template.name = template.name.trim();
+    }
+    for (const field of ['description', 'systemPrompt', 'model']) {
+      if (template[field] !== undefined && template[field] !== null && typeof template[field] !== 'string') {
+        throw new Error(`${label}: ${field} must be a string`);
+      }
+    }
+    for (const field of ['type', 'role']) {
+      if (template[field] !== undefined && (typeof template[field] !== 'string' || !template[field].trim())) {
+        throw new Error(`${label}: ${field} must be a non-empty string`);
+      }
+    }
+    for (const field of ['capabilities', 'tools', 'tags']) {
+      if (template[field] !== undefined && !isStringArray(template[field])) {
+        throw new Error(`${label}: ${field} must be a list of names`);
+      }
+    }
+    if (template.priority !== undefined && !(Number.isInteger(template.priority) && template.priority >= 1 && template.priority <= 10)) {
+      throw new Error(`${label}: priority must be an integer from 1 to 10`);
+    }
+    if (template.maxConcurrentTasks !== undefined && !isPositiveInteger(template.maxConcurrentTasks)) {
+      throw new Error(`${label}: maxConcurrentTasks must be a positive integer`);
+    }
+    if (template.requestsPerMinute !== undefined && template.requestsPerMinute !== null && !isPositiveInteger(template.requestsPerMinute)) {
+      throw new Error(`${label}: requestsPerMinute must be a positive integer, or null for no limit`);
+    }
+    if (template.permissions !== undefined && template.permissions !== null) {
+      try {
+        template.permissions = normalizePermissions(template.permissions);
+      } catch (error) {
+        throw new Error(`${label}: ${error.message}`);
+      }
+    }
+    return template;
+  }
+
+  async createTemplate({ organizationId, ...data }, userId = null) {
+    const template = this.validate(data);
+    if (await this.databaseService.getAgentTemplateByName(organizationId, template.name)) {
+      throw new Error(`An agent template named "${template.name}" already exists`);
+    }
+    return await this.databaseService.createAgentTemplate({ ...template, organizationId, createdBy: userId });
+  }
+
+  async updateTemplate(id, data) {
+    const existing = await this.getTemplate(id);
+    if (existing.builtin) {
+      throw new Error('Built-in templates cannot be changed; duplicate it instead');
+    }
+    const updates = this.validate(data, { partial: true });
+    if (updates.name && updates.name !== existing.name &&
+      await this.databaseService.getAgentTemplateByName(existing.organizationId, updates.name)) {
+      throw new Error(`An agent template named "${updates.name}" already exists`);
+    }
+    return await this.databaseService.updateAgentTemplate(id, updates);
+  }
+
+  async deleteTemplate(id) {
+    const existing = await this.getTemplate(id);
+    if (existing.builtin) {
+      throw new Error('Built-in templates cannot be deleted');
+    }
+    return await this.databaseService.deleteAgentTemplate(id);
+  }
+
+  /**
+   * Agent config for AgentService.createAgent / SwarmService.createAgent.
+   * overrides (name, description, swarmId) win over the template.
+   */
+  agentConfig(template, overrides = {}) {
+    return {
+      name: template.name,
+      description: template.description || undefined,
+      type: template.type,
+      role: template.role,
+      capabilities: [...template.capabilities],
+      systemPrompt: template.systemPrompt || null,
+      model: template.model || null,
+      tools: [...template.tools],
+      priority: template.priority,
+      maxConcurrentTasks: template.maxConcurrentTasks,
+      requestsPerMinute: template.requestsPerMinute || null,
+      permissions: template.permissions ? structuredClone(template.permissions) : null,
+      templateId: template.id,
+      ...Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined))
+    };
+  }
+
+  /**
+   * Agent configs for a swarm roster of [{ templateId, count }]. Agents are
+   * named after the swarm and template, numbered when there are several.
+   */
+  async rosterConfigs(roster, { swarmName } = {}) {
+    if (!Array.isArray(roster) || roster.length === 0) {
+      throw new Error('A swarm needs at least one template in its roster');
+    }
+    const configs = [];
+    for (const { templateId, count = 1 } of roster) {
+      if (!Number.isInteger(count) || count < 1 || count > MAX_AGENTS_PER_TEMPLATE) {
+        throw new Error(`count must be an integer from 1 to ${MAX_AGENTS_PER_TEMPLATE}`);
+      }
+      const template = await this.getTemplate(templateId);
+      for (let i = 1; i <= count; i++) {
+        const name = [swarmName, template.name, count > 1 ? i : null].filter(Boolean).join(' ');
+        configs.push(this.agentConfig(template, { name }));
+      }
+    }
+    return configs;
+  }
+
+  /**
+   * Serialize templates as a shareable JSON or YAML document. Ids, owners
+   * and versions stay behind; a template is identified by its name.
+   */
+  exportTemplates(templates, format = 'json') {
+    const document = {
+      version: EXPORT_VERSION,
+      templates: templates.map(template => Object.fromEntries(TEMPLATE_FIELDS
+        .filter(field => template[field] !== undefined)
+        .map(field => [field, template[field]])))
+    };
+    if (format === 'yaml') return stringifyYaml(document);
+    if (format === 'json') return `${JSON.stringify(document, null, 2)}\n`;
+    throw new Error(`Unknown export format: ${format}. Expected json or yaml`);
+  }
+
+  /**
+   * Template data from an exported document, a bare list of templates or a
+   * single template. Format is detected from the content unless given.
+   */
+  parseDocument(content, format = null) {
+    if (typeof content !== 'string' || !content.trim()) {
+      throw new Error('Nothing to import');
+    }
+    const detected = format || (/^\s*[[{]/.test(content) ? 'json' : 'yaml');
+    let document;
+    try {
+      document = detected === 'json' ? JSON.parse(content) : parseYaml(content);
+    } catch (error) {
+      throw new Error(`Invalid ${detected.toUpperCase()}: ${error.message}`);
+    }
+
+    if (document?.version !== undefined && document.version > EXPORT_VERSION) {
+      throw new Error(`Template document version ${document.version} is newer than this server supports (${EXPORT_VERSION})`);
+    }
+    const templates = Array.isArray(document) ? document : document?.templates || (document?.name ? [document] : null);
+    if (!Array.isArray(templates) || templates.length === 0) {
+      throw new Error('No templates found; expected { templates: [...] }');
+    }
+    return templates.map(template => this.validate(template));
+  }
+
+  /**
+   * Add or update an organization's templates from a JSON or YAML document.
+   * Nothing is written unless every template in it is valid.
+   */
+  async importTemplates(organizationId, content, { format } = {}, userId = null) {
+    const templates = this.parseDocument(content, format);
+    const names = templates.map(template => template.name.toLowerCase());
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`Template "${templates[names.indexOf(duplicate)].name}" appears more than once`);
+    }
+
+    const result = { created: 0, updated: 0, templates: [] };
+    for (const template of templates) {
+      const existing = await this.databaseService.getAgentTemplateByName(organizationId, template.name);
+      if (existing) {
+        result.templates.push(await this.databaseService.updateAgentTemplate(existing.id, template));
+        result.updated++;
+      } else {
+        result.templates.push(await this.databaseService.createAgentTemplate({ ...template, organizationId, createdBy: userId }));
+        result.created++;
+      }
+    }
+    console.log(`📦 Imported agent templates for ${organizationId}: ${result.created} created, ${result.updated} updated`);
+    return result;
+  }
+}
@@ -0,0 +1,165 @@
+const PERIODS = ['daily', 'monthly'];
+const METRICS = ['tokens', 'cost'];
+const DEFAULT_WARN_AT = 0.8;
+
+/**
+ * Raised when an organization has used up a hard budget limit. Carries a
+ * structured payload so clients can tell it apart from provider failures.
+ */
+export class BudgetExceededError extends Error {
+  constructor(budget) {
+    const unit = budget.metric === 'cost' ? `$${budget.limit}` : `${budget.limit} tokens`;
+    super(`💸 ${budget.period === 'daily' ? 'Daily' : 'Monthly'} LLM budget of ${unit} exceeded. Requests are blocked until ${budget.resetsAt.toISOString()}.`);
+    this.name = 'BudgetExceededError';
+    this.code = 'budget_exceeded';
+    this.budget = budget;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      budget: this.budget
+    };
+  }
+}
+
+/**
+ * BudgetService - Per-organization daily and monthly LLM spend limits
+ *
+ * Budgets live in Organization.settings.budgets:
+ *
+ *   {
+ *     "daily":   { "tokens": 2000000, "cost": 20 },
+ *     "monthly": { "tokens": 50000000, "cost": 400 },
+ *     "warnAt": 0.8
+ *   }
+ *
+ * Any ceiling may be omitted. check() runs before each LLM request: it throws
+ * BudgetExceededError once a ceiling is reached and publishes a
+ * "budget:warning" event (once per period) when spend crosses warnAt.
+ */
+export class BudgetService {
+  constructor(databaseService, eventBus = null) {
+    this.databaseService = databaseService;
+    this.eventBus = eventBus;
+    this.warned = new Set();
+  }
+
+  // Start of the current UTC day or month, and when that period resets
+  getPeriodWindow(period, now = new Date()) {
+    const start = period === 'daily'
+      ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const resetsAt = period === 'daily'
+      ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    return { start, resetsAt };
+  }
+
+  async getBudgets(organizationId) {
+    const organization = await this.databaseService.getOrganization(organizationId);
+    return organization?.settings?.budgets || null;
+  }
+
+  async setBudgets(organizationId, budgets) {
+    const organization = await this.databaseService.getOrganization(organizationId);
+    if (!organization) {
+      throw new Error(`Organization ${organizationId} not found`);
+    }
+
+    // Limits are stored as numbers; null or missing means no limit
+    const normalized = {};
+    for (const period of PERIODS) {
+      for (const metric of METRICS) {
+        const limit = budgets?.[period]?.[metric];
+        if (limit === undefined || limit === null) continue;
+        const value = typeof limit === 'string' && limit.trim() === '' ? NaN : Number(limit);
+        if (!Number.isFinite(value) || value < 0) {
+          throw new Error(`Invalid ${period} ${metric} budget: ${limit}`);
+        }
+        normalized[period] = { ...normalized[period], [metric]: value };
+      }
+    }
+
+    const warnAt = budgets?.warnAt;
+    if (warnAt !== undefined && warnAt !== null) {
+      const value = typeof warnAt === 'string' && warnAt.trim() === '' ? NaN : Number(warnAt);
+      if (!(value > 0 && value <= 1)) {
+        throw new Error(`Invalid budget warnAt: ${warnAt}; expected a fraction above 0 and up to 1`);
+      }
+      normalized.warnAt = value;
+    }
+
+    await this.databaseService.updateOrganization(organizationId, {
+      settings: { ...(organization.settings || {}), budgets: normalized }
+    });
+    return normalized;
+  }
+
+  /**
+   * Spend against every configured ceiling for the organization
+   */
+  async getStatus(organizationId, budgets) {
+    if (budgets === undefined) {
+      budgets = await this.getBudgets(organizationId);
+    }
+    const warnAt = budgets?.warnAt ?? DEFAULT_WARN_AT;
+    const status = { organizationId, warnAt, periods: {} };
+
+    for (const period of PERIODS) {
+      const { start, resetsAt } = this.getPeriodWindow(period);
+      const used = await this.databaseService.getLlmUsageTotals(organizationId, start);
+
+      status.periods[period] = { start, resetsAt, metrics: {} };
+      for (const metric of METRICS) {
+        const limit = budgets?.[period]?.[metric] ?? null;
+        status.periods[period].metrics[metric] = {
+          used: used[metric],
+          limit,
+          // A zero ceiling blocks everything
+          ratio: limit === null ? null : limit > 0 ? used[metric] / limit : 1
+        };
+      }
+    }
+
+    return status;
+  }
+
+  /**
+   * Reject the request if a hard limit is used up, warn if a soft limit is
+   * crossed. Organizations without budgets are never blocked.
+   */
+  async check(organizationId) {
+    if (!organizationId || !this.databaseService) return;
+
+    let status;
+    try {
+      const budgets = await this.getBudgets(organizationId);
+      if (!budgets) return;
+      status = await this.getStatus(organizationId, budgets);
+    } catch (error) {
+      // Fail open: an unavailable database should not take chat down with it
+      console.error('⚠️ Budget check failed:', error.message);
+      return;
+    }
+
+    for (const [period, { start, resetsAt, metrics }] of Object.entries(status.periods)) {
+      for (const [metric, { used, limit, ratio }] of Object.entries(metrics)) {
+        if (limit === null) continue;
+
+        const budget = { organizationId, period, metric, used, limit, resetsAt };
+        if (ratio >= 1) {
+          throw new BudgetExceededError(budget);
+        }
+
+        const warningKey = `${organizationId}:${period}:${metric}:${start.toISOString()}`;
+        if (ratio >= status.warnAt && !this.warned.has(warningKey)) {
+          this.warned.add(warningKey);
+          console.warn(`⚠️ Organization ${organizationId} has used ${Math.round(ratio * 100)}% of its ${period} ${metric} budget`);
+          await this.eventBus?.publish('budget:warning', { ...budget, ratio, warnAt: status.warnAt });
+        }
+      }
+    }
+  }
+}
@@ -1,4 +1,9 @@
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, Prisma } from '@prisma/client';
+
+// Prisma needs DbNull to store NULL in a nullable Json column
+function withJsonNull(data, field) {
+  return data[field] === null ? { ...data, [field]: Prisma.DbNull } : data;
+}
 
 export class DatabaseService {
   constructor() {
@@ -99,6 +104,19 @@ export class DatabaseService {
     });
   }
 
+  async getOrganization(id) {
+    return await this.prisma.organization.findUnique({
+      where: { id }
+    });
+  }
+
+  async updateOrganization(id, updates) {
+    return await this.prisma.organization.update({
+      where: { id },
+      data: updates
+    });
+  }
+
   // Conversation Management
   async createConversation(data) {
     return await this.prisma.conversation.create({
@@ -172,6 +190,19 @@ export class DatabaseService {
     });
   }
 
+  // The newest messages of a conversation created after `after`, newest first
+  async getRecentMessages(conversationId, { after = null, limit = 200 } = {}) {
+    return await this.prisma.message.findMany({
+      where: {
+        conversationId,
+        ...(after && { createdAt: { gt: after } })
+      },
+      select: { role: true, content: true, createdAt: true },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+  }
+
   // Artifact Management
   async createArtifact(data) {
     const artifact = await this.prisma.artifact.create({
@@ -234,6 +265,126 @@ export class DatabaseService {
     });
   }
 
+  // Prompt Templates
+  async createPrompt(data) {
+    const prompt = await this.prisma.prompt.create({
+      data
+    });
+
+    // Create initial version
+    await this.prisma.promptVersion.create({
+      data: {
+        promptId: prompt.id,
+        version: 1,
+        content: prompt.content,
+        variables: prompt.variables,
+        createdBy: prompt.createdBy
+      }
+    });
+
+    return prompt;
+  }
+
+  async updatePrompt(id, updates, updatedBy = null) {
+    const contentChanged = updates.content !== undefined;
+    const prompt = await this.prisma.prompt.update({
+      where: { id },
+      data: {
+        ...updates,
+        ...(contentChanged && { version: { increment: 1 } })
+      }
+    });
+
+    // Create new version if content changed
+    if (contentChanged) {
+      await this.prisma.promptVersion.create({
+        data: {
+          promptId: id,
+          version: prompt.version,
+          content: prompt.content,
+          variables: prompt.variables,
+          createdBy: updatedBy || prompt.createdBy
+        }
+      });
+    }
+
+    return prompt;
+  }
+
+  async deletePrompt(id) {
+    return await this.prisma.prompt.delete({
+      where: { id }
+    });
+  }
+
+  async getPrompt(id) {
+    return await this.prisma.prompt.findUnique({
+      where: { id }
+    });
+  }
+
+  async getPromptByKey(organizationId, key) {
+    return await this.prisma.prompt.findFirst({
+      where: { organizationId, key }
+    });
+  }
+
+  async getPrompts(organizationId) {
+    return await this.prisma.prompt.findMany({
+      where: { organizationId },
+      orderBy: { name: 'asc' }
+    });
+  }
+
+  async getPromptVersions(promptId) {
+    return await this.prisma.promptVersion.findMany({
+      where: { promptId },
+      orderBy: { version: 'desc' }
+    });
+  }
+
+  // Agent templates
+  async createAgentTemplate(data) {
+    return await this.prisma.agentTemplate.create({
+      data: withJsonNull(data, 'permissions')
+    });
+  }
+
+  async updateAgentTemplate(id, updates) {
+    return await this.prisma.agentTemplate.update({
+      where: { id },
+      data: {
+        ...withJsonNull(updates, 'permissions'),
+        version: { increment: 1 }
+      }
+    });
+  }
+
+  async deleteAgentTemplate(id) {
+    return await this.prisma.agentTemplate.delete({
+      where: { id }
+    });
+  }
+
+  async getAgentTemplate(id) {
+    return await this.prisma.agentTemplate.findUnique({
+      where: { id }
+    });
+  }
+
+  async getAgentTemplateByName(organizationId, name) {
+    return await this.prisma.agentTemplate.findUnique({
+      where: { organizationId_name: { organizationId, name } }
+    });
+  }
+
+  async getAgentTemplates(organizationId) {
+    return await this.prisma.agentTemplate.findMany({
+      where: { organizationId },
+      orderBy: { name: 'asc' }
+    });
+  }
+
   // Folder Management
   async createFolder(data) {
     return await this.prisma.folder.create({
@@ -282,6 +433,14 @@ export class DatabaseService {
     });
   }
 
+  async upsertSwarm(id, data) {
+    return await this.prisma.swarm.upsert({
+      where: { id },
+      create: { id, ...data },
+      update: data
+    });
+  }
+
   // Agent Management
   async createAgent(data) {
     return await this.prisma.agent.create({
@@ -315,6 +474,105 @@ export class DatabaseService {
     });
   }
 
+  async upsertAgent(id, data) {
+    const record = withJsonNull(data, 'permissions');
+    return await this.prisma.agent.upsert({
+      where: { id },
+      create: { id, ...record },
+      update: record
+    });
+  }
+
+  async deleteAgent(id) {
+    return await this.prisma.agent.deleteMany({
+      where: { id }
+    });
+  }
+
+  // Agent Task Metrics
+  async createAgentTaskMetric(data) {
+    return await this.prisma.agentTaskMetric.create({
+      data
+    });
+  }
+
+  // Newest first; since/until bound createdAt
+  async getAgentTaskMetrics({ agentId, templateId, swarmId, since, until, limit = 5000 } = {}) {
+    return await this.prisma.agentTaskMetric.findMany({
+      where: {
+        ...(agentId && { agentId }),
+        ...(templateId && { templateId }),
+        ...(swarmId && { swarmId }),
+        ...((since || until) && { createdAt: { ...(since && { gte: since }), ...(until && { lte: until }) } })
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+  }
+
+  async rateAgentTaskMetrics(taskId, rating) {
+    return await this.prisma.agentTaskMetric.updateMany({
+      where: { taskId },
+      data: rating
+    });
+  }
+
+  // Agent Memory
+  async createAgentMemory(data) {
+    return await this.prisma.agentMemory.create({
+      data
+    });
+  }
+
+  async getAgentMemories(agentId) {
+    return await this.prisma.agentMemory.findMany({
+      where: { agentId },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  async updateAgentMemory(id, updates) {
+    return await this.prisma.agentMemory.update({
+      where: { id },
+      data: updates
+    });
+  }
+
+  async deleteAgentMemories(ids) {
+    return await this.prisma.agentMemory.deleteMany({
+      where: { id: { in: ids } }
+    });
+  }
+
+  // Agent messages
+  async createAgentMessage(data) {
+    return await this.prisma.agentMessage.create({
+      data
+    });
+  }
+
+  async getAgentMessages(agentId, limit = 200) {
+    const messages = await this.prisma.agentMessage.findMany({
+      where: { OR: [{ from: agentId }, { to: agentId }] },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+    return messages.reverse();
+  }
+
+  async markAgentMessagesRead(ids, readAt = new Date()) {
+    return await this.prisma.agentMessage.updateMany({
+      where: { id: { in: ids }, readAt: null },
+      data: { readAt }
+    });
+  }
+
+  async deleteAgentMessages(agentId) {
+    return await this.prisma.agentMessage.deleteMany({
+      where: { OR: [{ from: agentId }, { to: agentId }] }
+    });
+  }
+
   // Task Management
   async createTask(data) {
     return await this.prisma.task.create({
@@ -339,6 +597,34 @@ export class DatabaseService {
     });
   }
 
+  /**
+   * Create or update a task and make its task_agents rows match
+   * assignedAgents. Agents that no longer exist are left out of the join.
+   */
+  async upsertTask(id, data) {
+    const record = withJsonNull(data, 'result');
+    return await this.prisma.$transaction(async (tx) => {
+      const task = await tx.task.upsert({
+        where: { id },
+        create: { id, ...record },
+        update: record
+      });
+      const agentIds = data.assignedAgents || [];
+      await tx.taskAgent.deleteMany({
+        where: { taskId: id, agentId: { notIn: agentIds } }
+      });
+      const agents = await tx.agent.findMany({
+        where: { id: { in: agentIds } },
+        select: { id: true }
+      });
+      await tx.taskAgent.createMany({
+        data: agents.map(agent => ({ taskId: id, agentId: agent.id })),
+        skipDuplicates: true
+      });
+      return task;
+    });
+  }
+
   // Project Management
   async createProject(data) {
     return await this.prisma.project.create({
@@ -385,6 +671,90 @@ export class DatabaseService {
     });
   }
 
+  // Activity on one resource, e.g. an agent's denied tool calls
+  async getResourceActivity(resourceType, resourceId, { action, limit = 50 } = {}) {
+    return await this.prisma.activityLog.findMany({
+      where: { resourceType, resourceId, ...(action && { action }) },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+  }
+
+  // LLM Usage
+  async createLlmUsage(data) {
+    return await this.prisma.llmUsage.create({
+      data
+    });
+  }
+
+  async attachLlmUsageToMessage(usageIds, messageId) {
+    return await this.prisma.llmUsage.updateMany({
+      where: { id: { in: usageIds } },
+      data: { messageId }
+    });
+  }
+
+  async getLlmUsage({ organizationId, conversationId, agentId, swarmId, from, to } = {}) {
+    return await this.prisma.llmUsage.findMany({
+      where: {
+        ...(organizationId && { organizationId }),
+        ...(conversationId && { conversationId }),
+        ...(agentId && { agentId }),
+        ...(swarmId && { swarmId }),
+        createdAt: {
+          ...(from && { gte: from }),
+          ...(to && { lte: to })
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  async getLlmUsageTotals(organizationId, since) {
+    const result = await this.prisma.llmUsage.aggregate({
+      where: {
+        organizationId,
+        createdAt: { gte: since }
+      },
+      _sum: {
+        totalTokens: true,
+        cost: true
+      }
+    });
+    return {
+      tokens: result._sum.totalTokens || 0,
+      cost: result._sum.cost || 0
+    };
+  }
+
+  async getConversationOrganizationId(conversationId) {
+    const conversation = await this.prisma.conversation.findUnique({
+      where: { id: conversationId },
+      select: { organizationId: true }
+    });
+    return conversation?.organizationId || null;
+  }
+
+  async getConversationMetadata(conversationId) {
+    return await this.prisma.conversation.findUnique({
+      where: { id: conversationId },
+      select: { id: true, metadata: true }
+    });
+  }
+
+  /**
+   * Set top-level keys of a conversation's metadata in one statement, so
+   * concurrent writers of different keys (summary, promptId) keep each
+   * other's changes. Resolves to the number of conversations updated.
+   */
+  async mergeConversationMetadata(conversationId, patch) {
+    return await this.prisma.$executeRaw`
+      UPDATE "conversations"
+      SET "metadata" = COALESCE("metadata", '{}'::jsonb) || ${JSON.stringify(patch)}::jsonb,
+          "updated_at" = CURRENT_TIMESTAMP
+      WHERE "id" = ${conversationId}`;
+  }
+
   // Sharing
   async shareConversation(conversationId, createdBy, permissions = {}) {
     const shareToken = Math.random().toString(36).substring(2) + Date.now().toString(36);
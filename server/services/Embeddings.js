@@ -0,0 +1,42 @@
+import { createHash } from 'crypto';
+
+/**
+ * Embedding helpers shared by agent memory and the mock provider
+ */
+
+export const HASH_EMBEDDING_DIMENSIONS = 256;
+
+/**
+ * Deterministic bag-of-words embedding: every word and word pair is hashed
+ * into a fixed-size vector, which is then normalized. Texts that share
+ * vocabulary land close together, which is enough for offline use and as a
+ * fallback when the provider has no embeddings endpoint.
+ */
+export function hashEmbedding(text, dimensions = HASH_EMBEDDING_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const words = (text || '').toLowerCase().match(/[a-z0-9_]+/g) || [];
+  const features = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+
+  for (const feature of features) {
+    const digest = createHash('md5').update(feature).digest();
+    const bucket = digest.readUInt32BE(0) % dimensions;
+    vector[bucket] += digest[4] & 1 ? 1 : -1;
+  }
+
+  const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return magnitude > 0 ? vector.map(value => value / magnitude) : vector;
+}
+
+export function cosineSimilarity(a, b) {
+  if (!a?.length || a.length !== b?.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
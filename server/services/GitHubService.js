@@ -86,6 +86,39 @@ export class GitHubService {
     }
   }
 
+  // Create or update a file; an existing file is replaced through its sha
+  async putFileContent(owner, repo, path, content, message, token, branch = undefined) {
+    try {
+      this.initialize(token);
+      const url = `${this.baseUrl}/repos/${owner}/${repo}/contents/${path}`;
+      const headers = { Authorization: `token ${this.token}` };
+
+      let sha;
+      try {
+        const existing = await axios.get(url, { headers, params: branch ? { ref: branch } : undefined });
+        sha = existing.data.sha;
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+      }
+
+      const response = await axios.put(url, {
+        message,
+        content: Buffer.from(content, 'utf8').toString('base64'),
+        sha,
+        branch
+      }, { headers });
+
+      return {
+        path: response.data.content.path,
+        sha: response.data.content.sha,
+        commit: response.data.commit.sha,
+      };
+    } catch (error) {
+      console.error('GitHub put file error:', error.response?.data || error.message);
+      throw new Error('Failed to write file content');
+    }
+  }
+
   parseRepoUrl(url) {
     const match = url.match(/github\.com\/([^\/]+)\/([^\/]+)/);
     if (!match) {
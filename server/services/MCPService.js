@@ -21,19 +21,37 @@ export class MCPService {
         id: 'filesystem-read',
         name: 'read_file',
         description: 'Read file content',
-        server: 'filesystem'
+        server: 'filesystem',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', description: 'Path of the file to read' }
+          },
+          required: ['path']
+        }
       },
       {
         id: 'git-status',
         name: 'git_status',
         description: 'Get git repository status',
-        server: 'git'
+        server: 'git',
+        inputSchema: {
+          type: 'object',
+          properties: {}
+        }
       },
       {
         id: 'database-query',
         name: 'query_database',
         description: 'Execute database query',
-        server: 'database'
+        server: 'database',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'SQL query to execute' }
+          },
+          required: ['query']
+        }
       }
     ];
 
@@ -114,6 +132,15 @@ export class MCPService {
     }
   }
 
+  async executeTool(toolName, args = {}) {
+    const tool = Array.from(this.tools.values()).find(t => t.name === toolName);
+    if (!tool) {
+      throw new Error(`MCP tool ${toolName} not found`);
+    }
+
+    return this.mockToolExecution(tool.server, JSON.stringify(args));
+  }
+
   async listTools() {
     return Array.from(this.tools.values());
   }
@@ -0,0 +1,296 @@
+import { v4 as uuidv4 } from 'uuid';
+import { hashEmbedding, cosineSimilarity } from './Embeddings.js';
+
+const LOCAL_SPACE = 'local:hash';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EMBEDDING_RETRY_MS = 10 * 60 * 1000;
+const FORGET_BELOW = 0.05;
+const MAX_CONTENT_LENGTH = 1000;
+
+/**
+ * MemoryService - Long-term agent memory with semantic recall
+ *
+ * Each finished task is stored as a memory with an embedding and an
+ * importance score (failures and high-priority work score higher). Before a
+ * task runs, the agent's memories and those of its swarm peers are ranked by
+ * similarity to the task, weighted by importance that halves every
+ * AGENT_MEMORY_HALF_LIFE_DAYS since the memory was last recalled; the top
+ * AGENT_MEMORY_RECALL_LIMIT go into the system prompt. Once an agent holds
+ * more than AGENT_MEMORY_MAX_ITEMS task memories, and on a timer, everything
+ * but the newest AGENT_MEMORY_KEEP_RECENT is consolidated into one summary
+ * memory; memories whose importance has decayed to nothing are dropped.
+ *
+ * Embeddings come from the LLM provider. When it has no embeddings endpoint
+ * a local word-hash embedding is used instead; every memory records which
+ * embedding space it is in and is only compared within that space.
+ */
+export class MemoryService {
+  constructor(databaseService = null, llmService = null) {
+    this.databaseService = databaseService;
+    this.llmService = llmService;
+    this.recallLimit = parseInt(process.env.AGENT_MEMORY_RECALL_LIMIT, 10) || 5;
+    this.minSimilarity = parseFloat(process.env.AGENT_MEMORY_MIN_SIMILARITY) || 0.25;
+    this.halfLifeDays = parseFloat(process.env.AGENT_MEMORY_HALF_LIFE_DAYS) || 14;
+    this.maxItems = parseInt(process.env.AGENT_MEMORY_MAX_ITEMS, 10) || 50;
+    this.keepRecent = parseInt(process.env.AGENT_MEMORY_KEEP_RECENT, 10) || 20;
+    this.consolidateIntervalMs = parseInt(process.env.AGENT_MEMORY_CONSOLIDATE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+    // Per-agent vector index: agentId -> { agent, memories }
+    this.indexes = new Map();
+    this.consolidating = new Set();
+    this.embeddingRetryAt = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Consolidate every loaded agent's memory on a timer
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.consolidateAll().catch(error => console.error('⚠️ Memory consolidation failed:', error.message));
+    }, this.consolidateIntervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async getIndex(agent) {
+    let index = this.indexes.get(agent.id);
+    if (!index) {
+      const records = this.databaseService ? await this.databaseService.getAgentMemories(agent.id) : [];
+      index = {
+        agent,
+        memories: records.map(record => ({
+          ...record,
+          createdAt: new Date(record.createdAt).toISOString(),
+          lastAccessedAt: new Date(record.lastAccessedAt).toISOString()
+        }))
+      };
+      this.indexes.set(agent.id, index);
+    }
+    index.agent = agent;
+    return index;
+  }
+
+  async listMemories(agent) {
+    const { memories } = await this.getIndex(agent);
+    return memories.map(({ embedding, ...memory }) => ({
+      ...memory,
+      effectiveImportance: this.decayedImportance(memory)
+    }));
+  }
+
+  /**
+   * Embed with the provider, falling back to the local hash embedding for a
+   * while after the provider fails
+   */
+  async embed(text, agent) {
+    if (this.llmService && Date.now() >= this.embeddingRetryAt) {
+      try {
+        const { provider, model, vectors } = await this.llmService.embed([text], { agent, operation: 'memory_embedding' });
+        return { embedding: vectors[0], embeddingSpace: `${provider}:${model}` };
+      } catch (error) {
+        console.warn('⚠️ Provider embeddings unavailable, using local embeddings:', error.message);
+        this.embeddingRetryAt = Date.now() + EMBEDDING_RETRY_MS;
+      }
+    }
+    return { embedding: hashEmbedding(text), embeddingSpace: LOCAL_SPACE };
+  }
+
+  async remember(agent, { content, kind = 'task', importance = 0.5, metadata = {} }) {
+    const text = content.length > MAX_CONTENT_LENGTH ? `${content.slice(0, MAX_CONTENT_LENGTH)}…` : content;
+    const now = new Date().toISOString();
+    const memory = {
+      id: uuidv4(),
+      agentId: agent.id,
+      swarmId: agent.swarmId || null,
+      kind,
+      content: text,
+      ...(await this.embed(text, agent)),
+      importance: Math.min(1, Math.max(0, importance)),
+      accessCount: 0,
+      metadata: { agentName: agent.name, ...metadata },
+      createdAt: now,
+      lastAccessedAt: now
+    };
+
+    if (this.databaseService) {
+      await this.databaseService.createAgentMemory(memory);
+    }
+    const index = await this.getIndex(agent);
+    index.memories.push(memory);
+
+    if (index.memories.filter(entry => entry.kind !== 'summary').length > this.maxItems) {
+      this.consolidate(agent).catch(error => console.error(`⚠️ Memory consolidation for ${agent.id} failed:`, error.message));
+    }
+    return memory;
+  }
+
+  /**
+   * Store the outcome of a finished or failed task
+   */
+  async recordTask(agent, task, { result, error } = {}) {
+    const subject = task.description || task.topic || 'untitled';
+    const outcome = error
+      ? `failed: ${error.message}`
+      : result?.summary || 'completed';
+
+    return this.remember(agent, {
+      content: `${task.type || 'generic'} task "${subject}" ${error ? outcome : `succeeded: ${outcome}`}`,
+      importance: this.scoreImportance(task, { result, error }),
+      metadata: { taskId: task.id || null, taskType: task.type || null, failed: !!error }
+    });
+  }
+
+  /**
+   * Heuristic importance in [0, 1]: mistakes and serious findings are worth
+   * remembering longer than routine successes
+   */
+  scoreImportance(task, { result, error } = {}) {
+    let importance = 0.4;
+    if (error) importance += 0.3;
+    if (result?.issues?.some(issue => issue.severity === 'high') || result?.bugs?.length > 0) importance += 0.1;
+    if (task.priority >= 8) importance += 0.1;
+    if (task.priority && task.priority <= 3) importance -= 0.1;
+    return Math.min(1, Math.max(0.05, importance));
+  }
+
+  // Importance halves every halfLifeDays since the memory was last recalled
+  decayedImportance(memory, now = Date.now()) {
+    const age = now - new Date(memory.lastAccessedAt || memory.createdAt).getTime();
+    return memory.importance * Math.pow(0.5, Math.max(0, age) / (this.halfLifeDays * DAY_MS));
+  }
+
+  /**
+   * Memories most relevant to query from the agent and its swarm peers.
+   * Recalled memories are reinforced so they decay from now on.
+   */
+  async recall(agent, query, { peers = [], limit = this.recallLimit } = {}) {
+    const candidates = [...(await this.getIndex(agent)).memories];
+    for (const peer of peers) {
+      if (peer.id !== agent.id) {
+        candidates.push(...(await this.getIndex(peer)).memories);
+      }
+    }
+    if (candidates.length === 0 || !query) return [];
+
+    const primary = await this.embed(query, agent);
+    const queryVectors = {
+      [LOCAL_SPACE]: hashEmbedding(query),
+      [primary.embeddingSpace]: primary.embedding
+    };
+
+    const now = Date.now();
+    const recalled = candidates
+      .filter(memory => queryVectors[memory.embeddingSpace])
+      .map(memory => {
+        const similarity = cosineSimilarity(queryVectors[memory.embeddingSpace], memory.embedding);
+        const importance = this.decayedImportance(memory, now) * (memory.agentId === agent.id ? 1 : 0.8);
+        return { memory, similarity, score: similarity * 0.7 + importance * 0.3 };
+      })
+      .filter(entry => entry.similarity >= this.minSimilarity)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    const accessedAt = new Date(now).toISOString();
+    for (const { memory } of recalled) {
+      memory.accessCount++;
+      memory.lastAccessedAt = accessedAt;
+      this.databaseService?.updateAgentMemory(memory.id, {
+        accessCount: memory.accessCount,
+        lastAccessedAt: accessedAt
+      }).catch(error => console.error(`⚠️ Failed to update memory ${memory.id}:`, error.message));
+    }
+
+    return recalled.map(({ memory, similarity }) => ({
+      id: memory.id,
+      agentId: memory.agentId,
+      ...(memory.agentId !== agent.id && { agentName: memory.metadata?.agentName || memory.agentId }),
+      kind: memory.kind,
+      content: memory.content,
+      importance: memory.importance,
+      similarity: Math.round(similarity * 1000) / 1000,
+      createdAt: memory.createdAt
+    }));
+  }
+
+  /**
+   * Fold all but the newest task memories into a summary memory and drop
+   * the ones that have faded. Without an LLM only faded memories are dropped.
+   */
+  async consolidate(agent) {
+    if (this.consolidating.has(agent.id)) return null;
+    this.consolidating.add(agent.id);
+
+    try {
+      const index = await this.getIndex(agent);
+      const episodic = index.memories
+        .filter(memory => memory.kind !== 'summary')
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+      if (episodic.length <= this.keepRecent) return null;
+
+      const now = Date.now();
+      const older = episodic.slice(0, episodic.length - this.keepRecent);
+      const faded = older.filter(memory => this.decayedImportance(memory, now) < FORGET_BELOW);
+      const worthKeeping = older.filter(memory => !faded.includes(memory));
+
+      let summary = null;
+      if (worthKeeping.length > 0 && this.llmService) {
+        const content = await this.llmService.generateResponse(this.buildPrompt(agent, worthKeeping), {
+          agent,
+          history: [],
+          operation: 'memory_consolidation',
+          reasoning_effort: 'low'
+        });
+        summary = await this.remember(agent, {
+          content: content.trim(),
+          kind: 'summary',
+          importance: Math.max(...worthKeeping.map(memory => memory.importance)),
+          metadata: {
+            consolidated: worthKeeping.length,
+            from: worthKeeping[0].createdAt,
+            to: worthKeeping[worthKeeping.length - 1].createdAt
+          }
+        });
+      }
+
+      await this.forget(agent.id, [...faded, ...(summary ? worthKeeping : [])].map(memory => memory.id));
+      console.log(`🧠 Consolidated memory for agent ${agent.id}: ${summary ? worthKeeping.length : 0} summarised, ${faded.length} forgotten`);
+      return summary;
+    } finally {
+      this.consolidating.delete(agent.id);
+    }
+  }
+
+  async consolidateAll() {
+    for (const { agent } of Array.from(this.indexes.values())) {
+      await this.consolidate(agent);
+    }
+  }
+
+  buildPrompt(agent, memories) {
+    const notes = memories.map(memory => `- [${memory.createdAt.slice(0, 10)}] ${memory.content}`).join('\n');
+    return `Condense these notes from earlier tasks by agent ${agent.name} into a short summary of lessons learned, recurring problems and facts that would help with future tasks. Keep specifics such as names, errors and decisions; drop anything that would not help later. Reply with the summary only.
+
+${notes}`;
+  }
+
+  async forget(agentId, ids) {
+    if (ids.length === 0) return;
+    const index = this.indexes.get(agentId);
+    if (index) {
+      index.memories = index.memories.filter(memory => !ids.includes(memory.id));
+    }
+    if (this.databaseService) {
+      await this.databaseService.deleteAgentMemories(ids);
+    }
+  }
+
+  // Drop a deleted agent's index; its rows go with the agent
+  dropAgent(agentId) {
+    this.indexes.delete(agentId);
+  }
+}
@@ -0,0 +1,157 @@
+import { readFileSync, existsSync } from 'fs';
+import { setTimeout as sleep } from 'timers/promises';
+
+const DEFAULT_ROUTING = {
+  // Models we know about; reasoning marks support for reasoning_effort
+  models: [
+    { id: 'anthropic/claude-sonnet-4-0', reasoning: true },
+    { id: 'openai/gpt-4o-mini', reasoning: false },
+    { id: 'openai/o3-mini', reasoning: true }
+  ],
+  // Ordered fallback chains per provider
+  fallbacks: {
+    requesty: ['anthropic/claude-sonnet-4-0', 'openai/gpt-4o-mini']
+  },
+  retry: {
+    maxRetries: 2,
+    baseDelayMs: 500,
+    maxDelayMs: 30000
+  }
+};
+
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'];
+
+/**
+ * ModelRouter - Retry with backoff and ordered model fallback for LLM requests
+ *
+ * Routing config is DEFAULT_ROUTING merged with the JSON file at
+ * LLM_ROUTING_CONFIG ({ models, fallbacks, retry }). LLM_FALLBACK_MODELS
+ * (comma-separated) and LLM_MAX_RETRIES override the default provider's chain
+ * and the retry count.
+ *
+ * 429, 5xx and timeouts are retried with exponential backoff and jitter,
+ * honouring Retry-After. Once a model's retries are spent, or Retry-After asks
+ * for longer than maxDelayMs, the next model in the chain is tried. Any other
+ * error is thrown straight away, as is everything once the caller's signal
+ * has aborted.
+ */
+export class ModelRouter {
+  constructor({ defaultProvider = 'requesty', configFile = process.env.LLM_ROUTING_CONFIG } = {}) {
+    const config = this.loadConfig(configFile);
+
+    this.models = config.models || DEFAULT_ROUTING.models;
+    this.fallbacks = { ...DEFAULT_ROUTING.fallbacks, ...config.fallbacks };
+    this.retry = { ...DEFAULT_ROUTING.retry, ...config.retry };
+
+    if (process.env.LLM_FALLBACK_MODELS) {
+      this.fallbacks[defaultProvider] = process.env.LLM_FALLBACK_MODELS.split(',').map(model => model.trim()).filter(Boolean);
+    }
+    if (process.env.LLM_MAX_RETRIES !== undefined) {
+      this.retry.maxRetries = parseInt(process.env.LLM_MAX_RETRIES, 10) || 0;
+    }
+  }
+
+  loadConfig(file) {
+    if (!file) return {};
+    if (!existsSync(file)) {
+      console.warn(`⚠️ LLM routing config not found at ${file}, using defaults`);
+      return {};
+    }
+
+    try {
+      return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error('❌ Failed to parse LLM routing config:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Whether a model accepts reasoning_effort; null when the model is unknown
+   */
+  supportsReasoning(model) {
+    const known = this.models.find(entry => entry.id === model);
+    return known ? known.reasoning : null;
+  }
+
+  /**
+   * Models to try for a request, in order: the requested model, then the
+   * provider's chain after it (or the whole chain if it is not part of it)
+   */
+  getChain(providerName, model) {
+    const chain = this.fallbacks[providerName] || [];
+    const position = chain.indexOf(model);
+    const rest = position === -1 ? chain : chain.slice(position + 1);
+    return [model, ...rest.filter(candidate => candidate !== model)];
+  }
+
+  getStatus(error) {
+    return error.response?.status ?? error.status;
+  }
+
+  isRetryable(error) {
+    // A partially streamed answer cannot be retried without duplicating output
+    if (error.streamed) return false;
+
+    const status = this.getStatus(error);
+    return status === 429 || status >= 500 || RETRYABLE_CODES.includes(error.code);
+  }
+
+  /**
+   * Milliseconds requested by a Retry-After header (seconds or HTTP date)
+   */
+  getRetryAfter(error) {
+    const headers = error.response?.headers || error.headers || {};
+    const value = headers['retry-after'];
+    if (value === undefined || value === null) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // Exponential backoff with equal jitter
+  getBackoff(attempt) {
+    const exponential = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** attempt);
+    return exponential / 2 + Math.random() * exponential / 2;
+  }
+
+  /**
+   * Call attempt(model) for each model in the chain until one succeeds.
+   * Resolves to { model, result, attempts }. Aborting signal cancels the
+   * backoff wait and stops further attempts.
+   */
+  async run(chain, attempt, { signal } = {}) {
+    let lastError;
+    let attempts = 0;
+
+    for (const [index, model] of chain.entries()) {
+      for (let retry = 0; retry <= this.retry.maxRetries; retry++) {
+        attempts++;
+        try {
+          return { model, result: await attempt(model), attempts };
+        } catch (error) {
+          lastError = error;
+          if (signal?.aborted || !this.isRetryable(error)) throw error;
+
+          const retryAfter = this.getRetryAfter(error);
+          if (retry === this.retry.maxRetries || (retryAfter !== null && retryAfter > this.retry.maxDelayMs)) {
+            break;
+          }
+
+          const delay = retryAfter ?? this.getBackoff(retry);
+          console.warn(`🔁 ${model} failed (${this.getStatus(error) || error.code}), retrying in ${Math.round(delay)}ms (${retry + 1}/${this.retry.maxRetries})`);
+          await sleep(delay, undefined, { signal });
+        }
+      }
+
+      if (index < chain.length - 1) {
+        console.warn(`↪️ Falling back from ${model} to ${chain[index + 1]}`);
+      }
+    }
+
+    throw lastError;
+  }
+}
@@ -0,0 +1,407 @@
+/**
+ * Built-in templates. An organization overrides one by saving a Prompt with
+ * the same key; any Prompt can also be rendered directly by ID.
+ */
+export const BUILTIN_PROMPTS = {
+  system: {
+    name: 'Default system prompt',
+    content: `You are Claude Sonnet-4, an advanced AI development assistant with sophisticated reasoning capabilities. You help developers with coding, debugging, architecture, and project management.
+
+Core Capabilities:
+- Code generation and review across multiple languages
+- Advanced debugging and optimization with step-by-step reasoning
+- Architecture design and best practices with detailed explanations
+- Project management and planning with reasoning analysis
+- Documentation and testing strategies
+- Deployment guidance and DevOps
+
+Guidelines:
+- Use your reasoning tokens to show your thought process
+- Provide practical, actionable solutions with clear explanations
+- Include code examples when relevant with reasoning behind choices
+- Explain complex concepts clearly with step-by-step reasoning
+- Consider security and performance best practices
+- Offer multiple approaches when appropriate and explain trade-offs
+- Be thorough but clear in your explanations
+
+Context:
+- Current project: {{project}}
+- Active files: {{activeFiles}}
+- Conversation history: {{historyCount}} earlier messages included`
+  },
+  code_completion: {
+    name: 'Code completion',
+    content: `Complete this {{language}} code. Show your reasoning for the completion approach:
+
+{{code}}
+
+Complete from the cursor position with contextually appropriate code.`
+  },
+  code_analysis: {
+    name: 'Code analysis',
+    content: `Analyze this {{language}} code. Use reasoning tokens to show your analysis process:
+
+1. Potential bugs and issues
+2. Security vulnerabilities
+3. Performance concerns
+4. Best practice violations
+5. Improvement suggestions
+
+Code:
+\`\`\`{{language}}
+{{code}}
+\`\`\`
+
+Provide a detailed analysis with your reasoning process and specific recommendations.`
+  },
+  'artifact.code': {
+    name: 'Artifact: code',
+    content: `Generate {{language}} code based on this description: {{description}}
+
+Use reasoning tokens to explain your approach and decisions:
+
+Requirements:
+- Write clean, well-commented code
+- Follow best practices for {{language}}
+- Include error handling where appropriate
+- Make it production-ready
+- Explain your architectural choices
+
+Return the code with reasoning for your implementation decisions.`
+  },
+  'artifact.web_app': {
+    name: 'Artifact: web app',
+    content: `Create a complete HTML web application based on: {{description}}
+
+Use reasoning to plan the application structure:
+
+Requirements:
+- Include HTML, CSS, and JavaScript in a single file
+- Make it responsive and visually appealing
+- Add interactivity where appropriate
+- Use modern web standards
+- Explain your design decisions
+
+Return the HTML code with reasoning for your approach.`
+  },
+  'artifact.document': {
+    name: 'Artifact: document',
+    content: `Create a comprehensive document about: {{description}}
+
+Use reasoning to structure the content effectively:
+
+Format as Markdown with:
+- Clear structure and headings
+- Bullet points and lists where appropriate
+- Code examples if relevant
+- Practical information and examples
+- Logical flow and organization
+
+Explain your content organization reasoning.`
+  },
+  artifact: {
+    name: 'Artifact: other',
+    content: `Create content based on: {{description}}
+
+Type: {{type}}
+Use reasoning tokens to plan and explain your approach.
+Format the response appropriately for the content type.`
+  },
+  swarm_task: {
+    name: 'Swarm task plan',
+    content: `Plan how this agent should handle a swarm task.
+
+Task Type: {{task.type}}
+Description: {{task.description}}
+Priority: {{task.priority}}
+
+Agent Context:
+- Role: {{agent.role}}
+- Capabilities: {{agent.capabilities}}
+- Swarm ID: {{agent.swarmId}}
+
+Break the task into subtasks small enough for one agent each. Give every subtask a short unique id, the capability it needs, an estimate in minutes and the ids of the subtasks it depends on. Also list the deliverables, risks with mitigations, coordination needs with other agents, an overall time estimate with your confidence, and the resources required.`
+  },
+  'agent.code_generation': {
+    name: 'Agent task: code generation',
+    content: `You are {{agent.name}}, a code generation agent ({{agent.role}}).
+
+Write {{task.language}} code for this task: {{task.description}}
+
+Requirements: {{task.requirements}}
+{{context}}
+
+Return complete, working code with error handling and comments where they help. Explain the design choices briefly and summarise what the code does in one sentence.`
+  },
+  'agent.code_review': {
+    name: 'Agent task: code review',
+    content: `You are {{agent.name}}, a code review agent ({{agent.role}}).
+
+Review this {{task.language}} code. {{task.description}}
+
+\`\`\`{{task.language}}
+{{task.code}}
+\`\`\`
+{{context}}
+
+Report each real problem you find (bugs, security, performance, maintainability, style) with the 1-based line it is on and a severity of high, medium or low, and a concrete suggestion for each. Do not invent issues; an empty list is a valid answer for good code.`
+  },
+  'agent.debugging': {
+    name: 'Agent task: debugging',
+    content: `You are {{agent.name}}, a debugging agent ({{agent.role}}).
+
+Find and fix the bugs in this {{task.language}} code. {{task.description}}
+
+Reported error:
+{{task.error}}
+
+\`\`\`{{task.language}}
+{{task.code}}
+\`\`\`
+{{context}}
+
+Identify the root cause of each bug with its 1-based line, describe the fix for each, and return the complete corrected code.`
+  },
+  'agent.debugging_patch': {
+    name: 'Agent task: debugging in the sandbox',
+    content: `You are {{agent.name}}, a debugging agent ({{agent.role}}) working in a code sandbox.
+
+This {{task.language}} code fails when run. {{task.description}}
+
+\`\`\`{{task.language}}
+{{task.code}}
+\`\`\`
+{{tests}}
+
+Exit code: {{run.exitCode}}
+
+stdout:
+{{run.output}}
+
+stderr:
+{{run.error}}
+
+{{history}}
+{{context}}
+
+Find the root cause and return edits to the code above that make it run with exit code 0. Each edit replaces an exact excerpt of the current code (search) with new text (replace); the excerpt must appear exactly once, so include enough surrounding lines. Never edit the tests or weaken them to make them pass. List each bug with its 1-based line in the code above.`
+  },
+  'agent.testing': {
+    name: 'Agent task: testing',
+    content: `You are {{agent.name}}, a testing agent ({{agent.role}}).
+
+Write automated tests for this {{task.language}} code. {{task.description}}
+
+\`\`\`{{task.language}}
+{{task.code}}
+\`\`\`
+{{context}}
+
+Write one complete, runnable test file for {{framework}}. {{setup}} Cover normal behaviour, edge cases and error paths. The file will be run and its coverage of the code measured. List each test case in the file by name.`
+  },
+  'agent.inbox': {
+    name: 'Agent task: inbox',
+    content: `You are {{agent.name}} ({{agent.role}}). Other agents sent you these messages:
+
+{{messages}}
+{{context}}
+
+Answer every request with what the sender asked for, drawing on your role and what you know from earlier work; say so plainly if you can't help. Reply to a plain message only when it calls for an answer. Refer to each message by its number.`
+  },
+  'agent.documentation': {
+    name: 'Agent task: documentation',
+    content: `You are {{agent.name}}, a documentation agent ({{agent.role}}).
+
+Document this {{task.language}} code. {{task.description}}
+
+\`\`\`{{task.language}}
+{{task.code}}
+\`\`\`
+{{context}}
+
+Write Markdown documentation covering purpose, public functions and their parameters and return values, usage examples and caveats.`
+  },
+  'agent.research': {
+    name: 'Agent task: research',
+    content: `You are {{agent.name}}, a research agent ({{agent.role}}).
+
+Research this topic: {{task.topic}}
+Scope: {{task.scope}}
+{{task.description}}
+{{context}}
+
+Report your findings with key points and a confidence between 0 and 1 for each. Only list sources you are confident exist; leave the url out when unsure. You cannot browse the web, so say so in the summary when your knowledge may be out of date.`
+  },
+  'agent.analysis': {
+    name: 'Agent task: analysis',
+    content: `You are {{agent.name}}, a data analysis agent ({{agent.role}}).
+
+Analyse this data. {{task.description}}
+
+{{task.data}}
+{{context}}
+
+Compute the metrics that matter for the data (counts, totals, averages, extremes, trends), state them as numbers, and give actionable insights that follow from them.`
+  },
+  'agent.generic': {
+    name: 'Agent task: other',
+    content: `You are {{agent.name}} ({{agent.role}}), an agent with these capabilities: {{agent.capabilities}}.
+
+Complete this task and report the result: {{task.description}}
+{{context}}`
+  }
+};
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Names of the {{variables}} used in a template, in order of first use
+ */
+export function extractVariables(content) {
+  const names = [];
+  for (const [, name] of (content || '').matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(name)) names.push(name);
+  }
+  return names;
+}
+
+/**
+ * Substitute {{name}} and {{dotted.path}} placeholders. Arrays are joined
+ * with commas; missing values render as empty strings.
+ */
+export function renderTemplate(content, variables = {}) {
+  return (content || '').replace(VARIABLE_PATTERN, (match, name) => {
+    const value = name.split('.').reduce((current, part) => current?.[part], variables);
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * PromptService - Versioned, organization-scoped prompt templates
+ *
+ * Every content change bumps Prompt.version and stores the previous text as
+ * a PromptVersion. resolve() picks the template for a request: an explicit
+ * prompt ID, then the organization's override for the built-in key, then
+ * the built-in itself. Lookups fail soft so a missing or deleted prompt
+ * never blocks a request.
+ */
+export class PromptService {
+  constructor(databaseService = null) {
+    this.databaseService = databaseService;
+  }
+
+  listBuiltins() {
+    return Object.entries(BUILTIN_PROMPTS).map(([key, prompt]) => ({
+      key,
+      name: prompt.name,
+      content: prompt.content,
+      variables: extractVariables(prompt.content)
+    }));
+  }
+
+  validate(data, { partial = false } = {}) {
+    if (!partial || data.name !== undefined) {
+      if (typeof data.name !== 'string' || !data.name.trim()) {
+        throw new Error('Prompt name is required');
+      }
+    }
+    if (!partial || data.content !== undefined) {
+      if (typeof data.content !== 'string' || !data.content.trim()) {
+        throw new Error('Prompt content is required');
+      }
+    }
+    if (data.key && !BUILTIN_PROMPTS[data.key]) {
+      throw new Error(`Unknown prompt key: ${data.key}. Expected one of ${Object.keys(BUILTIN_PROMPTS).join(', ')}`);
+    }
+  }
+
+  async listPrompts(organizationId) {
+    return await this.databaseService.getPrompts(organizationId);
+  }
+
+  async getPrompt(id) {
+    const prompt = await this.databaseService.getPrompt(id);
+    if (!prompt) {
+      throw new Error(`Prompt ${id} not found`);
+    }
+    return prompt;
+  }
+
+  async createPrompt({ organizationId, name, description, key, content }, userId = null) {
+    this.validate({ name, key, content });
+    return await this.databaseService.createPrompt({
+      organizationId,
+      name: name.trim(),
+      description: description || null,
+      key: key || null,
+      content,
+      variables: extractVariables(content),
+      createdBy: userId
+    });
+  }
+
+  async updatePrompt(id, { name, description, key, content }, userId = null) {
+    this.validate({ name, key, content }, { partial: true });
+    await this.getPrompt(id);
+
+    return await this.databaseService.updatePrompt(id, {
+      ...(name !== undefined && { name: name.trim() }),
+      ...(description !== undefined && { description }),
+      ...(key !== undefined && { key: key || null }),
+      ...(content !== undefined && { content, variables: extractVariables(content) })
+    }, userId);
+  }
+
+  async deletePrompt(id) {
+    await this.getPrompt(id);
+    return await this.databaseService.deletePrompt(id);
+  }
+
+  async getVersions(id) {
+    return await this.databaseService.getPromptVersions(id);
+  }
+
+  /**
+   * Select the system prompt for a conversation (null restores the default)
+   */
+  async setConversationPrompt(conversationId, promptId) {
+    const conversation = await this.databaseService.getConversationMetadata(conversationId);
+    if (!conversation) {
+      throw new Error(`Conversation ${conversationId} not found`);
+    }
+    if (promptId) {
+      await this.getPrompt(promptId);
+    }
+
+    await this.databaseService.mergeConversationMetadata(conversationId, { promptId: promptId || null });
+    return promptId || null;
+  }
+
+  /**
+   * Template text for a request. promptId wins; otherwise the organization's
+   * override for key, falling back to the built-in.
+   */
+  async resolve(key, { promptId, organizationId } = {}) {
+    if (this.databaseService) {
+      try {
+        const prompt = promptId
+          ? await this.databaseService.getPrompt(promptId)
+          : organizationId && await this.databaseService.getPromptByKey(organizationId, key);
+        if (prompt) return prompt.content;
+        if (promptId) {
+          console.warn(`⚠️ Prompt ${promptId} not found, using the built-in ${key} prompt`);
+        }
+      } catch (error) {
+        console.error(`⚠️ Failed to load ${key} prompt:`, error.message);
+      }
+    }
+
+    return BUILTIN_PROMPTS[key]?.content || '';
+  }
+
+  async render(key, variables = {}, options = {}) {
+    return renderTemplate(await this.resolve(key, options), variables);
+  }
+}
@@ -0,0 +1,47 @@
+import { setTimeout as sleep } from 'timers/promises';
+
+const DEFAULT_WINDOW_MS = 60 * 1000;
+
+/**
+ * RateLimiter - Sliding-window limit on requests per key
+ *
+ * acquire() resolves once the key has made fewer than `limit` requests in
+ * the last window and records the request; until then it waits, so callers
+ * are slowed down rather than refused.
+ */
+export class RateLimiter {
+  constructor({ windowMs = DEFAULT_WINDOW_MS } = {}) {
+    this.windowMs = windowMs;
+    // key -> start times of its requests in the current window, oldest first
+    this.requests = new Map();
+  }
+
+  /**
+   * Wait for room under the limit and take it. Resolves with how long the
+   * caller waited; rejects if the signal aborts while waiting.
+   */
+  async acquire(key, limit, { signal } = {}) {
+    let waitedMs = 0;
+    for (;;) {
+      const now = Date.now();
+      const recent = (this.requests.get(key) || []).filter(startedAt => startedAt > now - this.windowMs);
+      if (recent.length < limit) {
+        recent.push(now);
+        this.requests.set(key, recent);
+        return waitedMs;
+      }
+      this.requests.set(key, recent);
+
+      // The oldest request leaves the window first
+      const waitMs = recent[recent.length - limit] + this.windowMs - now;
+      await sleep(waitMs, undefined, { signal });
+      waitedMs += waitMs;
+    }
+  }
+
+  // Requests the key made in the current window
+  usage(key) {
+    const since = Date.now() - this.windowMs;
+    return (this.requests.get(key) || []).filter(startedAt => startedAt > since).length;
+  }
+}
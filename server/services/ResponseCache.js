@@ -0,0 +1,163 @@
+import { createHash } from 'crypto';
+import { createClient } from 'redis';
+
+const KEY_PREFIX = 'llm-cache:';
+
+// JSON with sorted object keys so equal payloads always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * ResponseCache - Cache of LLM completions for repeatable requests
+ *
+ * Entries are keyed by a SHA-256 of the provider, model, messages and
+ * sampling parameters. An in-memory LRU (LLM_CACHE_MAX_ENTRIES) is always
+ * used; when REDIS_URL is set the cache is shared through Redis as well.
+ * Entries expire after LLM_CACHE_TTL seconds. The cache is off unless
+ * LLM_CACHE_ENABLED is "true", and callers still opt in per request.
+ */
+export class ResponseCache {
+  constructor({
+    enabled = process.env.LLM_CACHE_ENABLED === 'true',
+    ttlSeconds = parseInt(process.env.LLM_CACHE_TTL, 10) || 3600,
+    maxEntries = parseInt(process.env.LLM_CACHE_MAX_ENTRIES, 10) || 500
+  } = {}) {
+    this.enabled = enabled;
+    this.ttlSeconds = ttlSeconds;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.redisClient = null;
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+  }
+
+  async initialize(redisUrl) {
+    if (!this.enabled || !redisUrl) return false;
+
+    try {
+      this.redisClient = createClient({ url: redisUrl });
+      this.redisClient.on('error', (error) => console.error('⚠️ LLM cache Redis error:', error.message));
+      await this.redisClient.connect();
+      console.log('🗄️ LLM response cache using Redis');
+      return true;
+    } catch (error) {
+      console.error('⚠️ LLM cache could not connect to Redis, using memory only:', error.message);
+      this.redisClient = null;
+      return false;
+    }
+  }
+
+  /**
+   * Cache key for a request payload. Streaming flags are left out so a
+   * streamed and a buffered request for the same prompt share an entry.
+   */
+  keyFor(providerName, payload) {
+    const { model, messages, temperature, max_tokens, reasoning_effort, response_format, tools } = payload;
+    const material = stableStringify({
+      provider: providerName,
+      model,
+      messages,
+      temperature,
+      max_tokens,
+      reasoning_effort,
+      response_format,
+      tools
+    });
+    return createHash('sha256').update(material).digest('hex');
+  }
+
+  async get(key) {
+    if (!this.enabled) return null;
+
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      // Re-insert to mark as most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      this.stats.hits++;
+      return entry.value;
+    }
+    this.entries.delete(key);
+
+    if (this.redisClient) {
+      try {
+        const stored = await this.redisClient.get(KEY_PREFIX + key);
+        if (stored) {
+          const value = JSON.parse(stored);
+          const ttl = await this.redisClient.ttl(KEY_PREFIX + key);
+          this.remember(key, value, ttl > 0 ? ttl : this.ttlSeconds);
+          this.stats.hits++;
+          return value;
+        }
+      } catch (error) {
+        console.error('⚠️ LLM cache read failed:', error.message);
+      }
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  async set(key, value, ttlSeconds = this.ttlSeconds) {
+    if (!this.enabled) return;
+
+    this.remember(key, value, ttlSeconds);
+    this.stats.writes++;
+
+    if (this.redisClient) {
+      try {
+        await this.redisClient.set(KEY_PREFIX + key, JSON.stringify(value), { EX: ttlSeconds });
+      } catch (error) {
+        console.error('⚠️ LLM cache write failed:', error.message);
+      }
+    }
+  }
+
+  remember(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    // Evict least recently used entries (Map keeps insertion order)
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async clear() {
+    this.entries.clear();
+
+    if (this.redisClient) {
+      try {
+        for await (const key of this.redisClient.scanIterator({ MATCH: `${KEY_PREFIX}*` })) {
+          await this.redisClient.del(key);
+        }
+      } catch (error) {
+        console.error('⚠️ LLM cache clear failed:', error.message);
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      backend: this.redisClient ? 'redis' : 'memory',
+      ttlSeconds: this.ttlSeconds,
+      maxEntries: this.maxEntries,
+      entries: this.entries.size,
+      ...this.stats
+    };
+  }
+
+  async disconnect() {
+    await this.redisClient?.quit().catch(() => {});
+  }
+}
@@ -1,28 +1,72 @@
-import { spawn } from 'child_process';
-import { writeFileSync, mkdirSync, existsSync, rmSync } from 'fs';
+import { spawn, spawnSync } from 'child_process';
+import { writeFileSync, readFileSync, mkdirSync, existsSync, rmSync } from 'fs';
 import { join } from 'path';
 import { v4 as uuidv4 } from 'uuid';
 
+const DEFAULT_TIMEOUT_MS = 30000;
+// Runs a command in its own user and network namespace, with only loopback
+const UNSHARE_ARGS = ['--user', '--map-root-user', '--net'];
+// The only server environment variables sandboxed code sees; secrets stay out
+const INHERITED_ENV = ['PATH', 'HOME', 'LANG'];
+
+// Environment of a sandbox process: the inherited basics plus the caller's variables
+function sandboxEnvironment(environment = {}) {
+  const inherited = INHERITED_ENV.filter(name => process.env[name] !== undefined)
+    .map(name => [name, process.env[name]]);
+  return { ...Object.fromEntries(inherited), ...environment };
+}
+
 export class SandboxService {
   constructor() {
     this.sandboxDir = join(process.cwd(), 'sandbox');
+    // "unshare" cuts off the network of offline runs; "off" runs them with the host's network
+    this.networkIsolation = process.env.SANDBOX_NETWORK_ISOLATION || 'unshare';
+    this.canUnshare = null;
     this.ensureSandboxDir();
   }
 
+  /**
+   * Command and arguments that run without network access. Fails closed
+   * when the host cannot create a network namespace.
+   */
+  offlineCommand(command, args) {
+    if (this.networkIsolation === 'off') {
+      return { command, args };
+    }
+    if (this.canUnshare === null) {
+      const probe = spawnSync('unshare', [...UNSHARE_ARGS, 'true'], { timeout: 5000 });
+      this.canUnshare = probe.status === 0;
+      if (!this.canUnshare) {
+        console.warn('⚠️ unshare is not available; sandbox runs without network access will fail');
+      }
+    }
+    if (!this.canUnshare) {
+      throw new Error('Sandbox network isolation is not available on this host (needs unshare with user namespaces); set SANDBOX_NETWORK_ISOLATION=off to run without it');
+    }
+    return { command: 'unshare', args: [...UNSHARE_ARGS, command, ...args] };
+  }
+
   ensureSandboxDir() {
     if (!existsSync(this.sandboxDir)) {
       mkdirSync(this.sandboxDir, { recursive: true });
     }
   }
 
-  async executeCode(code, language, environment = {}) {
+  /**
+   * Run code in a fresh session directory. The child process is killed after
+   * timeoutMs or as soon as signal aborts; an aborted run rejects with the
+   * signal's reason instead of reporting a failed execution. With network
+   * false the code runs without network access.
+   */
+  async executeCode(code, language, environment = {}, { signal, timeoutMs = DEFAULT_TIMEOUT_MS, network = true } = {}) {
+    signal?.throwIfAborted();
     const sessionId = uuidv4();
     const sessionDir = join(this.sandboxDir, sessionId);
     
     try {
       mkdirSync(sessionDir, { recursive: true });
       
-      const result = await this.runCode(code, language, sessionDir, environment);
+      const result = await this.runCode(code, language, sessionDir, environment, { signal, timeoutMs, network });
       
       return {
         sessionId,
@@ -33,6 +77,9 @@ export class SandboxService {
         exitCode: result.exitCode
       };
     } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
       return {
         sessionId,
         success: false,
@@ -50,107 +97,92 @@ export class SandboxService {
     }
   }
 
-  async runCode(code, language, sessionDir, environment) {
-    const startTime = Date.now();
-    
+  async runCode(code, language, sessionDir, environment, options = {}) {
     switch (language.toLowerCase()) {
       case 'javascript':
       case 'js':
-        return this.runJavaScript(code, sessionDir, environment);
+        return this.runJavaScript(code, sessionDir, environment, options);
       case 'python':
       case 'py':
-        return this.runPython(code, sessionDir, environment);
+        return this.runPython(code, sessionDir, environment, options);
       case 'bash':
       case 'sh':
-        return this.runBash(code, sessionDir, environment);
+        return this.runBash(code, sessionDir, environment, options);
       default:
         throw new Error(`Unsupported language: ${language}`);
     }
   }
 
-  async runJavaScript(code, sessionDir, environment) {
+  async runJavaScript(code, sessionDir, environment, options = {}) {
     const filename = join(sessionDir, 'script.js');
     writeFileSync(filename, code);
-    
-    return new Promise((resolve, reject) => {
-      const child = spawn('node', [filename], {
-        cwd: sessionDir,
-        env: { ...process.env, ...environment },
-        timeout: 30000 // 30 second timeout
-      });
-
-      let output = '';
-      let error = '';
-
-      child.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-
-      child.stderr.on('data', (data) => {
-        error += data.toString();
-      });
-
-      child.on('close', (code) => {
-        resolve({
-          output,
-          error,
-          exitCode: code,
-          executionTime: Date.now() - Date.now()
-        });
-      });
-
-      child.on('error', (err) => {
-        reject(err);
-      });
-    });
+    return this.runProcess('node', [filename], sessionDir, environment, options);
   }
 
-  async runPython(code, sessionDir, environment) {
+  async runPython(code, sessionDir, environment, options = {}) {
     const filename = join(sessionDir, 'script.py');
     writeFileSync(filename, code);
-    
-    return new Promise((resolve, reject) => {
-      const child = spawn('python3', [filename], {
-        cwd: sessionDir,
-        env: { ...process.env, ...environment },
-        timeout: 30000
-      });
+    return this.runProcess('python3', [filename], sessionDir, environment, options);
+  }
 
-      let output = '';
-      let error = '';
+  async runBash(code, sessionDir, environment, options = {}) {
+    const filename = join(sessionDir, 'script.sh');
+    writeFileSync(filename, code);
+    return this.runProcess('bash', [filename], sessionDir, environment, options);
+  }
 
-      child.stdout.on('data', (data) => {
-        output += data.toString();
-      });
+  /**
+   * Run files through a sequence of commands in one fresh session directory,
+   * e.g. a test runner followed by a coverage report. files maps relative
+   * paths to contents; each step is { command, args }. Steps run one after
+   * another whatever their exit code. Resolves to { sessionId, steps, files }
+   * where steps holds each step's { output, error, exitCode, executionTime }
+   * and files the contents of readFiles that exist after the last step.
+   * Each step gets timeoutMs; an aborted run rejects with the signal's reason.
+   * With network false the steps run without network access.
+   */
+  async runInSession(files, steps, { environment = {}, readFiles = [], signal, timeoutMs = DEFAULT_TIMEOUT_MS, network = true } = {}) {
+    signal?.throwIfAborted();
+    const sessionId = uuidv4();
+    const sessionDir = join(this.sandboxDir, sessionId);
 
-      child.stderr.on('data', (data) => {
-        error += data.toString();
-      });
+    try {
+      mkdirSync(sessionDir, { recursive: true });
+      for (const [name, contents] of Object.entries(files)) {
+        writeFileSync(join(sessionDir, name), contents);
+      }
 
-      child.on('close', (code) => {
-        resolve({
-          output,
-          error,
-          exitCode: code,
-          executionTime: Date.now() - Date.now()
-        });
-      });
+      const results = [];
+      for (const { command, args = [] } of steps) {
+        results.push(await this.runProcess(command, args, sessionDir, environment, { signal, timeoutMs, network }));
+      }
 
-      child.on('error', (err) => {
-        reject(err);
-      });
-    });
+      const outputs = {};
+      for (const name of readFiles) {
+        const path = join(sessionDir, name);
+        if (existsSync(path)) {
+          outputs[name] = readFileSync(path, 'utf8');
+        }
+      }
+
+      return { sessionId, steps: results, files: outputs };
+    } catch (error) {
+      throw signal?.aborted ? signal.reason : error;
+    } finally {
+      rmSync(sessionDir, { recursive: true, force: true });
+    }
   }
 
-  async runBash(code, sessionDir, environment) {
-    const filename = join(sessionDir, 'script.sh');
-    writeFileSync(filename, code);
-    
+  runProcess(command, args, sessionDir, environment, { signal, timeoutMs = DEFAULT_TIMEOUT_MS, network = true } = {}) {
+    const startTime = Date.now();
+    const spawned = network ? { command, args } : this.offlineCommand(command, args);
+
     return new Promise((resolve, reject) => {
-      const child = spawn('bash', [filename], {
+      const child = spawn(spawned.command, spawned.args, {
         cwd: sessionDir,
-        env: { ...process.env, ...environment },
-        timeout: 30000
+        env: sandboxEnvironment(environment),
+        timeout: timeoutMs,
+        signal
       });
 
       let output = '';
@@ -169,7 +201,7 @@ export class SandboxService {
           output,
           error,
           exitCode: code,
-          executionTime: Date.now() - Date.now()
+          executionTime: Date.now() - startTime
         });
       });
 
@@ -0,0 +1,121 @@
+/**
+ * SummaryService - Rolling summaries that keep long conversations in budget
+ *
+ * The summary lives in Conversation.metadata.summary:
+ *
+ *   { content, coveredUntil, coveredMessageId, messageCount, updatedAt, edited }
+ *
+ * Messages created up to coveredUntil are represented by the summary and no
+ * longer sent verbatim. When the messages after it are estimated above
+ * LLM_SUMMARY_THRESHOLD tokens, all but the last LLM_SUMMARY_KEEP_TURNS
+ * turns (a user message and its reply) are folded into the summary,
+ * building on the previous (possibly user-edited) summary rather than
+ * starting over. Summary and prompt selection are merged into the metadata
+ * key by key, so neither overwrites the other.
+ */
+export class SummaryService {
+  constructor(databaseService, llmService) {
+    this.databaseService = databaseService;
+    this.llmService = llmService;
+    this.threshold = parseInt(process.env.LLM_SUMMARY_THRESHOLD, 10) || 6000;
+    // Messages left out of the summary: two per kept turn
+    this.keepMessages = (parseInt(process.env.LLM_SUMMARY_KEEP_TURNS, 10) || 6) * 2;
+    this.inFlight = new Set();
+  }
+
+  async getSummary(conversationId) {
+    const conversation = await this.databaseService.getConversationMetadata(conversationId);
+    if (!conversation) {
+      throw new Error(`Conversation ${conversationId} not found`);
+    }
+    return conversation.metadata?.summary || null;
+  }
+
+  async saveSummary(conversationId, summary) {
+    await this.databaseService.mergeConversationMetadata(conversationId, { summary });
+    return summary;
+  }
+
+  /**
+   * Replace the summary text by hand. Coverage is unchanged, and later
+   * refreshes build on the edited text.
+   */
+  async updateSummary(conversationId, content) {
+    const current = await this.getSummary(conversationId);
+    return this.saveSummary(conversationId, {
+      coveredUntil: null,
+      coveredMessageId: null,
+      messageCount: 0,
+      ...current,
+      content,
+      edited: true,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  // Messages not yet folded into the summary
+  unsummarized(messages, summary) {
+    if (!summary?.coveredUntil) return messages;
+    const coveredUntil = new Date(summary.coveredUntil);
+    return messages.filter(message => new Date(message.createdAt) > coveredUntil);
+  }
+
+  estimateTokens(messages) {
+    return messages.reduce((total, message) => total + this.llmService.estimateTokens(message.content), 0);
+  }
+
+  /**
+   * Summarise older turns if the unsummarised tail has grown past the
+   * threshold. force summarises whatever is older than the kept turns.
+   * Resolves to the new summary, or null when nothing changed.
+   */
+  async maybeSummarize(conversationId, { force = false } = {}) {
+    if (this.inFlight.has(conversationId)) return null;
+    this.inFlight.add(conversationId);
+
+    try {
+      const summary = await this.getSummary(conversationId);
+      const messages = (await this.databaseService.getMessages(conversationId))
+        .filter(message => message.role === 'user' || message.role === 'assistant');
+      const pending = this.unsummarized(messages, summary);
+
+      if (pending.length <= this.keepMessages) return null;
+      if (!force && this.estimateTokens(pending) < this.threshold) return null;
+
+      const toFold = pending.slice(0, pending.length - this.keepMessages);
+      console.log(`📝 Summarising ${toFold.length} messages in conversation ${conversationId}`);
+
+      const content = await this.llmService.generateResponse(this.buildPrompt(summary?.content, toFold), {
+        history: [],
+        context: { conversationId },
+        operation: 'summary',
+        reasoning_effort: 'low'
+      });
+
+      const last = toFold[toFold.length - 1];
+      return await this.saveSummary(conversationId, {
+        content: content.trim(),
+        coveredUntil: new Date(last.createdAt).toISOString(),
+        coveredMessageId: last.id,
+        messageCount: (summary?.messageCount || 0) + toFold.length,
+        edited: false,
+        updatedAt: new Date().toISOString()
+      });
+    } finally {
+      this.inFlight.delete(conversationId);
+    }
+  }
+
+  buildPrompt(previousSummary, messages) {
+    const transcript = messages
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+      .join('\n\n');
+
+    return `Update the running summary of a conversation between a developer and an AI assistant.
+
+${previousSummary ? `Current summary:\n${previousSummary}\n\n` : ''}New messages to fold in:
+${transcript}
+
+Write the updated summary in under 400 words. Keep decisions, requirements, open questions, file and function names, and code the user still depends on. Drop pleasantries and superseded details. Output only the summary.`;
+  }
+}
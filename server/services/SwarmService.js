@@ -1,19 +1,31 @@
 import EventEmitter from 'eventemitter3';
 import { v4 as uuidv4 } from 'uuid';
 import { createClient } from 'redis';
+import { AgentStore } from './AgentStore.js';
+import { SwarmStore } from './SwarmStore.js';
 
 /**
  * SwarmService - Coordinates multi-agent swarm activities
  * 
  * This service manages agent coordination, task distribution,
  * and shared state through an event-driven architecture.
+ *
+ * Swarms and tasks are saved to the database as they change (SwarmStore).
+ * restore() reads them back at startup and puts tasks that were assigned
+ * or running when the process stopped back in the queue.
  */
 export class SwarmService {
-  constructor() {
+  constructor(agentStore = null, agentMetrics = null, swarmStore = null, taskTypes = null) {
     this.eventBus = new EventEmitter();
     this.swarms = new Map();
-    this.agents = new Map();
+    // Shared with AgentService so both work on the same persisted agents
+    this.agents = agentStore || new AgentStore();
+    // Past performance, to prefer agents that do well on a task type
+    this.agentMetrics = agentMetrics;
     this.tasks = new Map();
+    this.store = swarmStore || new SwarmStore();
+    // Registered task types, for the capabilities each needs
+    this.taskTypes = taskTypes;
     this.redisClient = null;
     this.isRedisEnabled = false;
   }
@@ -47,6 +59,53 @@ export class SwarmService {
     }
   }
 
+  /**
+   * Load stored swarms and tasks. Call once agents are loaded and
+   * AgentService listens for assignments. Tasks that were assigned or
+   * running lost their agent when the process stopped, so they go back to
+   * pending and are scheduled again with the rest of the queue.
+   */
+  async restore() {
+    const { swarms, tasks } = await this.store.load();
+
+    for (const record of swarms) {
+      const agents = this.agents.list(record.id).map(agent => agent.id);
+      this.swarms.set(record.id, {
+        ...record,
+        agents,
+        agentCount: agents.length,
+        activeAgents: 0,
+        tasks: []
+      });
+    }
+
+    for (const record of tasks) {
+      this.tasks.set(record.id, { ...record, subtasks: [] });
+    }
+    for (const task of this.tasks.values()) {
+      this.swarms.get(task.swarmId)?.tasks.push(task.id);
+      if (task.parentTaskId) {
+        this.tasks.get(task.parentTaskId)?.subtasks.push(task.id);
+      }
+    }
+
+    const interrupted = Array.from(this.tasks.values()).filter(task => ['assigned', 'running'].includes(task.status));
+    for (const task of interrupted) {
+      Object.assign(task, {
+        status: 'pending',
+        assignedAgents: [],
+        progress: 0,
+        assignedAt: null,
+        startedAt: null
+      });
+      await this.store.saveTask(task);
+      this.publishEvent('task:requeued', { taskId: task.id, swarmId: task.swarmId || null });
+    }
+
+    await this.checkPendingTasks();
+    return { swarms: swarms.length, tasks: tasks.length, requeued: interrupted.length };
+  }
+
   /**
    * Create a new swarm of agents with specific capabilities
    */
@@ -68,21 +127,21 @@ export class SwarmService {
     };
     
     this.swarms.set(swarmId, swarm);
+    // Stored before its agents, which refer to it
+    await this.store.saveSwarm(swarm);
     
     // Create agents based on configuration
     if (config.agents && Array.isArray(config.agents)) {
       for (const agentConfig of config.agents) {
-        const agent = await this.createAgent({
+        await this.createAgent({
           ...agentConfig,
           swarmId
         });
-        
-        swarm.agents.push(agent.id);
-        swarm.agentCount++;
       }
     }
     
     swarm.status = 'ready';
+    await this.store.saveSwarm(swarm);
     this.publishEvent('swarm:created', { swarm });
     
     return swarm;
@@ -97,6 +156,7 @@ export class SwarmService {
     const agent = {
       id: agentId,
       name: config.name || `Agent-${agentId.substring(0, 8)}`,
+      description: config.description || null,
       type: config.type || 'worker',
       capabilities: config.capabilities || [],
       swarmId: config.swarmId || null,
@@ -104,27 +164,41 @@ export class SwarmService {
       createdAt: new Date().toISOString(),
       lastActive: new Date().toISOString(),
       tasksCompleted: 0,
+      averageResponseTime: 0,
       currentTask: null,
       memory: config.memory || [],
       context: config.context || {},
       role: config.role || 'general',
-      priority: config.priority || 5
+      templateId: config.templateId || null,
+      systemPrompt: config.systemPrompt || null,
+      model: config.model || null,
+      tools: config.tools || [],
+      permissions: config.permissions || null,
+      priority: config.priority || 5,
+      maxConcurrentTasks: config.maxConcurrentTasks || 1,
+      requestsPerMinute: config.requestsPerMinute || null
     };
     
-    this.agents.set(agentId, agent);
+    await this.agents.save(agent);
+    this.registerAgent(agent);
     
-    // Add to swarm if part of one
+    return agent;
+  }
+
+  /**
+   * Add an agent that is already in the store to its swarm and announce it
+   */
+  registerAgent(agent) {
     if (agent.swarmId && this.swarms.has(agent.swarmId)) {
       const swarm = this.swarms.get(agent.swarmId);
-      if (!swarm.agents.includes(agentId)) {
-        swarm.agents.push(agentId);
+      if (!swarm.agents.includes(agent.id)) {
+        swarm.agents.push(agent.id);
         swarm.agentCount++;
+        this.store.saveSwarm(swarm);
       }
     }
     
     this.publishEvent('agent:created', { agent });
-    
-    return agent;
   }
 
   /**
@@ -151,6 +225,7 @@ export class SwarmService {
     };
     
     this.tasks.set(taskId, task);
+    await this.store.saveTask(task);
     
     // If task has a swarm, add to swarm's task list
     if (task.swarmId && this.swarms.has(task.swarmId)) {
@@ -171,7 +246,8 @@ export class SwarmService {
    */
   async scheduleTask(taskId) {
     const task = this.tasks.get(taskId);
-    if (!task) return null;
+    // Overlapping passes over the pending tasks may reach one already assigned
+    if (!task || task.status !== 'pending') return null;
     
     // Check if task is ready based on dependencies
     if (task.dependencies.length > 0) {
@@ -186,28 +262,46 @@ export class SwarmService {
       }
     }
     
-    // Find suitable agent based on capabilities and status
+    // Find suitable agent based on capabilities and free slots
     let assignedAgent = null;
     
+    // Capabilities the task's type needs, plus any the task asks for itself
+    const requiredCapabilities = [...new Set([
+      ...(this.taskTypes?.get(task.type)?.capabilities || []),
+      ...(Array.isArray(task.requiredCapabilities) ? task.requiredCapabilities : [])
+    ])];
+    
     // If task is part of a swarm, only consider agents from that swarm
     const candidateAgents = Array.from(this.agents.values()).filter(agent => {
       if (task.swarmId && agent.swarmId !== task.swarmId) return false;
-      if (agent.status !== 'idle') return false;
+      if (!['idle', 'busy'].includes(agent.status) || !this.agents.hasCapacity(agent)) return false;
       
       // Check if agent has required capabilities
-      if (task.requiredCapabilities && Array.isArray(task.requiredCapabilities)) {
-        return task.requiredCapabilities.every(cap => agent.capabilities.includes(cap));
-      }
-      
-      return true;
+      return requiredCapabilities.every(cap => (agent.capabilities || []).includes(cap));
     });
     
-    // Sort by priority and idle time
+    // Sort by priority, past performance, load and idle time
+    // Scores are compared in steps of 0.1 so small differences leave it to load
+    const performance = new Map(candidateAgents.map(agent => [
+      agent.id,
+      this.agentMetrics ? Math.round(this.agentMetrics.score(agent.id, task.type) * 10) : 0
+    ]));
     candidateAgents.sort((a, b) => {
       // Higher priority agents first
       if (a.priority !== b.priority) {
         return b.priority - a.priority;
       }
+
+      // Then agents that did better on this type of task
+      if (performance.get(a.id) !== performance.get(b.id)) {
+        return performance.get(b.id) - performance.get(a.id);
+      }
+      
+      // Then the agent using the smaller share of its slots
+      const load = (agent) => this.agents.workload(agent.id) / (agent.maxConcurrentTasks || 1);
+      if (load(a) !== load(b)) {
+        return load(a) - load(b);
+      }
       
       // Then by idle time (agents idle longer get priority)
       return new Date(a.lastActive) - new Date(b.lastActive);
@@ -216,15 +310,18 @@ export class SwarmService {
     if (candidateAgents.length > 0) {
       assignedAgent = candidateAgents[0];
       
-      // Update agent status
+      // Hold one of the agent's slots until the task finishes
+      this.agents.claimSlot(assignedAgent.id, taskId);
       assignedAgent.status = 'busy';
       assignedAgent.currentTask = taskId;
       assignedAgent.lastActive = new Date().toISOString();
       
-      // Update task status
+      // Update task status before saving so a concurrent pass can't assign it again
       task.status = 'assigned';
       task.assignedAgents.push(assignedAgent.id);
       task.assignedAt = new Date().toISOString();
+      await this.agents.save(assignedAgent);
+      await this.store.saveTask(task);
       
       this.publishEvent('task:assigned', { taskId, agentId: assignedAgent.id });
       
@@ -248,51 +345,63 @@ export class SwarmService {
     if (updates.status === 'completed') {
       task.completedAt = new Date().toISOString();
       
-      // If agents were assigned, mark them as idle
-      for (const agentId of task.assignedAgents) {
-        const agent = this.agents.get(agentId);
-        if (agent) {
-          agent.status = 'idle';
-          agent.currentTask = null;
-          agent.tasksCompleted++;
-          agent.lastActive = new Date().toISOString();
-          
-          // Add to agent memory
-          agent.memory.push({
-            taskId,
-            type: task.type,
-            result: task.result,
-            timestamp: new Date().toISOString()
-          });
-          
-          // Keep memory at a reasonable size
-          if (agent.memory.length > 100) {
-            agent.memory = agent.memory.slice(-100);
-          }
-        }
-      }
+      // Free up assigned agents; AgentService records their stats and memory
+      await this.releaseAgents(task);
       
       // Check if this unblocks dependent tasks
       this.checkDependentTasks(taskId);
-    } else if (updates.status === 'failed') {
-      task.failedAt = new Date().toISOString();
+    } else if (['failed', 'cancelled', 'timed_out'].includes(updates.status)) {
+      task[updates.status === 'failed' ? 'failedAt' : 'stoppedAt'] = new Date().toISOString();
       
       // Free up assigned agents
-      for (const agentId of task.assignedAgents) {
-        const agent = this.agents.get(agentId);
-        if (agent) {
-          agent.status = 'idle';
-          agent.currentTask = null;
-          agent.lastActive = new Date().toISOString();
-        }
-      }
+      await this.releaseAgents(task);
     }
+    await this.store.saveTask(task);
     
     this.publishEvent('task:updated', { taskId, updates });
     
     return task;
   }
 
+  /**
+   * Free the slots a finished task held. An agent stays busy while it has
+   * other tasks; freed slots go to pending tasks.
+   */
+  async releaseAgents(task) {
+    let freed = false;
+    for (const agentId of task.assignedAgents) {
+      const agent = this.agents.get(agentId);
+      if (!agent || !this.agents.holdsSlot(agentId, task.id)) continue;
+
+      const remaining = this.agents.releaseSlot(agentId, task.id);
+      if (remaining === 0) {
+        agent.status = 'idle';
+      }
+      if (agent.currentTask === task.id) {
+        agent.currentTask = null;
+      }
+      agent.lastActive = new Date().toISOString();
+      await this.agents.save(agent);
+      freed = true;
+    }
+
+    if (freed) {
+      this.checkPendingTasks().catch(error => console.error('⚠️ Failed to schedule pending tasks:', error.message));
+    }
+  }
+
+  /**
+   * Cancel a task that is still waiting for an agent. Running tasks are
+   * cancelled through AgentService, which aborts the work itself.
+   */
+  async cancelTask(taskId, reason = 'Cancelled') {
+    const task = this.tasks.get(taskId);
+    if (!task || !['pending', 'assigned'].includes(task.status)) return null;
+
+    this.publishEvent('task:cancelled', { taskId, swarmId: task.swarmId || null, reason });
+    return task;
+  }
+
   /**
    * Check and schedule tasks that depend on a completed task
    */
@@ -317,22 +426,34 @@ export class SwarmService {
   }
 
   /**
-   * Send a message between agents
+   * Send a message between agents. Either side may be "user" for messages
+   * from or to a person. kind is "message", "request" (the recipient is
+   * expected to answer) or "response" with the request's id as
+   * correlationId; replies pass the threadId of the message they answer.
    */
-  async sendAgentMessage(fromAgentId, toAgentId, message) {
+  async sendAgentMessage(fromAgentId, toAgentId, message, { kind = 'message', correlationId = null, threadId = null, metadata = {} } = {}) {
     const fromAgent = this.agents.get(fromAgentId);
     const toAgent = this.agents.get(toAgentId);
     
-    if (!fromAgent || !toAgent) {
+    if ((!fromAgent && fromAgentId !== 'user') || (!toAgent && toAgentId !== 'user') || fromAgentId === toAgentId) {
       throw new Error('Invalid agent IDs');
     }
+    if (kind === 'response' && !correlationId) {
+      throw new Error('A response needs the correlationId of the request it answers');
+    }
     
+    const id = uuidv4();
     const messageObj = {
-      id: uuidv4(),
+      id,
+      threadId: threadId || id,
       from: fromAgentId,
       to: toAgentId,
+      swarmId: toAgent?.swarmId || fromAgent?.swarmId || null,
+      kind,
+      correlationId,
       content: message,
-      timestamp: new Date().toISOString()
+      metadata,
+      createdAt: new Date().toISOString()
     };
     
     this.publishEvent('agent:message', messageObj);
@@ -380,6 +501,7 @@ export class SwarmService {
       ...swarm.sharedMemory,
       ...updates
     };
+    await this.store.saveSwarm(swarm);
     
     this.publishEvent('swarm:memory_updated', {
       swarmId,
@@ -402,10 +524,7 @@ export class SwarmService {
    * Get all agents, optionally filtered by swarm
    */
   getAgents(swarmId = null) {
-    if (swarmId) {
-      return Array.from(this.agents.values()).filter(agent => agent.swarmId === swarmId);
-    }
-    return Array.from(this.agents.values());
+    return this.agents.list(swarmId);
   }
 
   /**
@@ -491,6 +610,24 @@ export class SwarmService {
         completedAt: new Date().toISOString()
       });
     });
+
+    // Handle tasks an agent has started working on
+    this.eventBus.on('task:started', ({ taskId }) => {
+      if (this.tasks.get(taskId)?.status !== 'assigned') return;
+      this.updateTaskStatus(taskId, { status: 'running', startedAt: new Date().toISOString() });
+    });
+
+    // Handle task failure
+    this.eventBus.on('task:failed', ({ taskId, error }) => {
+      this.updateTaskStatus(taskId, { status: 'failed', error });
+    });
+
+    // Handle tasks stopped by cancellation or their time limit
+    for (const status of ['cancelled', 'timed_out']) {
+      this.eventBus.on(`task:${status}`, ({ taskId, reason }) => {
+        this.updateTaskStatus(taskId, { status, error: reason });
+      });
+    }
   }
 
   /**
@@ -526,15 +663,18 @@ export class SwarmService {
       createdAt: new Date().toISOString(),
       swarmId: parentTask.swarmId,
       assignedAgents: [],
+      dependencies: config.dependencies || [],
       result: null,
       context: {
         ...parentTask.context,
         ...config.context
-      }
+      },
+      subtasks: []
     };
     
     this.tasks.set(subtaskId, subtask);
     parentTask.subtasks.push(subtaskId);
+    await this.store.saveTask(subtask);
     
     this.publishEvent('subtask:created', { 
       subtask,
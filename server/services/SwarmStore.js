@@ -0,0 +1,108 @@
+// Swarm and task fields stored in the swarms and tasks tables
+const SWARM_FIELDS = ['name', 'description', 'status', 'agentCount', 'sharedMemory', 'owner', 'createdAt'];
+const TASK_FIELDS = [
+  'type',
+  'description',
+  'status',
+  'priority',
+  'swarmId',
+  'parentTaskId',
+  'assignedAgents',
+  'dependencies',
+  'result',
+  'progress',
+  'context',
+  'deadline',
+  'error',
+  'createdAt',
+  'assignedAt',
+  'startedAt',
+  'completedAt',
+  'failedAt',
+  'stoppedAt'
+];
+const TASK_DATES = ['deadline', 'createdAt', 'assignedAt', 'startedAt', 'completedAt', 'failedAt', 'stoppedAt'];
+
+function toISOString(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+function pick(record, fields) {
+  return JSON.parse(JSON.stringify(
+    Object.fromEntries(fields.filter(field => record[field] !== undefined).map(field => [field, record[field]]))
+  ));
+}
+
+/**
+ * SwarmStore - Writes SwarmService's swarms and tasks to the database
+ *
+ * SwarmService keeps working on its own swarm and task objects; the store
+ * saves their persisted fields whenever they change and reads them back at
+ * startup. As in AgentStore, writes for the same record are applied in
+ * order and a failed write is logged, not thrown. Without a database
+ * nothing is saved.
+ */
+export class SwarmStore {
+  constructor(databaseService = null) {
+    this.databaseService = databaseService;
+    this.pendingWrites = new Map();
+  }
+
+  /**
+   * Read every stored swarm and task, with dates as ISO strings
+   */
+  async load() {
+    if (!this.databaseService) return { swarms: [], tasks: [] };
+
+    const [swarmRecords, taskRecords] = await Promise.all([
+      this.databaseService.getSwarms(),
+      this.databaseService.getTasks()
+    ]);
+    const swarms = swarmRecords.map(({ agents, tasks, updatedAt, ...record }) => ({
+      ...record,
+      createdAt: toISOString(record.createdAt),
+      sharedMemory: record.sharedMemory || {}
+    }));
+    const tasks = taskRecords.map(({ swarm, ...record }) => ({
+      ...record,
+      ...Object.fromEntries(TASK_DATES.map(field => [field, toISOString(record[field]) ?? null])),
+      context: record.context || {}
+    }));
+    return { swarms, tasks };
+  }
+
+  saveSwarm(swarm) {
+    if (!this.databaseService) return Promise.resolve();
+    const data = pick(swarm, SWARM_FIELDS);
+    return this.enqueue(`swarm:${swarm.id}`, () => this.databaseService.upsertSwarm(swarm.id, data));
+  }
+
+  saveTask(task) {
+    if (!this.databaseService) return Promise.resolve();
+    const data = pick(task, TASK_FIELDS);
+    return this.enqueue(`task:${task.id}`, () => this.databaseService.upsertTask(task.id, data));
+  }
+
+  // Run the write once earlier writes for the same record are done
+  async enqueue(key, write) {
+    const previous = this.pendingWrites.get(key) || Promise.resolve();
+    const pending = previous
+      .then(write)
+      .catch(error => console.error(`⚠️ Failed to persist ${key}:`, error.message))
+      .finally(() => {
+        if (this.pendingWrites.get(key) === pending) {
+          this.pendingWrites.delete(key);
+        }
+      });
+    this.pendingWrites.set(key, pending);
+
+    await pending;
+  }
+
+  /**
+   * Wait for outstanding writes, e.g. before shutting down
+   */
+  async flush() {
+    await Promise.all(this.pendingWrites.values());
+  }
+}
@@ -0,0 +1,161 @@
+import { existsSync, readdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { validateSchema, SchemaValidationError } from './SchemaValidator.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PLUGIN_DIR = join(__dirname, '../plugins/task-types');
+
+/**
+ * Thrown when a task is missing inputs its type requires
+ */
+export class TaskInputError extends Error {
+  constructor(type, errors) {
+    super(`Invalid ${type} task: ${errors.slice(0, 5).join('; ')}`);
+    this.name = 'TaskInputError';
+    this.code = 'invalid_task_input';
+    this.errors = errors;
+  }
+}
+
+// code_generation -> Code Generation
+function humanize(id) {
+  return id.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * TaskTypeRegistry - Task types agents can execute
+ *
+ * Each type has a name, an input schema the task is validated against, a
+ * result schema the handler's output is validated against, the capabilities
+ * an agent needs for it (SwarmService only assigns the type's tasks to agents
+ * that have them), an optional timeoutMs and an
+ * execute(agent, task, context, services) function. context.signal aborts
+ * when the task is cancelled or times out; handlers pass it on to the LLM and
+ * sandbox calls they make. Built-in types are registered by AgentService;
+ * further types are loaded at startup from the plugin directory
+ * (TASK_TYPE_PLUGIN_DIR), where every .js/.mjs file default-exports one
+ * definition or an array of them.
+ */
+export class TaskTypeRegistry {
+  constructor() {
+    this.taskTypes = new Map();
+  }
+
+  register({
+    type,
+    name,
+    description,
+    inputSchema,
+    resultSchema,
+    capabilities = [],
+    timeoutMs = null,
+    source = 'builtin',
+    execute
+  }) {
+    if (!type || typeof execute !== 'function') {
+      throw new Error('Task type registration requires a type and an execute function');
+    }
+
+    const existing = this.taskTypes.get(type);
+    if (existing && existing.source !== source) {
+      console.warn(`⚠️ Task type ${type} from ${existing.source} replaced by ${source}`);
+    }
+
+    this.taskTypes.set(type, {
+      type,
+      name: name || humanize(type),
+      description: description || '',
+      inputSchema: inputSchema || { type: 'object', properties: {} },
+      resultSchema: resultSchema || null,
+      capabilities,
+      timeoutMs,
+      source,
+      execute
+    });
+  }
+
+  unregister(type) {
+    return this.taskTypes.delete(type);
+  }
+
+  has(type) {
+    return this.taskTypes.has(type);
+  }
+
+  get(type) {
+    return this.taskTypes.get(type) || null;
+  }
+
+  list() {
+    return Array.from(this.taskTypes.values()).map(({ execute, ...taskType }) => taskType);
+  }
+
+  /**
+   * Every capability some task type requires, in registration order
+   */
+  listCapabilities() {
+    const ids = [...new Set(Array.from(this.taskTypes.values()).flatMap(taskType => taskType.capabilities))];
+    return ids.map(id => ({ id, name: humanize(id) }));
+  }
+
+  /**
+   * Check a task against its type's input schema; throws TaskInputError
+   */
+  validateInput(type, task) {
+    const taskType = this.taskTypes.get(type);
+    if (!taskType) {
+      throw new Error(`Unknown task type: ${type}`);
+    }
+
+    // Fields spread in from optional sources may be present but undefined
+    const input = Object.fromEntries(Object.entries(task).filter(([, value]) => value !== undefined));
+    const inputErrors = validateSchema(input, taskType.inputSchema, '$.task');
+    if (inputErrors.length > 0) {
+      throw new TaskInputError(type, inputErrors);
+    }
+    return taskType;
+  }
+
+  async execute(type, agent, task, context = {}, services = {}) {
+    const taskType = this.validateInput(type, task);
+
+    const result = await taskType.execute(agent, task, context, services);
+
+    if (taskType.resultSchema) {
+      const resultErrors = validateSchema(result, taskType.resultSchema);
+      if (resultErrors.length > 0) {
+        throw new SchemaValidationError(resultErrors, result);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Register the task types exported by every module in the plugin
+   * directory. A broken plugin is logged and skipped.
+   */
+  async loadPlugins(directory = process.env.TASK_TYPE_PLUGIN_DIR || DEFAULT_PLUGIN_DIR) {
+    if (!existsSync(directory)) return 0;
+
+    let loaded = 0;
+    const files = readdirSync(directory).filter(file => /\.m?js$/.test(file)).sort();
+    for (const file of files) {
+      try {
+        const module = await import(pathToFileURL(join(directory, file)).href);
+        const definitions = [].concat(module.default || []);
+        for (const definition of definitions) {
+          this.register({ ...definition, source: `plugin:${file}` });
+          loaded++;
+        }
+      } catch (error) {
+        console.error(`❌ Failed to load task type plugin ${file}:`, error.message);
+      }
+    }
+
+    if (loaded > 0) {
+      console.log(`🧩 Loaded ${loaded} task types from ${directory}`);
+    }
+    return loaded;
+  }
+}
@@ -0,0 +1,398 @@
+/**
+ * TestRunner - Runs generated tests against code in the sandbox
+ *
+ * JavaScript runs under node:test with its built-in coverage; Python runs
+ * under pytest when it is installed and unittest otherwise, with coverage.py
+ * when that is installed. The code is saved as the module the tests import
+ * (see plan()) and the runner's report is parsed into per-test results and
+ * coverage percentages for the code under test.
+ */
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const MAX_OUTPUT = 4000;
+const MAX_MESSAGE = 1000;
+
+const LANGUAGES = {
+  javascript: 'javascript',
+  js: 'javascript',
+  python: 'python',
+  py: 'python'
+};
+
+function truncate(text, limit) {
+  return text && text.length > limit ? `${text.slice(0, limit)}…` : text || '';
+}
+
+function tail(text) {
+  return text && text.length > MAX_OUTPUT ? `…${text.slice(-MAX_OUTPUT)}` : text || '';
+}
+
+function percent(covered, total) {
+  return total > 0 ? Math.round((covered / total) * 10000) / 100 : 100;
+}
+
+// Module format the code is written in; plain scripts are treated as ES modules
+function moduleFormat(code) {
+  if (/^\s*(?:import|export)\s/m.test(code)) return 'esm';
+  if (/\bmodule\.exports\b|\bexports\.[\w$]+\s*=|\brequire\s*\(/.test(code)) return 'cjs';
+  return 'esm';
+}
+
+/**
+ * Export the code's top-level declarations when it exports nothing, so the
+ * tests can import whatever they need
+ */
+export function exposeDeclarations(code, format) {
+  const exportsSomething = format === 'esm'
+    ? /^\s*export\s/m.test(code)
+    : /\bmodule\.exports\b|\bexports\.[\w$]+\s*=/.test(code);
+  if (exportsSomething) return code;
+
+  const names = new Set();
+  const declaration = /^(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)|^class\s+([A-Za-z_$][\w$]*)|^(?:const|let|var)\s+([A-Za-z_$][\w$]*)/gm;
+  for (const match of code.matchAll(declaration)) {
+    names.add(match[1] || match[2] || match[3]);
+  }
+  if (names.size === 0) return code;
+
+  const list = Array.from(names).join(', ');
+  return format === 'esm'
+    ? `${code}\n\nexport { ${list} };\n`
+    : `${code}\n\nmodule.exports = { ${list} };\n`;
+}
+
+/**
+ * Parse node:test TAP output. Suites are left out; a test inside a suite is
+ * named "suite > test".
+ */
+export function parseTap(output) {
+  const lines = output.split('\n');
+  const names = [];
+  const tests = [];
+  // Comments printed before a test file's result, e.g. the error that stopped it loading
+  let diagnostics = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const subtest = line.match(/^(\s*)# Subtest: (.*)$/);
+    if (subtest) {
+      const level = subtest[1].length / 4;
+      names.length = level;
+      names[level] = subtest[2];
+      continue;
+    }
+    if (line.startsWith('# ') && tests.length === 0 && names.length === 0) {
+      diagnostics.push(line.slice(2));
+      continue;
+    }
+
+    const result = line.match(/^(\s*)(not ok|ok) \d+ - (.*?)(?: # (SKIP|TODO)\b.*)?$/);
+    if (!result) continue;
+
+    const level = result[1].length / 4;
+    const yaml = {};
+    if (lines[i + 1]?.trim() === '---') {
+      const keyIndent = result[1].length + 2;
+      let j = i + 2;
+      for (; j < lines.length && lines[j].trim() !== '...'; j++) {
+        const entry = lines[j].match(/^(\s*)([\w]+): ?(.*)$/);
+        if (!entry || entry[1].length !== keyIndent) continue;
+        const [, , key, value] = entry;
+        if (value === '|-' || value === '|') {
+          const block = [];
+          while (j + 1 < lines.length && (lines[j + 1].trim() === '' || lines[j + 1].match(/^(\s*)/)[1].length > keyIndent)) {
+            block.push(lines[++j].slice(keyIndent + 2));
+          }
+          yaml[key] = block.join('\n').trim();
+        } else {
+          yaml[key] = value.replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+        }
+      }
+      i = j;
+    }
+    if (yaml.type === 'suite') continue;
+
+    let status = result[2] === 'ok' ? 'passed' : 'failed';
+    if (result[4]) status = 'skipped';
+    if (level === 0 && yaml.error === 'test failed' && diagnostics.length > 0) {
+      yaml.error = diagnostics.filter(entry => !/^\s+at /.test(entry)).join('\n');
+    }
+    diagnostics = [];
+    tests.push({
+      name: [...names.slice(0, level), result[3]].join(' > '),
+      status,
+      durationMs: yaml.duration_ms ? Math.round(parseFloat(yaml.duration_ms) * 100) / 100 : null,
+      ...(status === 'failed' && { error: truncate(yaml.error || yaml.failureType || 'Test failed', MAX_MESSAGE) })
+    });
+  }
+  return tests;
+}
+
+/**
+ * Coverage row for one file from node:test's coverage table
+ */
+export function parseNodeCoverage(output, file) {
+  const escaped = file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const row = output.match(new RegExp(`^# ${escaped}\\s*\\|\\s*([\\d.]+)\\s*\\|\\s*([\\d.]+)\\s*\\|\\s*([\\d.]+)\\s*\\|(.*)$`, 'm'));
+  if (!row) return null;
+  return {
+    tool: 'node:test',
+    lines: parseFloat(row[1]),
+    branches: parseFloat(row[2]),
+    functions: parseFloat(row[3]),
+    statements: null,
+    uncoveredLines: row[4].trim()
+  };
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse a pytest JUnit XML report
+ */
+export function parseJUnit(xml) {
+  const tests = [];
+  const testcase = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+  for (const [, attributes, body = ''] of xml.matchAll(testcase)) {
+    const attribute = (name) => {
+      const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+      return match ? unescapeXml(match[1]) : '';
+    };
+    const problem = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+    const skipped = /<skipped\b/.test(body);
+
+    let status = 'passed';
+    if (problem) status = 'failed';
+    else if (skipped) status = 'skipped';
+
+    const className = attribute('classname');
+    let error;
+    if (problem) {
+      const message = problem[2].match(/\bmessage="([^"]*)"/);
+      error = truncate(unescapeXml(message ? message[1] : (problem[3] || problem[1]).trim()), MAX_MESSAGE);
+    }
+    tests.push({
+      name: [className.split('.').slice(1).join('.'), attribute('name')].filter(Boolean).join(' > '),
+      status,
+      durationMs: attribute('time') ? Math.round(parseFloat(attribute('time')) * 100000) / 100 : null,
+      ...(error && { error })
+    });
+  }
+  return tests;
+}
+
+/**
+ * Parse `python -m unittest -v` output: one "name (module.Class.name) ...
+ * status" line per test and a traceback section per failure
+ */
+export function parseUnittest(output) {
+  const tests = [];
+  let pending = null;
+  for (const line of output.split('\n')) {
+    const start = line.match(/^(\w+) \(([\w.]+)\)/);
+    if (start) pending = { method: start[1], id: start[2] };
+    const outcome = line.match(/ \.\.\. (ok|FAIL|ERROR|skipped|expected failure|unexpected success)/);
+    if (!pending || !outcome) continue;
+
+    let status = 'passed';
+    if (outcome[1] === 'FAIL' || outcome[1] === 'ERROR' || outcome[1] === 'unexpected success') status = 'failed';
+    else if (outcome[1] === 'skipped') status = 'skipped';
+    tests.push({
+      name: [pending.id.split('.').slice(1, -1).join('.'), pending.method].filter(Boolean).join(' > '),
+      status,
+      durationMs: null,
+      id: pending.id
+    });
+    pending = null;
+  }
+
+  // "FAIL: test_x (module.Class.test_x)", a rule, then the traceback
+  const sections = output.split(/^={20,}$/m).slice(1);
+  for (const section of sections) {
+    const header = section.match(/^\s*(?:FAIL|ERROR): (\w+) \(([\w.]+)\)/);
+    if (!header) continue;
+    const body = section.split(/^-{20,}$/m)[1] || '';
+    const message = body.trim().split('\n').filter(line => line.trim()).pop() || 'Test failed';
+    const test = tests.find(entry => entry.id === header[2]);
+    if (test) test.error = truncate(message.trim(), MAX_MESSAGE);
+  }
+  return tests.map(({ id, ...test }) => test);
+}
+
+/**
+ * Coverage for one file from `coverage json`
+ */
+export function parseCoverageJson(json, file) {
+  let report;
+  try {
+    report = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  const summary = report.files?.[file]?.summary;
+  if (!summary) return null;
+
+  const statements = percent(summary.covered_lines, summary.num_statements);
+  return {
+    tool: 'coverage.py',
+    lines: statements,
+    branches: summary.num_branches !== undefined ? percent(summary.covered_branches, summary.num_branches) : null,
+    functions: null,
+    statements,
+    uncoveredLines: (report.files[file].missing_lines || []).join(', ')
+  };
+}
+
+export class TestRunner {
+  constructor(sandboxService, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    this.sandboxService = sandboxService;
+    this.timeoutMs = timeoutMs;
+    // Whether a Python module is importable in the sandbox, by name
+    this.pythonModules = new Map();
+  }
+
+  supports(language) {
+    return !!LANGUAGES[(language || '').toLowerCase()];
+  }
+
+  hasPythonModule(name) {
+    if (!this.pythonModules.has(name)) {
+      this.pythonModules.set(name, this.sandboxService
+        .runInSession({}, [{ command: 'python3', args: ['-c', `import ${name}`] }], { timeoutMs: 10000 })
+        .then(({ steps }) => steps[0].exitCode === 0)
+        .catch(() => false));
+    }
+    return this.pythonModules.get(name);
+  }
+
+  /**
+   * Decide how the tests will run before they are written: the framework,
+   * the file names, and setup instructions for the prompt. framework picks
+   * unittest over pytest for Python; JavaScript always uses node:test.
+   */
+  async plan(language, code, framework = '') {
+    if (LANGUAGES[language.toLowerCase()] === 'javascript') {
+      const format = moduleFormat(code);
+      const extension = format === 'esm' ? 'mjs' : 'cjs';
+      const moduleFile = `solution.${extension}`;
+      return {
+        language: 'javascript',
+        framework: 'node:test',
+        format,
+        moduleFile,
+        testFileName: `solution.test.${extension}`,
+        setup: format === 'esm'
+          ? `The code is saved as ${moduleFile}. Import what you test from './${moduleFile}' and use node:test with node:assert: import { describe, test } from 'node:test'; import assert from 'node:assert/strict';`
+          : `The code is saved as ${moduleFile}. Require what you test from './${moduleFile}' and use node:test with node:assert: const { describe, test } = require('node:test'); const assert = require('node:assert/strict');`
+      };
+    }
+
+    const usePytest = !/unittest/i.test(framework) && await this.hasPythonModule('pytest');
+    return {
+      language: 'python',
+      framework: usePytest ? 'pytest' : 'unittest',
+      moduleFile: 'solution.py',
+      testFileName: 'test_solution.py',
+      setup: usePytest
+        ? 'The code is saved as solution.py. Import what you test with `from solution import ...` and write pytest test functions named test_*.'
+        : 'The code is saved as solution.py. Import what you test with `from solution import ...` and write unittest.TestCase classes with test_* methods.'
+    };
+  }
+
+  /**
+   * Write the code and the test file into one sandbox session, run the
+   * tests and parse the results. Resolves to { framework, tests, passed,
+   * failed, skipped, failures, coverage, exitCode, output, notes }; coverage
+   * is null when the runner could not measure it. With network false the
+   * tests run without network access.
+   */
+  async run(plan, code, testFile, { signal, network = true } = {}) {
+    const files = { [plan.testFileName]: testFile };
+    files[plan.moduleFile] = plan.language === 'javascript' ? exposeDeclarations(code, plan.format) : code;
+
+    const result = plan.language === 'javascript'
+      ? await this.runNode(plan, files, { signal, network })
+      : await this.runPython(plan, files, { signal, network });
+
+    const { tests } = result;
+    if (tests.length === 0 && result.exitCode !== 0) {
+      // Nothing ran, e.g. the test file does not load
+      tests.push({
+        name: plan.testFileName,
+        status: 'failed',
+        durationMs: null,
+        error: truncate(result.error.trim() || result.output.trim() || `Exit code ${result.exitCode}`, MAX_MESSAGE)
+      });
+    }
+
+    return {
+      framework: plan.framework,
+      tests,
+      passed: tests.filter(test => test.status === 'passed').length,
+      failed: tests.filter(test => test.status === 'failed').length,
+      skipped: tests.filter(test => test.status === 'skipped').length,
+      failures: tests.filter(test => test.status === 'failed').map(test => ({ name: test.name, message: test.error })),
+      coverage: result.coverage,
+      exitCode: result.exitCode,
+      output: tail([result.output, result.error].filter(Boolean).join('\n')),
+      notes: result.notes || []
+    };
+  }
+
+  async runNode(plan, files, { signal, network }) {
+    const { steps: [run] } = await this.sandboxService.runInSession(files, [{
+      command: 'node',
+      args: ['--test', '--experimental-test-coverage', '--test-reporter=tap', plan.testFileName]
+    }], { signal, network, timeoutMs: this.timeoutMs });
+
+    return {
+      // A file that fails to load is reported under its absolute path
+      tests: parseTap(run.output).map(test => test.name.endsWith(`/${plan.testFileName}`) ? { ...test, name: plan.testFileName } : test),
+      coverage: parseNodeCoverage(run.output, plan.moduleFile),
+      exitCode: run.exitCode,
+      output: run.output,
+      error: run.error
+    };
+  }
+
+  async runPython(plan, files, { signal, network }) {
+    const measure = await this.hasPythonModule('coverage');
+    const runner = plan.framework === 'pytest'
+      ? ['-m', 'pytest', '-q', '-p', 'no:cacheprovider', '--junitxml=report.xml', plan.testFileName]
+      : ['-m', 'unittest', '-v', plan.testFileName.replace(/\.py$/, '')];
+    const steps = [{
+      command: 'python3',
+      args: measure ? ['-m', 'coverage', 'run', '--branch', `--include=${plan.moduleFile}`, ...runner] : runner
+    }];
+    if (measure) {
+      steps.push({ command: 'python3', args: ['-m', 'coverage', 'json', '-o', 'coverage.json'] });
+    }
+
+    const { steps: [run], files: reports } = await this.sandboxService.runInSession(files, steps, {
+      environment: { PYTHONDONTWRITEBYTECODE: '1' },
+      readFiles: ['report.xml', 'coverage.json'],
+      signal,
+      network,
+      timeoutMs: this.timeoutMs
+    });
+
+    return {
+      tests: plan.framework === 'pytest'
+        ? parseJUnit(reports['report.xml'] || '')
+        : parseUnittest(`${run.output}\n${run.error}`),
+      coverage: reports['coverage.json'] ? parseCoverageJson(reports['coverage.json'], plan.moduleFile) : null,
+      exitCode: run.exitCode,
+      output: run.output,
+      error: run.error,
+      notes: measure ? [] : ['coverage.py is not installed in the sandbox, so coverage was not measured']
+    };
+  }
+}
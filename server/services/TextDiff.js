@@ -0,0 +1,95 @@
+/**
+ * Line-based unified diffs, used to show what an agent changed in code
+ */
+
+// Above this many line pairs the LCS table gets too big; the diff becomes
+// "remove everything, add everything" instead
+const MAX_LCS_CELLS = 4000000;
+
+// A trailing newline ends the last line rather than starting an empty one
+function toLines(text) {
+  if (text === '') return [];
+  return (text.endsWith('\n') ? text.slice(0, -1) : text).split('\n');
+}
+
+// Edit script from the longest common subsequence of lines
+function diffLines(before, after) {
+  const n = before.length;
+  const m = after.length;
+  if (n * m > MAX_LCS_CELLS) {
+    return [
+      ...before.map(line => ({ op: '-', line })),
+      ...after.map(line => ({ op: '+', line }))
+    ];
+  }
+
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (before[i] === after[j]) {
+      ops.push({ op: ' ', line: before[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ op: '-', line: before[i++] });
+    } else {
+      ops.push({ op: '+', line: after[j++] });
+    }
+  }
+  while (i < n) ops.push({ op: '-', line: before[i++] });
+  while (j < m) ops.push({ op: '+', line: after[j++] });
+  return ops;
+}
+
+/**
+ * Unified diff of two texts with `context` unchanged lines around each
+ * change. Identical texts give an empty string.
+ */
+export function unifiedDiff(before, after, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  if (before === after) return '';
+
+  let oldLine = 1;
+  let newLine = 1;
+  const ops = diffLines(toLines(before), toLines(after)).map(entry => {
+    const numbered = { ...entry, oldLine, newLine };
+    if (entry.op !== '+') oldLine++;
+    if (entry.op !== '-') newLine++;
+    return numbered;
+  });
+
+  const changed = ops.map((entry, index) => entry.op === ' ' ? -1 : index).filter(index => index >= 0);
+  if (changed.length === 0) return '';
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+
+  for (let c = 0; c < changed.length;) {
+    const start = Math.max(0, changed[c] - context);
+    let end = Math.min(ops.length, changed[c] + context + 1);
+    // Changes whose context overlaps share a hunk
+    while (c + 1 < changed.length && changed[c + 1] - context <= end) {
+      c++;
+      end = Math.min(ops.length, changed[c] + context + 1);
+    }
+    c++;
+
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(entry => entry.op !== '+').length;
+    const newCount = hunk.filter(entry => entry.op !== '-').length;
+    // An empty side starts at the line before, as in diff -u
+    const oldStart = oldCount === 0 ? hunk[0].oldLine - 1 : hunk[0].oldLine;
+    const newStart = newCount === 0 ? hunk[0].newLine - 1 : hunk[0].newLine;
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    lines.push(...hunk.map(entry => `${entry.op}${entry.line}`));
+  }
+
+  return lines.join('\n');
+}
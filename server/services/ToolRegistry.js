@@ -0,0 +1,263 @@
+import { matchesPattern, AgentPermissions, PermissionDeniedError } from './AgentPermissions.js';
+
+/**
+ * ToolRegistry - Tools the LLM can call through native function calling
+ *
+ * Each tool has a name, description, JSON schema for its arguments and an
+ * execute(args, context) function; context.signal, when set, aborts with the
+ * request that called the tool. getSchemas() renders the registered tools
+ * in the OpenAI "tools" format sent with chat completion requests.
+ *
+ * A tool's optional permission(args) describes what a call needs (see
+ * checkPermission in AgentPermissions.js). Every call is authorized first,
+ * against the agent's permissions or, outside agent tasks, the defaults;
+ * execute then gets the stored agent and those permissions in context. Tools
+ * registered with optIn (e.g. ones that write to GitHub) are left out of
+ * getSchemas() unless asked for by name.
+ */
+export class ToolRegistry {
+  constructor(agentPermissions = null) {
+    this.tools = new Map();
+    this.agentPermissions = agentPermissions || new AgentPermissions();
+  }
+
+  register({ name, description, parameters, source = 'builtin', permission = null, optIn = false, execute }) {
+    if (!name || typeof execute !== 'function') {
+      throw new Error('Tool registration requires a name and an execute function');
+    }
+
+    this.tools.set(name, {
+      name,
+      description: description || '',
+      parameters: parameters || { type: 'object', properties: {} },
+      source,
+      permission,
+      optIn,
+      execute
+    });
+  }
+
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  list() {
+    return Array.from(this.tools.values()).map(({ name, description, parameters, source }) => ({
+      name,
+      description,
+      parameters,
+      source
+    }));
+  }
+
+  /**
+   * Tool schemas in the chat completions "tools" format, limited to the
+   * given tool names; without names, every tool that is not opt-in
+   */
+  getSchemas(names = null) {
+    return Array.from(this.tools.values())
+      .filter(tool => (names ? names.includes(tool.name) : !tool.optIn))
+      .map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+  }
+
+  async execute(name, args = {}, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+    // Tools act as the stored agent, never as the object the caller passed in
+    const agent = this.agentPermissions.lookup(context.agent);
+    if (context.agent && !agent) {
+      await this.agentPermissions.logDenial(context.agent, name, { kind: 'agent', id: context.agent.id }, 'unknown agent', context.context);
+      throw new PermissionDeniedError(name, `unknown agent ${context.agent.id}`);
+    }
+    const permissions = await this.agentPermissions.authorize(tool, args, { ...context, agent });
+    return tool.execute(args, { ...context, agent, permissions });
+  }
+
+  /**
+   * Expose every MCP server tool through the registry
+   */
+  async registerMCPTools(mcpService) {
+    const tools = await mcpService.listTools();
+    for (const tool of tools) {
+      this.register({
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.inputSchema,
+        source: `mcp:${tool.server}`,
+        permission: () => ({ kind: 'mcp', tool: tool.name }),
+        execute: (args) => mcpService.executeTool(tool.name, args)
+      });
+    }
+  }
+
+  registerSandboxTools(sandboxService) {
+    this.register({
+      name: 'execute_code',
+      description: 'Execute a code snippet in an isolated sandbox and return stdout, stderr and the exit code',
+      parameters: {
+        type: 'object',
+        properties: {
+          code: { type: 'string', description: 'Source code to run' },
+          language: { type: 'string', enum: ['javascript', 'python', 'bash'], description: 'Language of the code' },
+          network: { type: 'boolean', description: 'Whether the code needs network access' }
+        },
+        required: ['code', 'language']
+      },
+      source: 'sandbox',
+      permission: ({ language, network }) => ({ kind: 'sandbox', language, network: network === true }),
+      // Code runs offline unless the permissions grant the network
+      execute: ({ code, language }, { signal, permissions } = {}) => sandboxService.executeCode(code, language, {}, {
+        signal,
+        network: permissions.sandbox.network
+      })
+    });
+  }
+
+  /**
+   * Let agents talk to their swarm peers mid-task. The calling agent comes
+   * from the tool context, so these only work inside agent tasks.
+   */
+  registerAgentTools(agentService) {
+    const requireAgent = (agent) => {
+      if (!agent) {
+        throw new Error('Only agents can message other agents');
+      }
+      return agent;
+    };
+
+    this.register({
+      name: 'ask_agent',
+      description: 'Ask another agent in your swarm a question and wait for its answer',
+      parameters: {
+        type: 'object',
+        properties: {
+          agent: { type: 'string', description: 'Name or id of the agent to ask' },
+          question: { type: 'string', description: 'What you need from the agent, with the context it needs to answer' }
+        },
+        required: ['agent', 'question']
+      },
+      source: 'agents',
+      execute: ({ agent, question }, context = {}) => agentService.askAgent(requireAgent(context.agent), agent, question, { signal: context.signal })
+    });
+
+    this.register({
+      name: 'message_agent',
+      description: 'Send another agent in your swarm a message without waiting for an answer',
+      parameters: {
+        type: 'object',
+        properties: {
+          agent: { type: 'string', description: 'Name or id of the agent' },
+          content: { type: 'string', description: 'The message' }
+        },
+        required: ['agent', 'content']
+      },
+      source: 'agents',
+      execute: ({ agent, content }, context = {}) => agentService.messageAgent(requireAgent(context.agent), agent, content)
+    });
+  }
+
+  registerGitHubTools(githubService, token = process.env.GITHUB_TOKEN) {
+    this.register({
+      name: 'read_github_file',
+      description: 'Read a file from a GitHub repository',
+      parameters: {
+        type: 'object',
+        properties: {
+          owner: { type: 'string', description: 'Repository owner' },
+          repo: { type: 'string', description: 'Repository name' },
+          path: { type: 'string', description: 'File path within the repository' }
+        },
+        required: ['owner', 'repo', 'path']
+      },
+      source: 'github',
+      permission: ({ owner, repo }) => ({ kind: 'github', access: 'read', repo: `${owner}/${repo}` }),
+      execute: ({ owner, repo, path }) => githubService.getFileContent(owner, repo, path, token)
+    });
+
+    this.register({
+      name: 'write_github_file',
+      description: 'Create or update a file in a GitHub repository with a commit',
+      parameters: {
+        type: 'object',
+        properties: {
+          owner: { type: 'string', description: 'Repository owner' },
+          repo: { type: 'string', description: 'Repository name' },
+          path: { type: 'string', description: 'File path within the repository' },
+          content: { type: 'string', description: 'New content of the file' },
+          message: { type: 'string', description: 'Commit message' },
+          branch: { type: 'string', description: 'Branch to commit to; the default branch when omitted' }
+        },
+        required: ['owner', 'repo', 'path', 'content', 'message']
+      },
+      source: 'github',
+      permission: ({ owner, repo }) => ({ kind: 'github', access: 'write', repo: `${owner}/${repo}` }),
+      optIn: true,
+      execute: ({ owner, repo, path, content, message, branch }) => githubService.putFileContent(owner, repo, path, content, message, token, branch)
+    });
+  }
+
+  /**
+   * Let swarm agents read and write their swarm's shared memory, limited to
+   * the keys their permissions allow
+   */
+  registerMemoryTools(swarmService) {
+    const swarmOf = (agent) => {
+      const swarm = agent?.swarmId ? swarmService.swarms.get(agent.swarmId) : null;
+      if (!swarm) {
+        throw new Error('Only agents in a swarm have shared memory');
+      }
+      return swarm;
+    };
+
+    this.register({
+      name: 'read_shared_memory',
+      description: 'Read entries of your swarm\'s shared memory',
+      parameters: {
+        type: 'object',
+        properties: {
+          keys: { type: 'array', items: { type: 'string' }, description: 'Keys to read; every key you may read when omitted' }
+        }
+      },
+      source: 'memory',
+      permission: ({ keys }) => (keys?.length ? { kind: 'memory', access: 'read', keys } : null),
+      execute: ({ keys }, { agent, permissions } = {}) => {
+        const memory = swarmOf(agent).sharedMemory;
+        return Object.fromEntries(Object.entries(memory)
+          .filter(([key]) => (keys?.length ? keys.includes(key) : matchesPattern(permissions.memory.read, key))));
+      }
+    });
+
+    this.register({
+      name: 'write_shared_memory',
+      description: 'Set an entry of your swarm\'s shared memory for the other agents',
+      parameters: {
+        type: 'object',
+        properties: {
+          key: { type: 'string', description: 'Memory key' },
+          value: { description: 'Value to store; null clears the key' }
+        },
+        required: ['key', 'value']
+      },
+      source: 'memory',
+      permission: ({ key }) => ({ kind: 'memory', access: 'write', keys: [key] }),
+      execute: async ({ key, value }, { agent } = {}) => {
+        const swarm = swarmOf(agent);
+        await swarmService.updateSwarmMemory(swarm.id, { [key]: value ?? null }, agent.id);
+        return { key, updated: true };
+      }
+    });
+  }
+}
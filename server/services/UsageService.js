@@ -0,0 +1,258 @@
+import { readFileSync, existsSync } from 'fs';
+
+// USD per million tokens. Reasoning tokens are billed as completion tokens.
+const DEFAULT_PRICES = {
+  'anthropic/claude-sonnet-4-0': { prompt: 3, completion: 15 },
+  'anthropic/claude-3-5-haiku-latest': { prompt: 0.8, completion: 4 },
+  'openai/gpt-4o': { prompt: 2.5, completion: 10 },
+  'openai/gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'openai/o3-mini': { prompt: 1.1, completion: 4.4 },
+  'mock/scripted': { prompt: 0, completion: 0 }
+};
+
+const BUCKETS = ['hour', 'day', 'week', 'month'];
+
+/**
+ * UsageService - Records token usage and cost for every LLM request
+ *
+ * Prices come from DEFAULT_PRICES, overridden per model by the JSON file at
+ * LLM_PRICE_TABLE ({ "<model>": { "prompt": 3, "completion": 15 } }, USD per
+ * million tokens). Recording never throws: a failed write is logged and the
+ * LLM response goes through regardless.
+ */
+export class UsageService {
+  constructor(databaseService = null, { priceTable = process.env.LLM_PRICE_TABLE, defaultOrganizationId = 'default-org' } = {}) {
+    this.databaseService = databaseService;
+    this.defaultOrganizationId = defaultOrganizationId;
+    this.prices = { ...DEFAULT_PRICES, ...this.loadPriceTable(priceTable) };
+    this.organizationCache = new Map();
+    this.unpricedModels = new Set();
+  }
+
+  loadPriceTable(file) {
+    if (!file) return {};
+    if (!existsSync(file)) {
+      console.warn(`⚠️ LLM price table not found at ${file}, using defaults`);
+      return {};
+    }
+
+    try {
+      return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error('❌ Failed to parse LLM price table:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Price for a model, falling back to a match without the vendor prefix
+   * ("gpt-4o" matches "openai/gpt-4o") and then to zero
+   */
+  getPrice(model) {
+    const baseName = model?.split('/').pop();
+    const price = this.prices[model] ||
+      Object.entries(this.prices).find(([name]) => name.split('/').pop() === baseName)?.[1];
+    if (!price) {
+      if (!this.unpricedModels.has(model)) {
+        this.unpricedModels.add(model);
+        console.warn(`⚠️ No price configured for model ${model}, recording cost as 0`);
+      }
+      return { prompt: 0, completion: 0 };
+    }
+    return price;
+  }
+
+  /**
+   * Normalise a chat completions usage object to token counts
+   */
+  normalizeUsage(usage = {}) {
+    const promptTokens = usage?.prompt_tokens || 0;
+    const completionTokens = usage?.completion_tokens || 0;
+    const reasoningTokens = usage?.completion_tokens_details?.reasoning_tokens || usage?.reasoning_tokens || 0;
+
+    return {
+      promptTokens,
+      completionTokens,
+      reasoningTokens,
+      totalTokens: usage?.total_tokens || promptTokens + completionTokens
+    };
+  }
+
+  calculateCost(model, { promptTokens, completionTokens }) {
+    const price = this.getPrice(model);
+    return (promptTokens * price.prompt + completionTokens * price.completion) / 1000000;
+  }
+
+  /**
+   * Organization a request is billed to: the explicit one, else the owner of
+   * the conversation, else the default organization (swarm and agent work)
+   */
+  async resolveOrganizationId(attribution) {
+    if (attribution.organizationId) {
+      return attribution.organizationId;
+    }
+
+    if (attribution.conversationId && this.databaseService) {
+      try {
+        if (!this.organizationCache.has(attribution.conversationId)) {
+          const organizationId = await this.databaseService.getConversationOrganizationId(attribution.conversationId);
+          this.organizationCache.set(attribution.conversationId, organizationId);
+        }
+        return this.organizationCache.get(attribution.conversationId) || this.defaultOrganizationId;
+      } catch (error) {
+        console.error('⚠️ Failed to resolve conversation organization:', error.message);
+      }
+    }
+
+    return this.defaultOrganizationId;
+  }
+
+  /**
+   * Record one LLM request. attribution links it to the organization,
+   * conversation, agent, swarm and task it was made for.
+   */
+  async record({ provider, model, usage, latencyMs = 0, attribution = {}, cached = false }) {
+    const tokens = this.normalizeUsage(usage);
+    const entry = {
+      organizationId: attribution.organizationId || null,
+      conversationId: attribution.conversationId || null,
+      agentId: attribution.agentId || null,
+      swarmId: attribution.swarmId || null,
+      taskId: attribution.taskId || null,
+      operation: attribution.operation || 'chat',
+      provider,
+      model,
+      ...tokens,
+      cost: this.calculateCost(model, tokens),
+      latencyMs,
+      cached
+    };
+
+    console.log('💰 LLM usage:', {
+      model,
+      operation: entry.operation,
+      totalTokens: entry.totalTokens,
+      cost: entry.cost.toFixed(6),
+      ...(cached && { cached })
+    });
+
+    if (!this.databaseService) {
+      return entry;
+    }
+
+    try {
+      entry.organizationId = await this.resolveOrganizationId(entry);
+      return await this.databaseService.createLlmUsage(entry);
+    } catch (error) {
+      console.error('⚠️ Failed to record LLM usage:', error.message);
+      return entry;
+    }
+  }
+
+  /**
+   * Link recorded usage rows to the message they produced
+   */
+  async attachToMessage(records, messageId) {
+    const ids = records.map(record => record.id).filter(Boolean);
+    if (!this.databaseService || ids.length === 0) return;
+
+    try {
+      await this.databaseService.attachLlmUsageToMessage(ids, messageId);
+    } catch (error) {
+      console.error('⚠️ Failed to link LLM usage to message:', error.message);
+    }
+  }
+
+  /**
+   * Sum token counts, cost and latency for a set of usage records
+   */
+  summarize(records) {
+    const totals = {
+      requests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      reasoningTokens: 0,
+      totalTokens: 0,
+      cost: 0,
+      latencyMs: 0,
+      cacheHits: 0
+    };
+
+    for (const record of records) {
+      totals.requests += 1;
+      if (record.cached) totals.cacheHits += 1;
+      totals.promptTokens += record.promptTokens;
+      totals.completionTokens += record.completionTokens;
+      totals.reasoningTokens += record.reasoningTokens;
+      totals.totalTokens += record.totalTokens;
+      totals.cost += record.cost;
+      totals.latencyMs += record.latencyMs;
+    }
+
+    return totals;
+  }
+
+  // Start of the UTC hour/day/week (Monday)/month containing date
+  bucketStart(date, bucket) {
+    const d = new Date(date);
+    switch (bucket) {
+      case 'hour':
+        return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours()));
+      case 'week':
+        return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - ((d.getUTCDay() + 6) % 7)));
+      case 'month':
+        return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+      default:
+        return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+    }
+  }
+
+  groupRecords(records, keyFn) {
+    const groups = new Map();
+    for (const record of records) {
+      const key = keyFn(record);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    }
+    return groups;
+  }
+
+  /**
+   * Usage aggregates for a filter: overall totals, time buckets and
+   * breakdowns by model, operation and agent
+   */
+  async getUsage({ bucket = 'day', from, to, ...filter } = {}) {
+    if (!BUCKETS.includes(bucket)) {
+      throw new Error(`Invalid bucket "${bucket}". Expected one of: ${BUCKETS.join(', ')}`);
+    }
+    for (const [name, date] of Object.entries({ from, to })) {
+      if (date !== undefined && Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name} date. Expected an ISO 8601 date or timestamp`);
+      }
+    }
+    if (!this.databaseService) {
+      throw new Error('Usage reporting requires a database');
+    }
+
+    const records = await this.databaseService.getLlmUsage({ ...filter, from, to });
+    const breakdown = (keyFn, label) => Array.from(this.groupRecords(records, keyFn))
+      .map(([key, group]) => ({ [label]: key, ...this.summarize(group) }))
+      .sort((a, b) => b.cost - a.cost);
+
+    return {
+      from: from || records[0]?.createdAt || null,
+      to: to || new Date(),
+      bucket,
+      totals: this.summarize(records),
+      buckets: Array.from(this.groupRecords(records, record => this.bucketStart(record.createdAt, bucket).toISOString()))
+        .map(([start, group]) => ({ start, ...this.summarize(group) })),
+      byModel: breakdown(record => record.model, 'model'),
+      byOperation: breakdown(record => record.operation, 'operation'),
+      byAgent: breakdown(record => record.agentId || 'none', 'agentId')
+    };
+  }
+
+  listPrices() {
+    return this.prices;
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * The YAML subset agent template files use: block mappings and sequences,
+ * plain, quoted and block (| and >) scalars, flow sequences of scalars,
+ * empty {} and comments. Anchors, tags, multiple documents and flow
+ * mappings with entries are rejected rather than guessed at.
+ */
+
+const PLAIN_KEY = /^[A-Za-z_][\w-]*$/;
+const RESERVED = /^(?:true|false|null|yes|no|on|off|~)$/i;
+const NUMBER = /^-?(?:\d+|\d*\.\d+)(?:[eE][-+]?\d+)?$/;
+
+function yamlError(line, message) {
+  return new Error(`YAML line ${line.number}: ${message}`);
+}
+
+// Drop a trailing " # comment" that is not inside quotes
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text;
+}
+
+function parseScalar(text, line) {
+  const value = stripComment(text).trim();
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw yamlError(line, `invalid double-quoted string ${value}`);
+    }
+  }
+  if (value.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(value)) throw yamlError(line, `invalid single-quoted string ${value}`);
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.startsWith('[')) {
+    if (!value.endsWith(']')) throw yamlError(line, 'unterminated flow sequence');
+    const inner = value.slice(1, -1).trim();
+    if (!inner) return [];
+    // Split on commas outside quotes
+    return (inner.match(/(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,])+/g) || []).map(item => parseScalar(item, line));
+  }
+  if (value.startsWith('{')) {
+    if (value === '{}') return {};
+    throw yamlError(line, 'flow mappings are not supported; use block mappings');
+  }
+  if (/^[&*!|>]/.test(value)) throw yamlError(line, `unsupported YAML syntax ${value}`);
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (NUMBER.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Parse YAML text into plain objects, arrays and scalars
+ */
+export function parseYaml(text) {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n').map((raw, index) => ({
+    number: index + 1,
+    raw,
+    indent: raw.length - raw.trimStart().length,
+    text: raw.trim()
+  }));
+  let position = 0;
+
+  const isContent = (line) => line.text && !line.text.startsWith('#') && line.text !== '---';
+  const peek = () => {
+    while (position < lines.length && !isContent(lines[position])) {
+      if (lines[position].text === '---' && position > 0 && lines.slice(0, position).some(isContent)) {
+        throw yamlError(lines[position], 'only one document is supported');
+      }
+      position++;
+    }
+    return lines[position];
+  };
+  const isDash = (line) => line.text === '-' || line.text.startsWith('- ');
+
+  // Lines of a | or > scalar: everything indented past its parent, blanks included
+  const blockScalar = (header, parentIndent, line) => {
+    const match = /^([|>])([+-]?)\s*(?:#.*)?$/.exec(header);
+    if (!match) throw yamlError(line, `unsupported block scalar header ${header}`);
+    const body = [];
+    while (position < lines.length && (!lines[position].text || lines[position].indent > parentIndent)) {
+      body.push(lines[position++]);
+    }
+    while (body.length > 0 && !body[body.length - 1].text) {
+      body.pop();
+      position--;
+    }
+    const indent = Math.min(...body.filter(entry => entry.text).map(entry => entry.indent));
+    const content = body.map(entry => entry.raw.slice(indent));
+    const joined = match[1] === '|'
+      ? content.join('\n')
+      : content.reduce((folded, part, i) => {
+        if (i === 0) return part;
+        // A blank line is a line break; other breaks fold into spaces
+        return folded + (part === '' ? '\n' : folded.endsWith('\n') ? '' : ' ') + part;
+      }, '');
+    return match[2] === '-' || body.length === 0 ? joined : `${joined}\n`;
+  };
+
+  const value = (rest, parentIndent, line) => (/^[|>]/.test(rest) ? blockScalar(rest, parentIndent, line) : parseScalar(rest, line));
+
+  const node = (minIndent) => {
+    const line = peek();
+    if (!line || line.indent < minIndent) return null;
+    return isDash(line) ? sequence(line.indent) : mapping(line.indent);
+  };
+
+  const sequence = (indent) => {
+    const items = [];
+    for (let line = peek(); line && line.indent === indent && isDash(line); line = peek()) {
+      const rest = line.text.slice(1).trim();
+      if (!rest) {
+        position++;
+        items.push(node(indent + 1));
+      } else if (/^(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^'"[{#][^:#]*?)\s*:(?:\s|$)/.test(rest)) {
+        // "- key: value" starts a mapping indented to where its first key is
+        const column = line.raw.indexOf(rest);
+        lines[position] = { ...line, indent: column, text: rest };
+        items.push(mapping(column));
+      } else {
+        position++;
+        items.push(value(rest, indent, line));
+      }
+    }
+    const next = peek();
+    if (next && next.indent > indent) throw yamlError(next, 'unexpected indentation');
+    return items;
+  };
+
+  const mapping = (indent) => {
+    const result = {};
+    for (let line = peek(); line && line.indent === indent && !isDash(line); line = peek()) {
+      const match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^'"#][^:#]*?)\s*:(?:\s+(.*))?$/.exec(line.text);
+      if (!match) throw yamlError(line, `expected "key: value", got ${line.text}`);
+      const name = parseScalar(match[1], line);
+      if (Object.prototype.hasOwnProperty.call(result, name)) throw yamlError(line, `duplicate key ${name}`);
+      const rest = stripComment(match[2] || '').trim();
+      position++;
+
+      if (rest) {
+        result[name] = value(rest, indent, line);
+      } else {
+        const next = peek();
+        // A sequence under a key may sit at the key's own indentation
+        result[name] = next && next.indent === indent && isDash(next) ? sequence(indent) : node(indent + 1);
+      }
+    }
+    const next = peek();
+    if (next && next.indent > indent) throw yamlError(next, 'unexpected indentation');
+    return result;
+  };
+
+  const result = node(0);
+  const rest = peek();
+  if (rest) throw yamlError(rest, 'unexpected content after the document');
+  return result;
+}
+
+function scalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  const text = String(value);
+  if (text && text === text.trim() && !RESERVED.test(text) && !NUMBER.test(text) &&
+    /^[^-?:,[\]{}#&*!|>'"%@`\s]/.test(text) && !/: |\s#|:$|[\n\t]/.test(text)) {
+    return text;
+  }
+  return JSON.stringify(text);
+}
+
+function key(name) {
+  return PLAIN_KEY.test(name) && !RESERVED.test(name) ? name : JSON.stringify(name);
+}
+
+const isBlock = (value) => (Array.isArray(value) && value.length > 0) ||
+  (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0);
+
+function blockLines(value, indent) {
+  const pad = ' '.repeat(indent);
+  if (Array.isArray(value)) {
+    return value.flatMap(item => {
+      if (!isBlock(item)) return [`${pad}- ${inline(item, indent + 2)}`];
+      const nested = blockLines(item, indent + 2);
+      return [`${pad}- ${nested[0].trimStart()}`, ...nested.slice(1)];
+    });
+  }
+  return Object.entries(value).filter(([, entry]) => entry !== undefined).flatMap(([name, entry]) => {
+    if (!isBlock(entry)) return [`${pad}${key(name)}: ${inline(entry, indent + 2)}`];
+    return [`${pad}${key(name)}:`, ...blockLines(entry, Array.isArray(entry) ? indent : indent + 2)];
+  });
+}
+
+// A scalar or empty collection; multi-line strings become | blocks
+function inline(value, indent) {
+  if (Array.isArray(value)) return '[]';
+  if (value && typeof value === 'object') return '{}';
+  if (typeof value === 'string' && value.includes('\n') && !/[^\S\n]\n|^\s|\n\n$/.test(value) && !value.includes('\t')) {
+    const body = value.endsWith('\n') ? value.slice(0, -1) : value;
+    const pad = ' '.repeat(indent);
+    return `|${value.endsWith('\n') ? '' : '-'}\n${body.split('\n').map(line => (line ? pad + line : '')).join('\n')}`;
+  }
+  return scalar(value);
+}
+
+/**
+ * Render plain data as block-style YAML that parseYaml reads back
+ */
+export function stringifyYaml(value) {
+  return `${isBlock(value) ? blockLines(value, 0).join('\n') : inline(value, 0)}\n`;
+}
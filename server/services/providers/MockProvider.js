@@ -0,0 +1,257 @@
+import { readFileSync, readdirSync, existsSync, statSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { Readable } from 'stream';
+import { setTimeout as sleep } from 'timers/promises';
+import { hashEmbedding } from '../Embeddings.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES = join(__dirname, '../../fixtures/llm');
+
+/**
+ * MockProvider - Deterministic, offline chat completions replayed from fixtures
+ *
+ * A fixture file is JSON of the form:
+ *
+ *   {
+ *     "model": "mock/scripted",
+ *     "responses": [
+ *       { "match": "respond with \"OK\"", "content": "OK" },
+ *       { "match": "/read the readme/i", "tool_calls": [{ "name": "read_file", "arguments": { "path": "README.md" } }] },
+ *       { "role": "tool", "content": "Here is what the tool returned." },
+ *       { "match": "rate limit", "error": { "status": 429, "message": "Rate limit exceeded" } },
+ *       { "match": "take your time", "delayMs": 5000, "content": "Slow answer" },
+ *       { "content": "Scripted answer", "reasoning": "Scripted reasoning" }
+ *     ]
+ *   }
+ *
+ * Entries with "match" (substring, or /regex/flags) are tested against the
+ * latest user message. They apply when the conversation ends on a turn of
+ * their "role" (default "user"), so { "role": "tool" } entries answer tool
+ * results. The first hit wins. Otherwise the remaining entries are replayed
+ * in order, wrapping around. Errors with status >= 500 or a "code" (such as
+ * ECONNABORTED) are thrown the way axios throws them. "delayMs" holds the
+ * response back, and an aborted request signal cancels it like axios does.
+ */
+export class MockProvider {
+  constructor({ fixtures = process.env.LLM_MOCK_FIXTURES || DEFAULT_FIXTURES } = {}) {
+    this.name = 'mock';
+    this.fixtures = fixtures;
+    this.defaultModel = 'mock/scripted';
+    this.responses = null;
+    this.cursor = 0;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async ping() {
+    return { ok: true, latencyMs: 0 };
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      fixtures: this.fixtures
+    };
+  }
+
+  loadFixtures() {
+    if (this.responses) return this.responses;
+
+    this.responses = [];
+    if (!existsSync(this.fixtures)) {
+      console.warn(`⚠️ Mock LLM fixtures not found at ${this.fixtures}`);
+      return this.responses;
+    }
+
+    const files = statSync(this.fixtures).isDirectory()
+      ? readdirSync(this.fixtures).filter(file => file.endsWith('.json')).sort().map(file => join(this.fixtures, file))
+      : [this.fixtures];
+
+    for (const file of files) {
+      const fixture = JSON.parse(readFileSync(file, 'utf8'));
+      if (fixture.model) {
+        this.defaultModel = fixture.model;
+      }
+      this.responses.push(...(fixture.responses || []));
+    }
+
+    return this.responses;
+  }
+
+  // Rewind the sequential script, e.g. between test cases
+  reset() {
+    this.cursor = 0;
+  }
+
+  selectResponse(messages) {
+    const responses = this.loadFixtures();
+    const lastMessage = messages[messages.length - 1];
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    const userText = typeof lastUser?.content === 'string' ? lastUser.content : '';
+
+    const matched = responses.find(entry => {
+      if (!entry.match && !entry.role) return false;
+      if ((entry.role || 'user') !== lastMessage?.role) return false;
+      return !entry.match || this.matches(entry.match, userText);
+    });
+    if (matched) return matched;
+
+    const sequential = responses.filter(entry => !entry.match && !entry.role);
+    if (sequential.length === 0) {
+      return { content: 'Mock response' };
+    }
+
+    const entry = sequential[this.cursor % sequential.length];
+    this.cursor++;
+    return entry;
+  }
+
+  matches(pattern, text) {
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+      return new RegExp(regex[1], regex[2]).test(text);
+    }
+    return text.toLowerCase().includes(pattern.toLowerCase());
+  }
+
+  async chatCompletion(payload, { stream = false, signal } = {}) {
+    const entry = this.selectResponse(payload.messages || []);
+    const model = payload.model || this.defaultModel;
+
+    await this.wait(entry.delayMs || 0, signal);
+
+    if (entry.error) {
+      return this.buildError(entry.error, stream);
+    }
+
+    const toolCalls = (entry.tool_calls || []).map((call, index) => ({
+      id: call.id || `call_mock_${this.cursor}_${index}`,
+      type: 'function',
+      function: {
+        name: call.name,
+        arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+      }
+    }));
+
+    const content = entry.content ?? (toolCalls.length > 0 ? null : '');
+    const promptText = (payload.messages || []).map(m => m.content || '').join('');
+    const usage = {
+      prompt_tokens: Math.ceil(promptText.length / 4),
+      completion_tokens: Math.ceil(((content || '') + (entry.reasoning || '')).length / 4),
+      ...(entry.reasoning && { completion_tokens_details: { reasoning_tokens: Math.ceil(entry.reasoning.length / 4) } })
+    };
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+    const finishReason = toolCalls.length > 0 ? 'tool_calls' : 'stop';
+    const id = `mock-${Date.now()}`;
+
+    if (stream) {
+      return {
+        status: 200,
+        statusText: 'OK',
+        headers: { 'content-type': 'text/event-stream' },
+        data: Readable.from(this.buildStreamChunks({ id, model, content, reasoning: entry.reasoning, toolCalls, finishReason, usage }))
+      };
+    }
+
+    return {
+      status: 200,
+      statusText: 'OK',
+      headers: { 'content-type': 'application/json' },
+      data: {
+        id,
+        model,
+        choices: [{
+          index: 0,
+          message: {
+            role: 'assistant',
+            content,
+            ...(entry.reasoning && { reasoning_content: entry.reasoning }),
+            ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+          },
+          finish_reason: finishReason
+        }],
+        usage
+      }
+    };
+  }
+
+  // Deterministic word-hash vectors so similar texts are close offline
+  async embeddings(payload, { signal } = {}) {
+    await this.wait(0, signal);
+    const inputs = [].concat(payload.input || []);
+    const promptTokens = Math.ceil(inputs.join('').length / 4);
+    return {
+      status: 200,
+      statusText: 'OK',
+      headers: { 'content-type': 'application/json' },
+      data: {
+        object: 'list',
+        model: payload.model,
+        data: inputs.map((text, index) => ({ object: 'embedding', index, embedding: hashEmbedding(text) })),
+        usage: { prompt_tokens: promptTokens, total_tokens: promptTokens }
+      }
+    };
+  }
+
+  buildStreamChunks({ id, model, content, reasoning, toolCalls, finishReason, usage }) {
+    const chunks = [];
+    const push = (delta, extra = {}) => {
+      chunks.push(`data: ${JSON.stringify({ id, model, choices: [{ index: 0, delta, finish_reason: null }], ...extra })}\n\n`);
+    };
+
+    // Split on word boundaries so consumers see realistic incremental deltas
+    for (const piece of (reasoning || '').match(/\S+\s*/g) || []) {
+      push({ reasoning_content: piece });
+    }
+    for (const piece of (content || '').match(/\S+\s*/g) || []) {
+      push({ content: piece });
+    }
+    if (toolCalls.length > 0) {
+      push({ tool_calls: toolCalls.map((call, index) => ({ index, ...call })) });
+    }
+
+    chunks.push(`data: ${JSON.stringify({ id, model, choices: [{ index: 0, delta: {}, finish_reason: finishReason }], usage })}\n\n`);
+    chunks.push('data: [DONE]\n\n');
+    return chunks;
+  }
+
+  // Resolve after ms, or reject the way axios does when signal aborts
+  async wait(ms, signal) {
+    try {
+      if (signal?.aborted || ms > 0) {
+        await sleep(ms, undefined, { signal });
+      }
+    } catch {
+      const canceled = new Error('canceled');
+      canceled.name = 'CanceledError';
+      canceled.code = 'ERR_CANCELED';
+      canceled.isAxiosError = true;
+      throw canceled;
+    }
+  }
+
+  buildError({ status = 500, message = 'Mock provider error', code, headers = {} }, stream) {
+    const body = { error: { message } };
+
+    if (code || status >= 500) {
+      const error = new Error(code ? `${code}: ${message}` : `Request failed with status code ${status}`);
+      error.isAxiosError = true;
+      error.code = code;
+      if (!code) {
+        error.response = { status, statusText: message, headers, data: body };
+      }
+      throw error;
+    }
+
+    return {
+      status,
+      statusText: message,
+      headers,
+      data: stream ? Readable.from([JSON.stringify(body)]) : body
+    };
+  }
+}
@@ -0,0 +1,100 @@
+import axios from 'axios';
+
+/**
+ * OpenAICompatibleProvider - Chat completions against any OpenAI-compatible API
+ *
+ * Works with hosted routers as well as local llama.cpp, Ollama or vLLM
+ * servers. Every provider exposes the same chatCompletion() contract and
+ * returns an axios-style response ({ status, statusText, headers, data }),
+ * with data being a readable SSE stream when streaming. Requests are
+ * cancelled when the optional AbortSignal fires.
+ */
+export class OpenAICompatibleProvider {
+  constructor({ name = 'openai-compatible', baseUrl, apiKey = null, defaultModel = null, timeout = 60000 } = {}) {
+    this.name = name;
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+    this.apiKey = apiKey;
+    this.defaultModel = defaultModel;
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  async chatCompletion(payload, { stream = false, signal } = {}) {
+    if (!this.baseUrl) {
+      throw new Error(`Provider ${this.name} has no base URL configured`);
+    }
+
+    return axios.post(
+      `${this.baseUrl}/chat/completions`,
+      payload,
+      {
+        headers: this.getHeaders(),
+        timeout: this.timeout,
+        validateStatus: (status) => status < 500,
+        signal,
+        ...(stream && { responseType: 'stream' })
+      }
+    );
+  }
+
+  async embeddings(payload, { signal } = {}) {
+    if (!this.baseUrl) {
+      throw new Error(`Provider ${this.name} has no base URL configured`);
+    }
+
+    return axios.post(`${this.baseUrl}/embeddings`, payload, {
+      headers: this.getHeaders(),
+      timeout: this.timeout,
+      validateStatus: (status) => status < 500,
+      signal
+    });
+  }
+
+  /**
+   * Reachability and auth check without a completion: lists models, which
+   * costs no tokens
+   */
+  async ping() {
+    const startedAt = Date.now();
+    try {
+      const response = await axios.get(`${this.baseUrl}/models`, {
+        headers: this.getHeaders(),
+        timeout: 5000,
+        validateStatus: () => true
+      });
+      const ok = response.status < 400;
+      return {
+        ok,
+        latencyMs: Date.now() - startedAt,
+        ...(!ok && { error: `API returned ${response.status}` })
+      };
+    } catch (error) {
+      return { ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+    }
+  }
+
+  // Summary used for request logging, never includes the full key
+  describe() {
+    return {
+      provider: this.name,
+      url: `${this.baseUrl}/chat/completions`,
+      hasApiKey: !!this.apiKey,
+      apiKeyPrefix: this.apiKey ? this.apiKey.substring(0, 10) + '...' : 'MISSING'
+    };
+  }
+}
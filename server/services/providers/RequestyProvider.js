@@ -0,0 +1,20 @@
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+
+/**
+ * RequestyProvider - Requesty.ai router (150+ models behind one API key)
+ */
+export class RequestyProvider extends OpenAICompatibleProvider {
+  constructor({ apiKey = process.env.REQUESTY_API_KEY, timeout = 60000 } = {}) {
+    super({
+      name: 'requesty',
+      baseUrl: 'https://router.requesty.ai/v1',
+      apiKey,
+      defaultModel: 'anthropic/claude-sonnet-4-0',
+      timeout
+    });
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+}
@@ -1,24 +1,62 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { useApp } from '../context/AppContext';
+import { useSocket } from '../context/SocketContext';
+import PromptPicker from './PromptPicker';
+import AgentThreads from './AgentThreads';
+import AgentMetrics from './AgentMetrics';
+import TemplateGallery from './TemplateGallery';
+import conversationService from '../services/ConversationService';
 
 const { 
   FiCpu, FiPlus, FiPlay, FiPause, FiStop, FiSettings, FiTrash2,
-  FiActivity, FiClock, FiZap, FiBrain, FiCode, FiDatabase
+  FiActivity, FiClock, FiZap, FiBrain, FiCode, FiDatabase, FiMessageCircle, FiLayers, FiGrid,
+  FiBarChart2
 } = FiIcons;
 
+const DEFAULT_AGENT = {
+  name: '',
+  description: '',
+  type: 'coder',
+  capabilities: [],
+  promptId: null,
+  maxConcurrentTasks: 1,
+  requestsPerMinute: ''
+};
+
 export default function AgentDashboard() {
   const [showCreateModal, setShowCreateModal] = useState(false);
-  const [newAgent, setNewAgent] = useState({
-    name: '',
-    description: '',
-    type: 'coder',
-    capabilities: []
-  });
+  const [newAgent, setNewAgent] = useState(DEFAULT_AGENT);
+  
+  const [capabilities, setCapabilities] = useState([]);
+  const [inboxAgent, setInboxAgent] = useState(null);
+  const [metricsAgent, setMetricsAgent] = useState(null);
+  const [showTemplates, setShowTemplates] = useState(false);
   
-  const { agents, addAgent, setActiveAgent, activeAgent } = useApp();
+  const { agents, setAgents, addAgent, updateAgent, setActiveAgent, activeAgent } = useApp();
+  const { socket } = useSocket();
+
+  // Agents are stored on the server; capabilities come from its task types
+  useEffect(() => {
+    conversationService.getAgents()
+      .then(setAgents)
+      .catch(error => console.error('Error loading agents:', error));
+    conversationService.getTaskTypes()
+      .then(data => setCapabilities(data.capabilities))
+      .catch(error => console.error('Error loading capabilities:', error));
+  }, []);
+
+  // Running and queued task counts change as agents pick up work
+  useEffect(() => {
+    if (!socket) return;
+    const handleWorkload = ({ agentId, activeTasks, queueDepth }) => {
+      updateAgent(agentId, { activeTasks, queueDepth });
+    };
+    socket.on('agent-workload', handleWorkload);
+    return () => socket.off('agent-workload', handleWorkload);
+  }, [socket]);
 
   const agentTypes = [
     { id: 'coder', name: 'Code Assistant', description: 'Helps with coding tasks', icon: FiCode },
@@ -27,30 +65,26 @@ export default function AgentDashboard() {
     { id: 'tester', name: 'Testing Agent', description: 'Automated testing and QA', icon: FiActivity }
   ];
 
-  const capabilities = [
-    'Code Generation', 'Code Review', 'Debugging', 'Documentation',
-    'API Integration', 'Database Operations', 'Testing', 'Deployment'
-  ];
-
-  const handleCreateAgent = () => {
+  const handleCreateAgent = async () => {
     if (!newAgent.name.trim()) return;
 
-    const agent = {
-      id: Date.now(),
-      name: newAgent.name,
-      description: newAgent.description,
-      type: newAgent.type,
-      capabilities: newAgent.capabilities,
-      status: 'idle',
-      createdAt: new Date(),
-      lastActive: new Date(),
-      tasksCompleted: 0,
-      averageResponseTime: 0
-    };
+    try {
+      const agent = await conversationService.createAgent({
+        name: newAgent.name,
+        description: newAgent.description,
+        type: newAgent.type,
+        capabilities: newAgent.capabilities,
+        promptId: newAgent.promptId,
+        maxConcurrentTasks: parseInt(newAgent.maxConcurrentTasks, 10) || 1,
+        requestsPerMinute: parseInt(newAgent.requestsPerMinute, 10) || null
+      });
 
-    addAgent(agent);
-    setNewAgent({ name: '', description: '', type: 'coder', capabilities: [] });
-    setShowCreateModal(false);
+      addAgent(agent);
+      setNewAgent(DEFAULT_AGENT);
+      setShowCreateModal(false);
+    } catch (error) {
+      console.error('Error creating agent:', error);
+    }
   };
 
   const handleToggleCapability = (capability) => {
@@ -81,13 +115,22 @@ export default function AgentDashboard() {
             <p className="text-gray-400 mt-1">Manage your AI agents and their capabilities</p>
           </div>
           
-          <button
-            onClick={() => setShowCreateModal(true)}
-            className="flex items-center space-x-2 px-4 py-2 bg-primary-600 hover:bg-primary-700 rounded-lg transition-colors"
-          >
-            <SafeIcon icon={FiPlus} className="w-4 h-4" />
-            <span>New Agent</span>
-          </button>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setShowTemplates(true)}
+              className="flex items-center space-x-2 px-4 py-2 bg-dark-700 hover:bg-dark-600 rounded-lg transition-colors"
+            >
+              <SafeIcon icon={FiGrid} className="w-4 h-4" />
+              <span>Templates</span>
+            </button>
+            <button
+              onClick={() => setShowCreateModal(true)}
+              className="flex items-center space-x-2 px-4 py-2 bg-primary-600 hover:bg-primary-700 rounded-lg transition-colors"
+            >
+              <SafeIcon icon={FiPlus} className="w-4 h-4" />
+              <span>New Agent</span>
+            </button>
+          </div>
         </div>
 
         {/* Active Agent */}
@@ -171,7 +214,7 @@ export default function AgentDashboard() {
                         key={capability}
                         className="px-2 py-1 bg-dark-700 text-xs rounded-full text-gray-300"
                       >
-                        {capability}
+                        {capabilities.find(entry => entry.id === capability)?.name || capability}
                       </span>
                     ))}
                     {agent.capabilities.length > 3 && (
@@ -191,6 +234,41 @@ export default function AgentDashboard() {
                       <SafeIcon icon={FiClock} className="w-3 h-3" />
                       <span>{agent.averageResponseTime}ms avg</span>
                     </div>
+
+                    <div
+                      className={`flex items-center space-x-1 ${agent.queueDepth > 0 ? 'text-yellow-400' : ''}`}
+                      title="Running tasks out of the agent's slots, and tasks queued for it"
+                    >
+                      <SafeIcon icon={FiLayers} className="w-3 h-3" />
+                      <span>
+                        {agent.activeTasks || 0}/{agent.maxConcurrentTasks || 1}
+                        {agent.queueDepth > 0 && ` · ${agent.queueDepth} queued`}
+                      </span>
+                    </div>
+
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setInboxAgent(agent);
+                      }}
+                      className="flex items-center space-x-1 hover:text-white transition-colors"
+                      title="Messages"
+                    >
+                      <SafeIcon icon={FiMessageCircle} className="w-3 h-3" />
+                      <span>Messages</span>
+                    </button>
+
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setMetricsAgent(agent);
+                      }}
+                      className="flex items-center space-x-1 hover:text-white transition-colors"
+                      title="Performance"
+                    >
+                      <SafeIcon icon={FiBarChart2} className="w-3 h-3" />
+                      <span>Metrics</span>
+                    </button>
                   </div>
                 </motion.div>
               );
@@ -213,6 +291,27 @@ export default function AgentDashboard() {
         )}
       </div>
 
+      {/* Agent Inbox */}
+      <AnimatePresence>
+        {inboxAgent && (
+          <AgentThreads agent={inboxAgent} agents={agents} onClose={() => setInboxAgent(null)} />
+        )}
+      </AnimatePresence>
+
+      {/* Agent Performance */}
+      <AnimatePresence>
+        {metricsAgent && (
+          <AgentMetrics agent={metricsAgent} onClose={() => setMetricsAgent(null)} />
+        )}
+      </AnimatePresence>
+
+      {/* Template Gallery */}
+      <TemplateGallery
+        isOpen={showTemplates}
+        onClose={() => setShowTemplates(false)}
+        onAgentCreated={addAgent}
+      />
+
       {/* Create Agent Modal */}
       <AnimatePresence>
         {showCreateModal && (
@@ -274,6 +373,45 @@ export default function AgentDashboard() {
                   </select>
                 </div>
                 
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    System Prompt
+                  </label>
+                  <PromptPicker
+                    value={newAgent.promptId}
+                    onChange={(promptId) => setNewAgent(prev => ({ ...prev, promptId }))}
+                  />
+                </div>
+                
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Concurrent Tasks
+                    </label>
+                    <input
+                      type="number"
+                      min={1}
+                      value={newAgent.maxConcurrentTasks}
+                      onChange={(e) => setNewAgent(prev => ({ ...prev, maxConcurrentTasks: e.target.value }))}
+                      className="w-full p-3 bg-dark-700 border border-dark-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      title="Tasks the agent works on at once; more are queued"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      LLM Requests / min
+                    </label>
+                    <input
+                      type="number"
+                      min={1}
+                      value={newAgent.requestsPerMinute}
+                      onChange={(e) => setNewAgent(prev => ({ ...prev, requestsPerMinute: e.target.value }))}
+                      className="w-full p-3 bg-dark-700 border border-dark-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      placeholder="No limit"
+                    />
+                  </div>
+                </div>
+                
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">
                     Capabilities
@@ -281,16 +419,16 @@ export default function AgentDashboard() {
                   <div className="grid grid-cols-2 gap-2">
                     {capabilities.map(capability => (
                       <label
-                        key={capability}
+                        key={capability.id}
                         className="flex items-center space-x-2 p-2 bg-dark-700 rounded-lg cursor-pointer hover:bg-dark-600"
                       >
                         <input
                           type="checkbox"
-                          checked={newAgent.capabilities.includes(capability)}
-                          onChange={() => handleToggleCapability(capability)}
+                          checked={newAgent.capabilities.includes(capability.id)}
+                          onChange={() => handleToggleCapability(capability.id)}
                           className="rounded"
                         />
-                        <span className="text-sm text-gray-300">{capability}</span>
+                        <span className="text-sm text-gray-300">{capability.name}</span>
                       </label>
                     ))}
                   </div>
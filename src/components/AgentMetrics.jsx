@@ -0,0 +1,258 @@
+import React, {useState, useEffect} from 'react';
+import {motion} from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import conversationService from '../services/ConversationService';
+
+const {FiBarChart2, FiX, FiRefreshCw, FiStar} = FiIcons;
+
+const RANGES = [
+  {id: '7d', label: 'Last 7 days', days: 7, bucket: 'day'},
+  {id: '30d', label: 'Last 30 days', days: 30, bucket: 'day'},
+  {id: '90d', label: 'Last 90 days', days: 90, bucket: 'week'}
+];
+
+const STATUS_COLORS = {
+  completed: 'text-green-400',
+  failed: 'text-red-400',
+  timed_out: 'text-yellow-400',
+  cancelled: 'text-gray-400'
+};
+
+const formatCost = (cost) => `$${(cost || 0).toFixed(cost >= 1 ? 2 : 4)}`;
+const formatPercent = (rate) => (rate === null ? '—' : `${Math.round(rate * 100)}%`);
+const formatLatency = (ms) => (ms === null ? '—' : ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`);
+
+// One bar per time bucket, scaled to the largest value
+function BarSeries({title, series, value, format, barClassName = 'bg-primary-600 hover:bg-primary-500'}) {
+  const max = Math.max(...series.map(point => value(point) || 0), 0);
+  return (
+    <div className="bg-dark-700 rounded-lg p-4">
+      <p className="text-xs text-gray-400 mb-2">{title}</p>
+      <div className="flex items-end space-x-1 h-24">
+        {series.map(point => (
+          <div
+            key={point.start}
+            className={`flex-1 rounded-t ${barClassName}`}
+            style={{height: `${max > 0 ? Math.max(2, ((value(point) || 0) / max) * 100) : 2}%`}}
+            title={`${new Date(point.start).toLocaleDateString()}: ${format(value(point))} · ${point.tasks} tasks`}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * An agent's performance: success rate, latency, cost, retries and ratings
+ * over time and by task type, for the agent alone or for every agent made
+ * from its template. Recent tasks can be rated here.
+ */
+export default function AgentMetrics({agent, onClose}) {
+  const [range, setRange] = useState('30d');
+  const [scope, setScope] = useState('agent');
+  const [stats, setStats] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadStats = async () => {
+    const {days, bucket} = RANGES.find(entry => entry.id === range);
+    const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    setIsLoading(true);
+    setError(null);
+    try {
+      setStats(scope === 'template'
+        ? await conversationService.getTemplateMetrics(agent.templateId, {bucket, from})
+        : await conversationService.getAgentMetrics(agent.id, {bucket, from}));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadStats();
+  }, [agent.id, range, scope]);
+
+  const handleRate = async (taskId, rating) => {
+    setError(null);
+    try {
+      await conversationService.rateTask(taskId, rating);
+      await loadStats();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const totals = stats?.totals;
+
+  return (
+    <motion.div
+      initial={{opacity: 0}}
+      animate={{opacity: 1}}
+      exit={{opacity: 0}}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{scale: 0.9, opacity: 0}}
+        animate={{scale: 1, opacity: 1}}
+        exit={{scale: 0.9, opacity: 0}}
+        className="bg-dark-800 rounded-lg w-full max-w-4xl max-h-[85vh] border border-dark-700 flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b border-dark-700">
+          <div className="flex items-center space-x-2">
+            <SafeIcon icon={FiBarChart2} className="w-5 h-5 text-primary-400" />
+            <h3 className="text-lg font-semibold text-white">{agent.name} · Performance</h3>
+          </div>
+          <div className="flex items-center space-x-2">
+            {agent.templateId && (
+              <select
+                value={scope}
+                onChange={(e) => setScope(e.target.value)}
+                className="p-2 bg-dark-700 border border-dark-600 rounded text-sm text-gray-300 focus:outline-none"
+                title="This agent alone, or every agent created from its template"
+              >
+                <option value="agent">This agent</option>
+                <option value="template">Its template</option>
+              </select>
+            )}
+            <select
+              value={range}
+              onChange={(e) => setRange(e.target.value)}
+              className="p-2 bg-dark-700 border border-dark-600 rounded text-sm text-gray-300 focus:outline-none"
+            >
+              {RANGES.map(entry => (
+                <option key={entry.id} value={entry.id}>{entry.label}</option>
+              ))}
+            </select>
+            <button onClick={loadStats} className="p-2 rounded hover:bg-dark-700 transition-colors" title="Reload metrics">
+              <SafeIcon icon={FiRefreshCw} className={`w-4 h-4 text-gray-400 ${isLoading ? 'animate-spin' : ''}`} />
+            </button>
+            <button onClick={onClose} className="p-2 rounded hover:bg-dark-700 transition-colors">
+              <SafeIcon icon={FiX} className="w-4 h-4 text-gray-400" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {error && <p className="text-sm text-red-400">{error}</p>}
+
+          {totals && totals.tasks === 0 && !isLoading && (
+            <p className="text-sm text-gray-500">No finished tasks in this period</p>
+          )}
+
+          {totals && totals.tasks > 0 && (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+                {[
+                  {label: 'Tasks', value: totals.tasks},
+                  {label: 'Success Rate', value: formatPercent(totals.successRate)},
+                  {label: 'p50 / p95', value: `${formatLatency(totals.p50LatencyMs)} / ${formatLatency(totals.p95LatencyMs)}`},
+                  {label: 'Cost per Task', value: formatCost(totals.costPerTask)},
+                  {label: 'Retries per Task', value: totals.retriesPerTask ?? '—'},
+                  {label: 'Avg Rating', value: totals.averageRating === null ? '—' : `${totals.averageRating}/10`}
+                ].map(stat => (
+                  <div key={stat.label} className="bg-dark-700 rounded-lg p-4">
+                    <p className="text-xs text-gray-400">{stat.label}</p>
+                    <p className="text-lg font-semibold text-white">{stat.value}</p>
+                  </div>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <BarSeries
+                  title="Success rate"
+                  series={stats.series}
+                  value={point => point.successRate}
+                  format={formatPercent}
+                  barClassName="bg-green-600 hover:bg-green-500"
+                />
+                <BarSeries
+                  title="p95 latency"
+                  series={stats.series}
+                  value={point => point.p95LatencyMs}
+                  format={formatLatency}
+                />
+                <BarSeries
+                  title="Cost per task"
+                  series={stats.series}
+                  value={point => point.costPerTask}
+                  format={formatCost}
+                  barClassName="bg-yellow-600 hover:bg-yellow-500"
+                />
+              </div>
+
+              <div>
+                <h4 className="text-sm font-medium text-white mb-2">By task type</h4>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-400 border-b border-dark-700">
+                      <th className="py-2">Type</th>
+                      <th className="py-2">Tasks</th>
+                      <th className="py-2">Success</th>
+                      <th className="py-2">p50</th>
+                      <th className="py-2">p95</th>
+                      <th className="py-2">Cost / task</th>
+                      <th className="py-2">Retries</th>
+                      <th className="py-2">Rating</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.byType.map(row => (
+                      <tr key={row.taskType} className="border-b border-dark-700 text-gray-300">
+                        <td className="py-2 text-white">{row.taskType}</td>
+                        <td className="py-2">{row.tasks}</td>
+                        <td className="py-2">{formatPercent(row.successRate)}</td>
+                        <td className="py-2">{formatLatency(row.p50LatencyMs)}</td>
+                        <td className="py-2">{formatLatency(row.p95LatencyMs)}</td>
+                        <td className="py-2">{formatCost(row.costPerTask)}</td>
+                        <td className="py-2">{row.retries}</td>
+                        <td className="py-2">{row.averageRating === null ? '—' : row.averageRating}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div>
+                <h4 className="text-sm font-medium text-white mb-2">Recent tasks</h4>
+                <div className="space-y-2">
+                  {stats.recent.map(task => (
+                    <div key={task.id || `${task.taskId}-${task.createdAt}`} className="flex items-center justify-between bg-dark-700 rounded p-3 text-sm">
+                      <div className="min-w-0">
+                        <span className="text-white">{task.taskType}</span>
+                        <span className={`ml-2 text-xs ${STATUS_COLORS[task.status] || 'text-gray-400'}`}>{task.status}</span>
+                        <p className="text-xs text-gray-500">
+                          {new Date(task.createdAt).toLocaleString()} · {formatLatency(task.latencyMs)} · {formatCost(task.cost)}
+                          {task.retries > 0 && ` · ${task.retries} retries`}
+                        </p>
+                      </div>
+                      {task.status === 'completed' && (
+                        <div className="flex items-center space-x-1" title={task.ratingComment || 'Rate this output'}>
+                          <SafeIcon icon={FiStar} className={`w-3 h-3 ${task.rating ? 'text-yellow-400' : 'text-gray-500'}`} />
+                          <select
+                            value={task.rating || ''}
+                            onChange={(e) => handleRate(task.taskId, Number(e.target.value))}
+                            className="p-1 bg-dark-600 border border-dark-500 rounded text-xs text-gray-300 focus:outline-none"
+                          >
+                            <option value="" disabled>Rate</option>
+                            {Array.from({length: 10}, (_, index) => index + 1).map(rating => (
+                              <option key={rating} value={rating}>{rating}/10</option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,221 @@
+import React, {useState, useEffect} from 'react';
+import {motion} from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import {useSocket} from '../context/SocketContext';
+import conversationService from '../services/ConversationService';
+
+const {FiMessageCircle, FiSend, FiX, FiRefreshCw} = FiIcons;
+
+const KIND_STYLES = {
+  request: 'bg-yellow-900 text-yellow-300',
+  response: 'bg-green-900 text-green-300',
+  message: 'bg-dark-600 text-gray-300'
+};
+
+// Add a live message to its thread, starting the thread if it is new
+function mergeMessage(threads, message, agentId) {
+  const existing = threads.find(thread => thread.threadId === message.threadId);
+  const unread = message.to === agentId && !message.readAt ? 1 : 0;
+  const thread = existing
+    ? {
+      ...existing,
+      messages: [...existing.messages, message],
+      participants: Array.from(new Set([...existing.participants, message.from, message.to])),
+      unread: existing.unread + unread,
+      lastMessageAt: message.createdAt
+    }
+    : {
+      threadId: message.threadId,
+      participants: [message.from, message.to],
+      unread,
+      lastMessageAt: message.createdAt,
+      messages: [message]
+    };
+  return [thread, ...threads.filter(entry => entry.threadId !== message.threadId)];
+}
+
+/**
+ * An agent's inbox: its threads with other agents and the user, updated
+ * live, and a box to message or ask the agent
+ */
+export default function AgentThreads({agent, agents, onClose}) {
+  const {socket} = useSocket();
+  const [threads, setThreads] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [kind, setKind] = useState('request');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadThreads = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setThreads(await conversationService.getAgentMessages(agent.id));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadThreads();
+  }, [agent.id]);
+
+  useEffect(() => {
+    if (!socket) return;
+    const handleMessage = (message) => {
+      if (message.from === agent.id || message.to === agent.id) {
+        setThreads(prev => mergeMessage(prev, message, agent.id));
+      }
+    };
+    socket.on('agent-message', handleMessage);
+    return () => socket.off('agent-message', handleMessage);
+  }, [socket, agent.id]);
+
+  const nameOf = (id) => {
+    if (id === 'user') return 'You';
+    return agents.find(entry => entry.id === id)?.name || id.slice(0, 8);
+  };
+
+  const selected = threads.find(thread => thread.threadId === selectedId) || threads[0];
+
+  const handleSend = async () => {
+    if (!draft.trim()) return;
+    setIsSending(true);
+    setError(null);
+    try {
+      // Continue the open thread when the user is part of it
+      const threadId = selected?.participants.includes('user') ? selected.threadId : undefined;
+      const message = await conversationService.sendAgentMessage(agent.id, {content: draft.trim(), kind, threadId});
+      setSelectedId(message.threadId);
+      setDraft('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{opacity: 0}}
+      animate={{opacity: 1}}
+      exit={{opacity: 0}}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{scale: 0.9, opacity: 0}}
+        animate={{scale: 1, opacity: 1}}
+        exit={{scale: 0.9, opacity: 0}}
+        className="bg-dark-800 rounded-lg w-full max-w-4xl h-[80vh] border border-dark-700 flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b border-dark-700">
+          <div className="flex items-center space-x-2">
+            <SafeIcon icon={FiMessageCircle} className="w-5 h-5 text-primary-400" />
+            <h3 className="text-lg font-semibold text-white">{agent.name} · Messages</h3>
+          </div>
+          <div className="flex items-center space-x-1">
+            <button onClick={loadThreads} className="p-2 rounded hover:bg-dark-700 transition-colors" title="Reload threads">
+              <SafeIcon icon={FiRefreshCw} className={`w-4 h-4 text-gray-400 ${isLoading ? 'animate-spin' : ''}`} />
+            </button>
+            <button onClick={onClose} className="p-2 rounded hover:bg-dark-700 transition-colors">
+              <SafeIcon icon={FiX} className="w-4 h-4 text-gray-400" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex flex-1 min-h-0">
+          {/* Threads */}
+          <div className="w-64 border-r border-dark-700 overflow-y-auto">
+            {threads.length === 0 && !isLoading && (
+              <p className="p-4 text-sm text-gray-500">No messages yet</p>
+            )}
+            {threads.map(thread => (
+              <button
+                key={thread.threadId}
+                onClick={() => setSelectedId(thread.threadId)}
+                className={`w-full text-left px-4 py-3 border-b border-dark-700 transition-colors ${
+                  selected?.threadId === thread.threadId ? 'bg-dark-700' : 'hover:bg-dark-700'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-sm text-white truncate">
+                    {thread.participants.filter(id => id !== agent.id).map(nameOf).join(', ')}
+                  </span>
+                  {thread.unread > 0 && (
+                    <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-primary-600 text-white">{thread.unread}</span>
+                  )}
+                </div>
+                <p className="text-xs text-gray-400 truncate mt-1">
+                  {thread.messages[thread.messages.length - 1].content}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">{new Date(thread.lastMessageAt).toLocaleString()}</p>
+              </button>
+            ))}
+          </div>
+
+          {/* Selected thread */}
+          <div className="flex-1 flex flex-col min-w-0">
+            <div className="flex-1 overflow-y-auto p-4 space-y-3">
+              {selected?.messages.map(message => (
+                <div
+                  key={message.id}
+                  className={`max-w-[80%] rounded-lg p-3 ${
+                    message.from === agent.id ? 'ml-auto bg-primary-900 bg-opacity-40' : 'bg-dark-700'
+                  }`}
+                >
+                  <div className="flex items-center space-x-2 mb-1">
+                    <span className="text-xs font-medium text-white">{nameOf(message.from)}</span>
+                    <span className="text-xs text-gray-500">→ {nameOf(message.to)}</span>
+                    <span className={`px-2 py-0.5 text-xs rounded-full ${KIND_STYLES[message.kind] || KIND_STYLES.message}`}>
+                      {message.kind}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-200 whitespace-pre-wrap break-words">{message.content}</p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {new Date(message.createdAt).toLocaleTimeString()}
+                    {message.correlationId && ` · answers ${message.correlationId.slice(0, 8)}`}
+                  </p>
+                </div>
+              ))}
+            </div>
+
+            {error && <p className="px-4 text-xs text-red-400">{error}</p>}
+
+            <div className="border-t border-dark-700 p-3 flex items-end space-x-2">
+              <select
+                value={kind}
+                onChange={(e) => setKind(e.target.value)}
+                className="p-2 bg-dark-700 border border-dark-600 rounded text-sm text-gray-300 focus:outline-none"
+                title="A request expects an answer; a message may not get one"
+              >
+                <option value="request">Ask</option>
+                <option value="message">Tell</option>
+              </select>
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                placeholder={`Message ${agent.name}...`}
+                rows={2}
+                className="flex-1 p-2 bg-dark-700 border border-dark-600 rounded text-sm text-gray-200 resize-none focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+              <button
+                onClick={handleSend}
+                disabled={!draft.trim() || isSending}
+                className="p-3 rounded bg-primary-600 hover:bg-primary-700 disabled:opacity-50 transition-colors"
+              >
+                <SafeIcon icon={FiSend} className="w-4 h-4 text-white" />
+              </button>
+            </div>
+          </div>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
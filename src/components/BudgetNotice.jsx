@@ -0,0 +1,49 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiAlertTriangle, FiSlash, FiX } = FiIcons;
+
+const formatAmount = (metric, value) => metric === 'cost'
+  ? `$${Number(value || 0).toFixed(2)}`
+  : `${Number(value || 0).toLocaleString()} tokens`;
+
+/**
+ * Banner for a budget_exceeded error or a budget-warning event
+ */
+export default function BudgetNotice({ notice, onDismiss }) {
+  if (!notice?.budget) return null;
+
+  const { budget, exceeded } = notice;
+  const percent = budget.limit ? Math.round((budget.used / budget.limit) * 100) : 100;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={`flex items-start space-x-3 p-3 rounded-lg border text-sm ${
+        exceeded
+          ? 'bg-red-900 bg-opacity-30 border-red-700 text-red-200'
+          : 'bg-yellow-900 bg-opacity-30 border-yellow-700 text-yellow-200'
+      }`}
+    >
+      <SafeIcon icon={exceeded ? FiSlash : FiAlertTriangle} className="w-4 h-4 mt-0.5 flex-shrink-0" />
+      <div className="flex-1">
+        <p className="font-medium">
+          {exceeded ? 'LLM budget exceeded' : `${percent}% of LLM budget used`}
+        </p>
+        <p className="text-xs opacity-80 mt-1">
+          {budget.period === 'daily' ? 'Daily' : 'Monthly'} {budget.metric} limit:{' '}
+          {formatAmount(budget.metric, budget.used)} of {formatAmount(budget.metric, budget.limit)}
+          {exceeded && budget.resetsAt && ` · requests resume ${new Date(budget.resetsAt).toLocaleString()}`}
+        </p>
+      </div>
+      {onDismiss && (
+        <button onClick={onDismiss} className="opacity-70 hover:opacity-100">
+          <SafeIcon icon={FiX} className="w-4 h-4" />
+        </button>
+      )}
+    </motion.div>
+  );
+}
@@ -5,6 +5,7 @@ import * as FiIcons from 'react-icons/fi';
 import {useApp} from '../context/AppContext';
 import {useSocket} from '../context/SocketContext';
 import MessageBubble from './MessageBubble';
+import BudgetNotice from './BudgetNotice';
 import CodeBlock from './CodeBlock';
 
 const {FiSend, FiPaperclip, FiMic, FiStopCircle, FiRefreshCw, FiZap, FiActivity} = FiIcons;
@@ -14,9 +15,10 @@ export default function ChatInterface() {
   const [isTyping, setIsTyping] = useState(false);
   const [isRecording, setIsRecording] = useState(false);
   const [testResults, setTestResults] = useState(null);
+  const [budgetNotice, setBudgetNotice] = useState(null);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
-  const {chatHistory, addChatMessage, activeAgent, settings} = useApp();
+  const {chatHistory, addChatMessage, appendChatDelta, recordChatToolEvent, updateChatMessage, activeAgent, settings} = useApp();
   const {socket, emit, connected} = useSocket();
 
   useEffect(() => {
@@ -25,39 +27,89 @@ export default function ChatInterface() {
 
   useEffect(() => {
     if (socket) {
-      socket.on('message', (data) => {
+      const handleMessage = (data) => {
         addChatMessage({
           id: Date.now(),
           type: 'assistant',
           content: data.content,
+          reasoning: data.reasoning,
           timestamp: new Date(),
           agent: data.agent
         });
         setIsTyping(false);
-      });
+      };
+
+      // Streamed responses arrive as reasoning/content deltas keyed by messageId
+      const handleMessageDelta = (data) => {
+        appendChatDelta(
+          data.messageId,
+          data.type === 'reasoning' ? 'reasoning' : 'content',
+          data.delta,
+          activeAgent?.name || 'Claude Sonnet-4'
+        );
+      };
+
+      const handleToolEvent = (type) => (data) => {
+        recordChatToolEvent(data.messageId, {...data, type}, activeAgent?.name || 'Claude Sonnet-4');
+      };
+      const handleToolCall = handleToolEvent('tool-call');
+      const handleToolResult = handleToolEvent('tool-result');
 
-      socket.on('typing', (data) => {
+      const handleMessageDone = (data) => {
+        updateChatMessage(data.messageId, {
+          streaming: false,
+          agent: data.agent
+        });
+        setIsTyping(false);
+      };
+
+      const handleTyping = (data) => {
         setIsTyping(data.isTyping);
-      });
+      };
 
-      socket.on('error', (error) => {
+      const handleError = (error) => {
+        if (error.messageId) {
+          updateChatMessage(error.messageId, {streaming: false});
+        }
+        setIsTyping(false);
+        if (error.code === 'budget_exceeded') {
+          setBudgetNotice({budget: error.budget, exceeded: true});
+          return;
+        }
         addChatMessage({
           id: Date.now(),
           type: 'assistant',
-          content: `Error: ${error.message}. Please check your API configuration.`,
+          content: `Error: ${error.details || error.message}. Please check your API configuration.`,
           timestamp: new Date(),
           agent: 'System'
         });
-        setIsTyping(false);
-      });
+      };
+
+      const handleBudgetWarning = (budget) => {
+        setBudgetNotice(prev => prev?.exceeded ? prev : {budget, exceeded: false});
+      };
+
+      socket.on('message', handleMessage);
+      socket.on('message-delta', handleMessageDelta);
+      socket.on('message-done', handleMessageDone);
+      socket.on('tool-call', handleToolCall);
+      socket.on('tool-result', handleToolResult);
+      socket.on('typing', handleTyping);
+      socket.on('error', handleError);
+      socket.on('budget-warning', handleBudgetWarning);
 
       return () => {
-        socket.off('message');
-        socket.off('typing');
-        socket.off('error');
+        socket.off('message', handleMessage);
+        socket.off('message-delta', handleMessageDelta);
+        socket.off('message-done', handleMessageDone);
+        socket.off('tool-call', handleToolCall);
+        socket.off('tool-result', handleToolResult);
+        socket.off('typing', handleTyping);
+        socket.off('error', handleError);
+        socket.off('budget-warning', handleBudgetWarning);
       };
     }
-  }, [socket, addChatMessage]);
+  }, [socket, addChatMessage, appendChatDelta, recordChatToolEvent, updateChatMessage, activeAgent]);
 
   const handleSendMessage = async () => {
     if (!message.trim()) return;
@@ -75,7 +127,9 @@ export default function ChatInterface() {
     if (connected && socket) {
       // Send via Socket.IO if connected
       emit('message', {
+        messageId: `stream-${userMessage.id}`,
         content: userMessage.content,
+        stream: true,
         agent: activeAgent,
         context: {
           chatHistory: chatHistory.slice(-10),
@@ -368,7 +422,7 @@ export default function ChatInterface() {
           ))}
         </AnimatePresence>
 
-        {isTyping && (
+        {isTyping && !chatHistory.some(msg => msg.streaming) && (
           <motion.div
             initial={{opacity: 0}}
             animate={{opacity: 1}}
@@ -394,6 +448,11 @@ export default function ChatInterface() {
 
       {/* Input Area */}
       <div className="p-4 border-t border-dark-700">
+        {budgetNotice && (
+          <div className="mb-3">
+            <BudgetNotice notice={budgetNotice} onDismiss={() => setBudgetNotice(null)} />
+          </div>
+        )}
         <div className="flex items-end space-x-3">
           <button className="p-2 rounded-lg hover:bg-dark-700 transition-colors">
             <SafeIcon icon={FiPaperclip} className="w-5 h-5" />
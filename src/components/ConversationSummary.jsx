@@ -0,0 +1,90 @@
+import React, {useState, useEffect} from 'react';
+import {motion} from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const {FiBookOpen, FiRefreshCw, FiSave, FiX} = FiIcons;
+
+/**
+ * Viewer and editor for a conversation's rolling summary
+ */
+export default function ConversationSummary({summary, onSave, onRefresh, onClose}) {
+  const [draft, setDraft] = useState(summary?.content || '');
+  const [isSaving, setIsSaving] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setDraft(summary?.content || '');
+  }, [summary]);
+
+  const run = async (action, setBusy) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const isDirty = draft !== (summary?.content || '');
+
+  return (
+    <motion.div
+      initial={{opacity: 0, height: 0}}
+      animate={{opacity: 1, height: 'auto'}}
+      exit={{opacity: 0, height: 0}}
+      className="border-b border-dark-700 bg-dark-800 px-4 py-3"
+    >
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <SafeIcon icon={FiBookOpen} className="w-4 h-4 text-primary-400" />
+          <span className="text-sm font-medium text-white">Conversation Summary</span>
+          {summary && (
+            <span className="text-xs text-gray-400">
+              {summary.messageCount || 0} messages covered
+              {summary.edited && ' · edited'}
+              {summary.updatedAt && ` · updated ${new Date(summary.updatedAt).toLocaleString()}`}
+            </span>
+          )}
+        </div>
+        <button onClick={onClose} className="p-1 rounded hover:bg-dark-700 transition-colors">
+          <SafeIcon icon={FiX} className="w-4 h-4 text-gray-400" />
+        </button>
+      </div>
+
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        placeholder="No summary yet. One is written automatically once the conversation gets long, or you can write your own."
+        className="w-full p-2 bg-dark-700 border border-dark-600 rounded text-sm text-gray-200 resize-y focus:outline-none focus:ring-2 focus:ring-primary-500"
+        rows={5}
+      />
+
+      {error && <p className="text-xs text-red-400 mt-1">{error}</p>}
+
+      <div className="flex justify-end space-x-2 mt-2">
+        <button
+          onClick={() => run(onRefresh, setIsRefreshing)}
+          disabled={isRefreshing || isSaving}
+          className="flex items-center space-x-1 px-3 py-1 text-sm rounded bg-dark-700 hover:bg-dark-600 disabled:opacity-50 text-gray-300 transition-colors"
+          title="Fold older messages into the summary now"
+        >
+          <SafeIcon icon={FiRefreshCw} className={`w-3 h-3 ${isRefreshing ? 'animate-spin' : ''}`} />
+          <span>Refresh</span>
+        </button>
+        <button
+          onClick={() => run(() => onSave(draft), setIsSaving)}
+          disabled={!isDirty || isSaving || isRefreshing}
+          className="flex items-center space-x-1 px-3 py-1 text-sm rounded bg-primary-600 hover:bg-primary-700 disabled:opacity-50 text-white transition-colors"
+        >
+          <SafeIcon icon={FiSave} className="w-3 h-3" />
+          <span>Save</span>
+        </button>
+      </div>
+    </motion.div>
+  );
+}
@@ -7,6 +7,11 @@ import ArtifactViewer from './ArtifactViewer';
 import ShareDialog from './ShareDialog';
 import conversationService from '../services/ConversationService';
 import {useAuth} from '../context/AuthContext';
+import {useSocket} from '../context/SocketContext';
+import {applyToolEvent} from '../context/AppContext';
+import BudgetNotice from './BudgetNotice';
+import ConversationSummary from './ConversationSummary';
+import PromptPicker from './PromptPicker';
 
 const {
   FiSend,
@@ -20,7 +25,8 @@ const {
   FiPlus,
   FiMaximize2,
   FiX,
-  FiZap
+  FiZap,
+  FiBookOpen
 } = FiIcons;
 
 export default function ConversationView({conversation, onConversationUpdate, currentOrganization}) {
@@ -33,14 +39,22 @@ export default function ConversationView({conversation, onConversationUpdate, cu
   const [selectedArtifact, setSelectedArtifact] = useState(null);
   const [isArtifactFullscreen, setIsArtifactFullscreen] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [budgetNotice, setBudgetNotice] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [showSummary, setShowSummary] = useState(false);
+  const [promptId, setPromptId] = useState(null);
   const messagesEndRef = useRef(null);
+  const pendingStreamRef = useRef(null);
   const {user} = useAuth();
+  const {socket, emit, connected} = useSocket();
 
   useEffect(() => {
     if (conversation) {
       loadMessages();
       loadArtifacts();
+      loadSummary();
       setEditedTitle(conversation.title);
+      setPromptId(conversation.metadata?.promptId || null);
     }
   }, [conversation]);
 
@@ -48,6 +62,118 @@ export default function ConversationView({conversation, onConversationUpdate, cu
     scrollToBottom();
   }, [messages]);
 
+  useEffect(() => {
+    if (!socket || !conversation) return;
+
+    const isPending = (data) => pendingStreamRef.current?.messageId === data.messageId;
+
+    const handleMessageDelta = (data) => {
+      if (!isPending(data)) return;
+      const field = data.type === 'reasoning' ? 'reasoning' : 'content';
+      pendingStreamRef.current[field] += data.delta;
+      setMessages(prev => prev.map(m =>
+        m.id === data.messageId ? {...m, [field]: (m[field] || '') + data.delta} : m
+      ));
+    };
+
+    const handleToolEvent = (type) => (data) => {
+      if (!isPending(data)) return;
+      setMessages(prev => prev.map(m =>
+        m.id === data.messageId ? {...m, toolCalls: applyToolEvent(m.toolCalls || [], {...data, type})} : m
+      ));
+    };
+    const handleToolCall = handleToolEvent('tool-call');
+    const handleToolResult = handleToolEvent('tool-result');
+
+    const handleMessageDone = async (data) => {
+      if (!isPending(data)) return;
+      const pending = pendingStreamRef.current;
+      pendingStreamRef.current = null;
+
+      // Swap the optimistic placeholders for the persisted rows
+      setMessages(prev => prev.map(m => {
+        if (m.id === pending.userMessageId && data.userMessage) {
+          return data.userMessage;
+        }
+        if (m.id === data.messageId) {
+          return {
+            ...m,
+            ...(data.message ? {id: data.message.id, createdAt: data.message.createdAt, metadata: data.message.metadata} : {}),
+            streaming: false
+          };
+        }
+        return m;
+      }));
+      setIsLoading(false);
+
+      if (shouldCreateArtifact(pending.userContent, pending.content)) {
+        await createArtifactFromResponse(pending.userContent, pending.content);
+      }
+
+      await conversationService.logActivity(
+        currentOrganization.id,
+        'message_sent',
+        'message',
+        data.userMessage?.id
+      );
+    };
+
+    const handleError = async (error) => {
+      if (!isPending(error)) return;
+      const pending = pendingStreamRef.current;
+      pendingStreamRef.current = null;
+      setMessages(prev => prev.filter(m => m.id !== error.messageId));
+      setIsLoading(false);
+
+      // Budget rejections are shown as a banner rather than saved to the conversation
+      if (error.code === 'budget_exceeded') {
+        setMessages(prev => prev.filter(m => m.id !== pending.userMessageId));
+        setNewMessage(prev => prev || pending.userContent);
+        setBudgetNotice({budget: error.budget, exceeded: true});
+        return;
+      }
+
+      try {
+        const errorMessage = await conversationService.addMessage(
+          conversation.id,
+          `I apologize, but I encountered an error: ${error.details || error.message}. Please check your API configuration and try again.`,
+          'assistant'
+        );
+        setMessages(prev => [...prev, errorMessage]);
+      } catch (err) {
+        console.error('Error saving error message:', err);
+      }
+    };
+
+    const handleBudgetWarning = (budget) => {
+      setBudgetNotice(prev => prev?.exceeded ? prev : {budget, exceeded: false});
+    };
+
+    const handleSummary = (data) => {
+      if (data.conversationId === conversation.id) {
+        setSummary(data.summary);
+      }
+    };
+
+    socket.on('message-delta', handleMessageDelta);
+    socket.on('message-done', handleMessageDone);
+    socket.on('tool-call', handleToolCall);
+    socket.on('tool-result', handleToolResult);
+    socket.on('error', handleError);
+    socket.on('budget-warning', handleBudgetWarning);
+    socket.on('conversation-summary', handleSummary);
+
+    return () => {
+      socket.off('message-delta', handleMessageDelta);
+      socket.off('message-done', handleMessageDone);
+      socket.off('tool-call', handleToolCall);
+      socket.off('tool-result', handleToolResult);
+      socket.off('error', handleError);
+      socket.off('budget-warning', handleBudgetWarning);
+      socket.off('conversation-summary', handleSummary);
+    };
+  }, [socket, conversation, currentOrganization]);
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({behavior: 'smooth'});
   };
@@ -72,12 +198,79 @@ export default function ConversationView({conversation, onConversationUpdate, cu
     }
   };
 
+  const loadSummary = async () => {
+    if (!conversation) return;
+    try {
+      const data = await conversationService.getSummary(conversation.id);
+      setSummary(data.summary);
+    } catch (error) {
+      console.error('Error loading summary:', error);
+    }
+  };
+
+  const handleSummarySave = async (content) => {
+    const data = await conversationService.updateSummary(conversation.id, content);
+    setSummary(data.summary);
+  };
+
+  const handleSummaryRefresh = async () => {
+    const data = await conversationService.refreshSummary(conversation.id);
+    setSummary(data.summary);
+  };
+
+  const handlePromptChange = async (id) => {
+    const previous = promptId;
+    setPromptId(id);
+    try {
+      await conversationService.setConversationPrompt(conversation.id, id);
+    } catch (error) {
+      console.error('Error setting conversation prompt:', error);
+      setPromptId(previous);
+    }
+  };
+
   const handleSendMessage = async () => {
     if (!newMessage.trim() || !conversation) return;
     setIsLoading(true);
     const userMessageContent = newMessage;
     setNewMessage(''); // Clear input immediately for better UX
 
+    if (connected && socket) {
+      streamMessage(userMessageContent);
+    } else {
+      await sendMessageViaHttp(userMessageContent);
+    }
+  };
+
+  // Stream the response over Socket.IO; the server persists both messages when it finishes
+  const streamMessage = (userMessageContent) => {
+    const messageId = `stream-${Date.now()}`;
+    const userMessageId = `${messageId}-user`;
+    pendingStreamRef.current = {
+      messageId,
+      userMessageId,
+      userContent: userMessageContent,
+      content: '',
+      reasoning: ''
+    };
+
+    setMessages(prev => [
+      ...prev,
+      {id: userMessageId, role: 'user', content: userMessageContent, createdAt: new Date()},
+      {id: messageId, role: 'assistant', content: '', reasoning: '', streaming: true, createdAt: new Date()}
+    ]);
+
+    emit('message', {
+      messageId,
+      content: userMessageContent,
+      stream: true,
+      context: {
+        conversationId: conversation.id
+      }
+    });
+  };
+
+  const sendMessageViaHttp = async (userMessageContent) => {
     try {
       // Add user message to database
       const userMessage = await conversationService.addMessage(
@@ -106,7 +299,8 @@ export default function ConversationView({conversation, onConversationUpdate, cu
         const aiMessage = await conversationService.addMessage(
           conversation.id,
           aiData.response,
-          'assistant'
+          'assistant',
+          aiData.reasoning ? {reasoning: aiData.reasoning} : undefined
         );
         // Add to local state
         setMessages(prev => [...prev, aiMessage]);
@@ -246,7 +440,8 @@ export default function ConversationView({conversation, onConversationUpdate, cu
         body: JSON.stringify({
           description,
           type,
-          language: 'javascript'
+          language: 'javascript',
+          organizationId: currentOrganization.id
         }),
       });
 
@@ -316,6 +511,19 @@ export default function ConversationView({conversation, onConversationUpdate, cu
               </button>
             </div>
             <div className="flex items-center space-x-2">
+              <PromptPicker
+                value={promptId}
+                onChange={handlePromptChange}
+                organizationId={currentOrganization?.id}
+                className="w-56"
+              />
+              <button
+                onClick={() => setShowSummary(!showSummary)}
+                className={`p-2 rounded-lg transition-colors ${showSummary ? 'bg-dark-700' : 'hover:bg-dark-700'}`}
+                title="Conversation Summary"
+              >
+                <SafeIcon icon={FiBookOpen} className={`w-4 h-4 ${summary ? 'text-primary-400' : 'text-gray-400'}`} />
+              </button>
               <button
                 onClick={() => handleGenerateArtifact('Create a sample React component')}
                 className="p-2 rounded-lg bg-primary-600 hover:bg-primary-700 transition-colors"
@@ -339,6 +547,17 @@ export default function ConversationView({conversation, onConversationUpdate, cu
           </div>
         </div>
 
+        <AnimatePresence>
+          {showSummary && (
+            <ConversationSummary
+              summary={summary}
+              onSave={handleSummarySave}
+              onRefresh={handleSummaryRefresh}
+              onClose={() => setShowSummary(false)}
+            />
+          )}
+        </AnimatePresence>
+
         {/* Messages */}
         <div className="flex-1 overflow-y-auto p-4 space-y-4">
           <AnimatePresence>
@@ -347,7 +566,7 @@ export default function ConversationView({conversation, onConversationUpdate, cu
             ))}
           </AnimatePresence>
 
-          {isLoading && (
+          {isLoading && !messages.some(message => message.streaming) && (
             <motion.div
               initial={{opacity: 0}}
               animate={{opacity: 1}}
@@ -373,6 +592,11 @@ export default function ConversationView({conversation, onConversationUpdate, cu
 
         {/* Input Area */}
         <div className="p-4 border-t border-dark-700 bg-dark-800">
+          {budgetNotice && (
+            <div className="mb-3">
+              <BudgetNotice notice={budgetNotice} onDismiss={() => setBudgetNotice(null)} />
+            </div>
+          )}
           <div className="flex items-end space-x-3">
             <button className="p-2 rounded-lg hover:bg-dark-700 transition-colors">
               <SafeIcon icon={FiPaperclip} className="w-5 h-5 text-gray-400" />
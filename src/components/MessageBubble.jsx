@@ -4,11 +4,16 @@ import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import CodeBlock from './CodeBlock';
 import { format } from 'date-fns';
+import { useApp } from '../context/AppContext';
 
-const { FiUser, FiCpu, FiCopy, FiCheck } = FiIcons;
+const { FiUser, FiCpu, FiCopy, FiCheck, FiTool, FiLoader, FiAlertCircle, FiChevronRight } = FiIcons;
 
 export default function MessageBubble({ message }) {
-  const isUser = message.type === 'user';
+  const isUser = message.type === 'user' || message.role === 'user';
+  const timestamp = message.timestamp || message.createdAt;
+  // Reasoning streams in as message.reasoning and is persisted in metadata
+  const reasoning = message.reasoning || message.metadata?.reasoning;
+  const { settings } = useApp();
   const [copied, setCopied] = React.useState(false);
 
   const handleCopy = async () => {
@@ -106,15 +111,55 @@ export default function MessageBubble({ message }) {
               ? 'bg-primary-600 text-white' 
               : 'bg-dark-800 text-gray-100 border border-dark-600'
           }`}>
+            {reasoning && settings.showReasoning !== false && (
+              <details className="group mb-3 text-sm" open={message.streaming && !message.content}>
+                <summary className="flex items-center space-x-1 cursor-pointer text-gray-400 hover:text-gray-300 list-none">
+                  <SafeIcon icon={FiChevronRight} className="w-3 h-3 transition-transform group-open:rotate-90" />
+                  <span>{message.streaming && !message.content ? 'Thinking...' : 'Thinking'}</span>
+                </summary>
+                <div className="mt-2 pl-3 border-l-2 border-dark-600 text-gray-400 whitespace-pre-wrap italic">
+                  {reasoning}
+                </div>
+              </details>
+            )}
+            {message.toolCalls?.length > 0 && (
+              <div className="mb-3 space-y-2">
+                {message.toolCalls.map((call) => (
+                  <details key={call.id} className="bg-dark-900 border border-dark-600 rounded-lg text-sm">
+                    <summary className="flex items-center space-x-2 px-3 py-2 cursor-pointer text-gray-300">
+                      <SafeIcon
+                        icon={call.status === 'running' ? FiLoader : call.status === 'error' ? FiAlertCircle : FiTool}
+                        className={`w-3 h-3 ${call.status === 'error' ? 'text-red-400' : 'text-primary-400'} ${call.status === 'running' ? 'animate-spin' : ''}`}
+                      />
+                      <span className="font-mono">{call.name}</span>
+                      <span className="text-xs text-gray-500">{call.status}</span>
+                    </summary>
+                    <div className="px-3 pb-3 space-y-2 text-xs font-mono text-gray-400">
+                      <div className="whitespace-pre-wrap break-all">
+                        {JSON.stringify(call.arguments, null, 2)}
+                      </div>
+                      {(call.result !== undefined || call.error) && (
+                        <div className={`whitespace-pre-wrap break-all max-h-48 overflow-y-auto ${call.error ? 'text-red-400' : ''}`}>
+                          {call.error || JSON.stringify(call.result, null, 2)}
+                        </div>
+                      )}
+                    </div>
+                  </details>
+                ))}
+              </div>
+            )}
             <div className="space-y-2">
               {renderContent()}
+              {message.streaming && (
+                <span className="inline-block w-2 h-4 bg-primary-500 animate-pulse align-middle" />
+              )}
             </div>
           </div>
           
           <div className={`flex items-center space-x-2 mt-2 text-xs text-gray-400 ${
             isUser ? 'justify-end' : 'justify-start'
           }`}>
-            <span>{format(new Date(message.timestamp), 'HH:mm')}</span>
+            <span>{format(new Date(timestamp), 'HH:mm')}</span>
             {message.agent && (
               <span className="text-primary-400">• {message.agent}</span>
             )}
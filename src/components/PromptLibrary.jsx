@@ -0,0 +1,213 @@
+import React, {useState, useEffect} from 'react';
+import {motion, AnimatePresence} from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import conversationService from '../services/ConversationService';
+
+const {FiPlus, FiSave, FiTrash2, FiX, FiFileText} = FiIcons;
+
+const emptyPrompt = {name: '', description: '', key: '', content: ''};
+
+/**
+ * Modal for creating, editing and deleting an organization's prompt templates
+ */
+export default function PromptLibrary({isOpen, onClose, organizationId, onChange}) {
+  const [prompts, setPrompts] = useState([]);
+  const [builtins, setBuiltins] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [draft, setDraft] = useState(emptyPrompt);
+  const [versions, setVersions] = useState([]);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadPrompts();
+      conversationService.getBuiltinPrompts().then(setBuiltins).catch(err => console.error('Error loading built-in prompts:', err));
+    }
+  }, [isOpen, organizationId]);
+
+  const loadPrompts = async () => {
+    try {
+      setPrompts(await conversationService.getPrompts(organizationId));
+    } catch (err) {
+      console.error('Error loading prompts:', err);
+    }
+  };
+
+  const selectPrompt = async (prompt) => {
+    setSelected(prompt);
+    setDraft(prompt ? {
+      name: prompt.name,
+      description: prompt.description || '',
+      key: prompt.key || '',
+      content: prompt.content
+    } : emptyPrompt);
+    setError(null);
+    setVersions(prompt ? await conversationService.getPromptVersions(prompt.id).catch(() => []) : []);
+  };
+
+  // Start an override from the built-in text so it can be tweaked rather than rewritten
+  const handleKeyChange = (key) => {
+    const builtin = builtins.find(entry => entry.key === key);
+    setDraft(prev => ({
+      ...prev,
+      key,
+      name: prev.name || builtin?.name || '',
+      content: prev.content || builtin?.content || ''
+    }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const data = {...draft, key: draft.key || null};
+      const saved = selected
+        ? await conversationService.updatePrompt(selected.id, data)
+        : await conversationService.createPrompt({...data, organizationId});
+      await loadPrompts();
+      await selectPrompt(saved);
+      onChange?.();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selected || !confirm(`Delete prompt "${selected.name}"?`)) return;
+    try {
+      await conversationService.deletePrompt(selected.id);
+      await loadPrompts();
+      await selectPrompt(null);
+      onChange?.();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const variables = [...new Set([...draft.content.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)].map(match => match[1]))];
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{opacity: 0}}
+          animate={{opacity: 1}}
+          exit={{opacity: 0}}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{scale: 0.9, opacity: 0}}
+            animate={{scale: 1, opacity: 1}}
+            exit={{scale: 0.9, opacity: 0}}
+            className="bg-dark-800 rounded-lg border border-dark-700 w-full max-w-4xl h-[80vh] flex flex-col"
+          >
+            <div className="flex items-center justify-between p-4 border-b border-dark-700">
+              <h3 className="text-xl font-semibold text-white">Prompt Library</h3>
+              <button onClick={onClose} className="p-1 rounded hover:bg-dark-700 transition-colors">
+                <SafeIcon icon={FiX} className="w-5 h-5 text-gray-400" />
+              </button>
+            </div>
+
+            <div className="flex flex-1 min-h-0">
+              {/* Prompt list */}
+              <div className="w-64 border-r border-dark-700 overflow-y-auto p-2 space-y-1">
+                <button
+                  onClick={() => selectPrompt(null)}
+                  className={`w-full flex items-center space-x-2 p-2 rounded text-sm transition-colors ${
+                    !selected ? 'bg-primary-600 text-white' : 'text-gray-300 hover:bg-dark-700'
+                  }`}
+                >
+                  <SafeIcon icon={FiPlus} className="w-4 h-4" />
+                  <span>New Prompt</span>
+                </button>
+                {prompts.map(prompt => (
+                  <button
+                    key={prompt.id}
+                    onClick={() => selectPrompt(prompt)}
+                    className={`w-full text-left p-2 rounded transition-colors ${
+                      selected?.id === prompt.id ? 'bg-dark-600' : 'hover:bg-dark-700'
+                    }`}
+                  >
+                    <div className="flex items-center space-x-2">
+                      <SafeIcon icon={FiFileText} className="w-4 h-4 text-primary-400 flex-shrink-0" />
+                      <span className="text-sm text-white truncate">{prompt.name}</span>
+                    </div>
+                    <div className="text-xs text-gray-400 mt-1">
+                      v{prompt.version}{prompt.key && ` · overrides ${prompt.key}`}
+                    </div>
+                  </button>
+                ))}
+              </div>
+
+              {/* Editor */}
+              <div className="flex-1 flex flex-col p-4 space-y-3 overflow-y-auto">
+                <div className="grid grid-cols-2 gap-3">
+                  <input
+                    type="text"
+                    value={draft.name}
+                    onChange={(e) => setDraft(prev => ({...prev, name: e.target.value}))}
+                    placeholder="Prompt name"
+                    className="p-2 bg-dark-700 border border-dark-600 rounded text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                  <select
+                    value={draft.key}
+                    onChange={(e) => handleKeyChange(e.target.value)}
+                    className="p-2 bg-dark-700 border border-dark-600 rounded text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  >
+                    <option value="">Standalone (select by ID)</option>
+                    {builtins.map(builtin => (
+                      <option key={builtin.key} value={builtin.key}>Override: {builtin.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <input
+                  type="text"
+                  value={draft.description}
+                  onChange={(e) => setDraft(prev => ({...prev, description: e.target.value}))}
+                  placeholder="Description (optional)"
+                  className="p-2 bg-dark-700 border border-dark-600 rounded text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+                <textarea
+                  value={draft.content}
+                  onChange={(e) => setDraft(prev => ({...prev, content: e.target.value}))}
+                  placeholder="Template text. Use {{variable}} placeholders, e.g. {{project}} or {{agent.name}}."
+                  className="flex-1 min-h-[240px] p-3 bg-dark-700 border border-dark-600 rounded text-sm font-mono text-gray-200 resize-none focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+                <div className="text-xs text-gray-400">
+                  Variables: {variables.length > 0 ? variables.join(', ') : 'none'}
+                  {selected && ` · version ${selected.version} · ${versions.length} saved versions`}
+                </div>
+
+                {error && <p className="text-sm text-red-400">{error}</p>}
+
+                <div className="flex justify-between">
+                  {selected ? (
+                    <button
+                      onClick={handleDelete}
+                      className="flex items-center space-x-1 px-3 py-2 text-sm text-red-400 hover:text-red-300 transition-colors"
+                    >
+                      <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                      <span>Delete</span>
+                    </button>
+                  ) : <span />}
+                  <button
+                    onClick={handleSave}
+                    disabled={isSaving || !draft.name.trim() || !draft.content.trim()}
+                    className="flex items-center space-x-1 px-4 py-2 bg-primary-600 hover:bg-primary-700 disabled:opacity-50 rounded-lg text-white transition-colors"
+                  >
+                    <SafeIcon icon={FiSave} className="w-4 h-4" />
+                    <span>{selected ? 'Save New Version' : 'Create Prompt'}</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,59 @@
+import React, {useState, useEffect} from 'react';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import conversationService from '../services/ConversationService';
+import PromptLibrary from './PromptLibrary';
+
+const {FiSliders} = FiIcons;
+
+/**
+ * System prompt selector with a shortcut to the prompt library. Only
+ * standalone prompts and overrides of the system prompt are offered.
+ */
+export default function PromptPicker({value, onChange, organizationId = 'default-org', className = ''}) {
+  const [prompts, setPrompts] = useState([]);
+  const [showLibrary, setShowLibrary] = useState(false);
+
+  const loadPrompts = async () => {
+    try {
+      const data = await conversationService.getPrompts(organizationId);
+      setPrompts(data.filter(prompt => !prompt.key || prompt.key === 'system'));
+    } catch (error) {
+      console.error('Error loading prompts:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadPrompts();
+  }, [organizationId]);
+
+  return (
+    <div className={`flex items-center space-x-1 ${className}`}>
+      <select
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        className="flex-1 p-2 bg-dark-700 border border-dark-600 rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+        title="System prompt"
+      >
+        <option value="">Default system prompt</option>
+        {prompts.map(prompt => (
+          <option key={prompt.id} value={prompt.id}>{prompt.name} (v{prompt.version})</option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={() => setShowLibrary(true)}
+        className="p-2 rounded-lg hover:bg-dark-700 transition-colors"
+        title="Prompt Library"
+      >
+        <SafeIcon icon={FiSliders} className="w-4 h-4 text-gray-400" />
+      </button>
+      <PromptLibrary
+        isOpen={showLibrary}
+        onClose={() => setShowLibrary(false)}
+        organizationId={organizationId}
+        onChange={loadPrompts}
+      />
+    </div>
+  );
+}
@@ -3,6 +3,7 @@ import { motion } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { useApp } from '../context/AppContext';
+import UsagePanel from './UsagePanel';
 
 const { 
   FiSettings, FiKey, FiGithub, FiDatabase, FiServer, FiSave,
@@ -236,6 +237,9 @@ export default function Settings() {
             </motion.div>
           ))}
 
+          {/* LLM Usage */}
+          <UsagePanel />
+
           {/* General Settings */}
           <motion.div
             initial={{ opacity: 0, y: 20 }}
@@ -261,6 +265,19 @@ export default function Settings() {
                 />
               </div>
               
+              <div className="flex items-center justify-between">
+                <div>
+                  <label className="text-sm font-medium text-gray-300">Show Reasoning</label>
+                  <p className="text-xs text-gray-500">Show the model's thinking above its answers</p>
+                </div>
+                <input
+                  type="checkbox"
+                  checked={settings.showReasoning !== false}
+                  onChange={(e) => updateSettings({ showReasoning: e.target.checked })}
+                  className="rounded"
+                />
+              </div>
+              
               <div className="flex items-center justify-between">
                 <div>
                   <label className="text-sm font-medium text-gray-300">Code Completion</label>
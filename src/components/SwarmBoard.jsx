@@ -4,6 +4,8 @@ import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { useApp } from '../context/AppContext';
 import { useSocket } from '../context/SocketContext';
+import BudgetNotice from './BudgetNotice';
+import conversationService from '../services/ConversationService';
 
 const {
   FiPlus,
@@ -23,9 +25,18 @@ const {
   FiMessageCircle,
   FiBriefcase,
   FiStar,
-  FiGitBranch
+  FiGitBranch,
+  FiX,
+  FiMinus
 } = FiIcons;
 
+// Templates a new swarm starts from: one coordinator and two workers
+const DEFAULT_ROSTER = {
+  'builtin:coordinator': 1,
+  'builtin:researcher': 1,
+  'builtin:coder': 1
+};
+
 export default function SwarmBoard() {
   const [swarms, setSwarms] = useState([]);
   const [activeSwarm, setActiveSwarm] = useState(null);
@@ -36,85 +47,31 @@ export default function SwarmBoard() {
   const [newSwarm, setNewSwarm] = useState({
     name: '',
     description: '',
-    agentCount: 3
+    roster: DEFAULT_ROSTER
   });
+  const [agentTemplates, setAgentTemplates] = useState([]);
   const [newTask, setNewTask] = useState({
     type: 'code_generation',
     description: '',
-    priority: 5
+    priority: 5,
+    inputs: {}
   });
+  const [taskTypes, setTaskTypes] = useState([]);
   const [swarmMemory, setSwarmMemory] = useState({});
   const [swarmEvents, setSwarmEvents] = useState([]);
+  const [swarmError, setSwarmError] = useState(null);
+  const [budgetNotice, setBudgetNotice] = useState(null);
   
   const { socket, emit } = useSocket();
   const { user } = useApp();
   
-  // Agent roles for swarm creation
-  const agentRoles = [
-    {
-      id: 'coordinator',
-      name: 'Coordinator',
-      icon: FiUsers,
-      description: 'Manages the swarm and distributes tasks'
-    },
-    {
-      id: 'researcher',
-      name: 'Researcher',
-      icon: FiDatabase,
-      description: 'Gathers and analyzes information'
-    },
-    {
-      id: 'coder',
-      name: 'Coder',
-      icon: FiCode,
-      description: 'Generates and reviews code'
-    },
-    {
-      id: 'reviewer',
-      name: 'Reviewer',
-      icon: FiEye,
-      description: 'Reviews and improves work'
-    },
-    {
-      id: 'tester',
-      name: 'Tester',
-      icon: FiCheck,
-      description: 'Tests and validates solutions'
-    }
-  ];
-  
-  // Task types
-  const taskTypes = [
-    {
-      id: 'code_generation',
-      name: 'Code Generation',
-      icon: FiCode
-    },
-    {
-      id: 'research',
-      name: 'Research',
-      icon: FiDatabase
-    },
-    {
-      id: 'analysis',
-      name: 'Analysis',
-      icon: FiEye
-    },
-    {
-      id: 'swarm_coordination',
-      name: 'Coordination',
-      icon: FiUsers
-    },
-    {
-      id: 'message_relay',
-      name: 'Message',
-      icon: FiMessageCircle
-    }
-  ];
-
-  // Fetch swarms on component mount
+  // Fetch swarms and the task types agents can run on component mount
   useEffect(() => {
     fetchSwarms();
+    fetchTaskTypes();
+    conversationService.getAgentTemplates()
+      .then(setAgentTemplates)
+      .catch(error => console.error('Error fetching agent templates:', error));
   }, []);
 
   // Setup socket event listeners
@@ -124,12 +81,18 @@ export default function SwarmBoard() {
       socket.on('swarm-task-submitted', handleTaskSubmitted);
       socket.on('swarm-event', handleSwarmEvent);
       socket.on('swarm-subscribed', handleSwarmSubscribed);
+      socket.on('swarm-error', handleSwarmError);
+      socket.on('budget-warning', handleBudgetWarning);
+      socket.on('task-cancel-error', handleTaskCancelError);
       
       return () => {
         socket.off('swarm-created');
         socket.off('swarm-task-submitted');
         socket.off('swarm-event');
         socket.off('swarm-subscribed');
+        socket.off('swarm-error', handleSwarmError);
+        socket.off('budget-warning', handleBudgetWarning);
+        socket.off('task-cancel-error', handleTaskCancelError);
       };
     }
   }, [socket]);
@@ -146,6 +109,16 @@ export default function SwarmBoard() {
     }
   }, [socket, activeSwarm]);
 
+  const fetchTaskTypes = async () => {
+    try {
+      const response = await fetch('/api/task-types');
+      const data = await response.json();
+      setTaskTypes(data.taskTypes);
+    } catch (error) {
+      console.error('Error fetching task types:', error);
+    }
+  };
+
   const fetchSwarms = async () => {
     try {
       const response = await fetch('/api/swarms');
@@ -182,7 +155,7 @@ export default function SwarmBoard() {
     setNewSwarm({
       name: '',
       description: '',
-      agentCount: 3
+      roster: DEFAULT_ROSTER
     });
     setActiveSwarm(swarm);
   };
@@ -193,7 +166,8 @@ export default function SwarmBoard() {
     setNewTask({
       type: 'code_generation',
       description: '',
-      priority: 5
+      priority: 5,
+      inputs: {}
     });
   };
 
@@ -212,6 +186,11 @@ export default function SwarmBoard() {
       setSwarmTasks(prev => 
         prev.map(t => t.id === event.taskId ? { ...t, ...event.updates } : t)
       );
+    } else if ((event.type === 'task:cancelled' || event.type === 'task:timed_out') && activeSwarm) {
+      // Stopped by the user or by the task type's time limit
+      setSwarmTasks(prev =>
+        prev.map(t => t.id === event.taskId ? { ...t, status: event.type.slice('task:'.length), error: event.reason } : t)
+      );
     } else if (event.type === 'agent:status_changed' && activeSwarm) {
       // Update agent in the list
       setSwarmAgents(prev => 
@@ -224,45 +203,41 @@ export default function SwarmBoard() {
     console.log(`Subscribed to swarm ${swarmId} events`);
   };
 
-  const handleCreateSwarm = () => {
-    if (!newSwarm.name.trim()) return;
-    
-    // Generate agent configs based on roles
-    const agents = [];
-    
-    // Always add a coordinator
-    agents.push({
-      name: `${newSwarm.name} Coordinator`,
-      type: 'coordinator',
-      role: 'coordinator',
-      capabilities: ['task_distribution', 'memory_management', 'coordination']
-    });
-    
-    // Add other agent types
-    const remainingAgents = newSwarm.agentCount - 1;
-    const roles = ['researcher', 'coder', 'reviewer'];
-    
-    for (let i = 0; i < remainingAgents; i++) {
-      const role = roles[i % roles.length];
-      const capabilities = [];
-      
-      if (role === 'researcher') {
-        capabilities.push('research', 'analysis', 'information_gathering');
-      } else if (role === 'coder') {
-        capabilities.push('code_generation', 'refactoring', 'debugging');
-      } else if (role === 'reviewer') {
-        capabilities.push('code_review', 'quality_control', 'testing');
-      }
-      
-      agents.push({
-        name: `${newSwarm.name} ${role.charAt(0).toUpperCase() + role.slice(1)} ${i+1}`,
-        type: role,
-        role: role,
-        capabilities
-      });
+  const handleSwarmError = (error) => {
+    if (error.code === 'budget_exceeded') {
+      setBudgetNotice({ budget: error.budget, exceeded: true });
+    } else {
+      setSwarmError(error.details || error.message);
     }
-    
-    // Create swarm with agents
+  };
+
+  const handleTaskCancelError = (error) => {
+    setSwarmError(error.message);
+  };
+
+  const handleCancelTask = (taskId) => {
+    emit('cancel-task', { taskId });
+  };
+
+  const handleBudgetWarning = (budget) => {
+    setBudgetNotice(prev => prev?.exceeded ? prev : { budget, exceeded: false });
+  };
+
+  const setRosterCount = (templateId, count) => {
+    setNewSwarm(prev => {
+      const roster = { ...prev.roster, [templateId]: Math.max(0, Math.min(count, 10)) };
+      if (!roster[templateId]) delete roster[templateId];
+      return { ...prev, roster };
+    });
+  };
+
+  const rosterSize = Object.values(newSwarm.roster).reduce((total, count) => total + count, 0);
+
+  const handleCreateSwarm = () => {
+    if (!newSwarm.name.trim() || rosterSize === 0) return;
+    setSwarmError(null);
+
+    // The server builds the agents from the chosen templates
     emit('swarm-create', {
       name: newSwarm.name,
       description: newSwarm.description,
@@ -271,10 +246,26 @@ export default function SwarmBoard() {
         purpose: newSwarm.description,
         createdAt: new Date().toISOString()
       },
-      agents
+      roster: Object.entries(newSwarm.roster).map(([templateId, count]) => ({ templateId, count }))
     });
   };
 
+  // Scalar inputs of the selected task type, rendered as extra form fields
+  const selectedTaskType = taskTypes.find(type => type.type === newTask.type);
+  const taskInputFields = Object.entries(selectedTaskType?.inputSchema?.properties || {})
+    .filter(([key, schema]) => key !== 'description' && !['array', 'object'].includes(schema.type));
+
+  const handleTaskInputChange = (key, schema, value) => {
+    const numeric = schema.type === 'integer' || schema.type === 'number';
+    setNewTask(prev => ({
+      ...prev,
+      inputs: {
+        ...prev.inputs,
+        [key]: value === '' ? undefined : numeric ? Number(value) : value
+      }
+    }));
+  };
+
   const handleCreateTask = () => {
     if (!newTask.description.trim() || !activeSwarm) return;
     
@@ -285,6 +276,7 @@ export default function SwarmBoard() {
         description: newTask.description,
         priority: parseInt(newTask.priority),
         context: {
+          ...newTask.inputs,
           createdAt: new Date().toISOString(),
           createdBy: user?.id || 'anonymous'
         }
@@ -301,6 +293,7 @@ export default function SwarmBoard() {
       case 'running': return 'text-blue-400';
       case 'pending': return 'text-yellow-400';
       case 'failed': return 'text-red-400';
+      case 'timed_out': return 'text-orange-400';
       default: return 'text-gray-400';
     }
   };
@@ -314,6 +307,7 @@ export default function SwarmBoard() {
       case 'running': return 'bg-blue-400';
       case 'pending': return 'bg-yellow-400';
       case 'failed': return 'bg-red-400';
+      case 'timed_out': return 'bg-orange-400';
       default: return 'bg-gray-400';
     }
   };
@@ -347,6 +341,21 @@ export default function SwarmBoard() {
           </button>
         </div>
 
+        {/* Budget & Errors */}
+        {(budgetNotice || swarmError) && (
+          <div className="space-y-3 mb-6">
+            <BudgetNotice notice={budgetNotice} onDismiss={() => setBudgetNotice(null)} />
+            {swarmError && (
+              <div className="flex items-center justify-between p-3 rounded-lg border border-red-700 bg-red-900 bg-opacity-30 text-sm text-red-200">
+                <span>{swarmError}</span>
+                <button onClick={() => setSwarmError(null)} className="opacity-70 hover:opacity-100">
+                  <SafeIcon icon={FiX} className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Active Swarm */}
         {activeSwarm && (
           <motion.div
@@ -489,12 +498,25 @@ export default function SwarmBoard() {
                         <p className="text-sm text-gray-300 mt-1">{task.description}</p>
                       </div>
                       <div className="flex space-x-1">
+                        {['pending', 'assigned', 'running'].includes(task.status) && (
+                          <button
+                            onClick={() => handleCancelTask(task.id)}
+                            className="p-1 rounded-lg bg-dark-600 hover:bg-dark-500 transition-colors"
+                            title="Cancel task"
+                          >
+                            <SafeIcon icon={FiX} className="w-3 h-3 text-gray-400" />
+                          </button>
+                        )}
                         <button className="p-1 rounded-lg bg-dark-600 hover:bg-dark-500 transition-colors">
                           <SafeIcon icon={FiEye} className="w-3 h-3 text-gray-400" />
                         </button>
                       </div>
                     </div>
                     
+                    {task.error && ['cancelled', 'timed_out'].includes(task.status) && (
+                      <p className="mt-1 text-xs text-gray-400">{task.error}</p>
+                    )}
+                    
                     {task.assignedAgents?.length > 0 && (
                       <div className="mt-2 flex items-center space-x-1 text-xs text-gray-400">
                         <SafeIcon icon={FiCpu} className="w-3 h-3" />
@@ -574,6 +596,13 @@ export default function SwarmBoard() {
                         </div>
                       )}
                       
+                      {(event.type === 'task:cancelled' || event.type === 'task:timed_out') && (
+                        <div>
+                          Task {event.taskId.slice(0, 8)} {event.type === 'task:cancelled' ? 'cancelled' : 'timed out'}
+                          {event.reason && <span className="text-gray-400">: {event.reason}</span>}
+                        </div>
+                      )}
+                      
                       {event.type === 'agent:message' && (
                         <div>
                           Message from {event.from.slice(0, 8)} to {event.to.slice(0, 8)}:
@@ -597,7 +626,7 @@ export default function SwarmBoard() {
                       )}
                       
                       {/* Generic handler for other events */}
-                      {!['swarm:memory_updated', 'task:assigned', 'task:completed', 'agent:message', 'swarm:broadcast'].includes(event.type) && (
+                      {!['swarm:memory_updated', 'task:assigned', 'task:completed', 'task:cancelled', 'task:timed_out', 'agent:message', 'swarm:broadcast'].includes(event.type) && (
                         <div className="text-xs font-mono bg-dark-800 p-2 rounded overflow-x-auto">
                           {JSON.stringify(event).slice(0, 150)}...
                         </div>
@@ -724,43 +753,44 @@ export default function SwarmBoard() {
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">
-                    Number of Agents
+                    Agents from Templates
                   </label>
-                  <div className="flex items-center space-x-4">
-                    <input
-                      type="range"
-                      min="2"
-                      max="10"
-                      value={newSwarm.agentCount}
-                      onChange={(e) => setNewSwarm(prev => ({ ...prev, agentCount: parseInt(e.target.value) }))}
-                      className="flex-1"
-                    />
-                    <span className="text-white font-medium">{newSwarm.agentCount}</span>
-                  </div>
-                </div>
-                
-                <div>
-                  <label className="block text-sm font-medium text-gray-300 mb-2">
-                    Agent Roles
-                  </label>
-                  <div className="grid grid-cols-2 gap-2 max-h-40 overflow-y-auto">
-                    {agentRoles.map(role => (
-                      <div
-                        key={role.id}
-                        className="bg-dark-700 rounded-lg p-2 flex items-center space-x-2"
-                      >
-                        <SafeIcon icon={role.icon} className="w-4 h-4 text-primary-400" />
-                        <div className="text-sm">
-                          <div className="font-medium text-white">{role.name}</div>
-                          <div className="text-xs text-gray-400">{role.description}</div>
+                  <div className="space-y-2 max-h-56 overflow-y-auto">
+                    {agentTemplates.map(template => {
+                      const count = newSwarm.roster[template.id] || 0;
+                      return (
+                        <div
+                          key={template.id}
+                          className={`bg-dark-700 rounded-lg p-2 flex items-center space-x-2 ${count ? '' : 'opacity-60'}`}
+                        >
+                          <span className="text-primary-400">{renderAgentRoleIcon(template.role)}</span>
+                          <div className="flex-1 min-w-0 text-sm">
+                            <div className="font-medium text-white truncate">{template.name}</div>
+                            <div className="text-xs text-gray-400 truncate">{template.description || template.capabilities.join(', ')}</div>
+                          </div>
+                          <button
+                            onClick={() => setRosterCount(template.id, count - 1)}
+                            disabled={!count}
+                            className="p-1 rounded hover:bg-dark-600 disabled:opacity-30 transition-colors"
+                          >
+                            <SafeIcon icon={FiMinus} className="w-3 h-3 text-gray-300" />
+                          </button>
+                          <span className="w-4 text-center text-white font-medium">{count}</span>
+                          <button
+                            onClick={() => setRosterCount(template.id, count + 1)}
+                            className="p-1 rounded hover:bg-dark-600 transition-colors"
+                          >
+                            <SafeIcon icon={FiPlus} className="w-3 h-3 text-gray-300" />
+                          </button>
                         </div>
-                      </div>
-                    ))}
+                      );
+                    })}
                   </div>
                   <p className="text-xs text-gray-500 mt-2">
-                    Your swarm will include a balanced mix of these roles
+                    {rosterSize} agent{rosterSize === 1 ? '' : 's'} · manage templates from the Agent Dashboard
                   </p>
                 </div>
+                {swarmError && <p className="text-sm text-red-400">{swarmError}</p>}
               </div>
               <div className="flex justify-end space-x-3 mt-6">
                 <button
@@ -771,7 +801,8 @@ export default function SwarmBoard() {
                 </button>
                 <button
                   onClick={handleCreateSwarm}
-                  className="px-4 py-2 bg-primary-600 hover:bg-primary-700 rounded-lg transition-colors"
+                  disabled={!newSwarm.name.trim() || rosterSize === 0}
+                  className="px-4 py-2 bg-primary-600 hover:bg-primary-700 disabled:opacity-50 rounded-lg transition-colors"
                 >
                   Create Swarm
                 </button>
@@ -794,7 +825,7 @@ export default function SwarmBoard() {
               initial={{ scale: 0.9, opacity: 0 }}
               animate={{ scale: 1, opacity: 1 }}
               exit={{ scale: 0.9, opacity: 0 }}
-              className="bg-dark-800 rounded-lg p-6 w-full max-w-md border border-dark-700"
+              className="bg-dark-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto border border-dark-700"
             >
               <h3 className="text-xl font-semibold text-white mb-4">Create New Task</h3>
               <div className="space-y-4">
@@ -804,15 +835,18 @@ export default function SwarmBoard() {
                   </label>
                   <select
                     value={newTask.type}
-                    onChange={(e) => setNewTask(prev => ({ ...prev, type: e.target.value }))}
+                    onChange={(e) => setNewTask(prev => ({ ...prev, type: e.target.value, inputs: {} }))}
                     className="w-full p-3 bg-dark-700 border border-dark-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
                   >
                     {taskTypes.map(type => (
-                      <option key={type.id} value={type.id}>
+                      <option key={type.type} value={type.type}>
                         {type.name}
                       </option>
                     ))}
                   </select>
+                  {selectedTaskType?.description && (
+                    <p className="text-xs text-gray-400 mt-1">{selectedTaskType.description}</p>
+                  )}
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">
@@ -826,6 +860,47 @@ export default function SwarmBoard() {
                     placeholder="Describe what the swarm should accomplish"
                   />
                 </div>
+                {taskInputFields.map(([key, schema]) => (
+                  <div key={key}>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      {key}{selectedTaskType.inputSchema.required?.includes(key) && ' *'}
+                    </label>
+                    {schema.enum ? (
+                      <select
+                        value={newTask.inputs[key] ?? ''}
+                        onChange={(e) => handleTaskInputChange(key, schema, e.target.value)}
+                        className="w-full p-3 bg-dark-700 border border-dark-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      >
+                        <option value="">Default</option>
+                        {schema.enum.map(option => (
+                          <option key={option} value={option}>{option}</option>
+                        ))}
+                      </select>
+                    ) : schema.type === 'boolean' ? (
+                      <input
+                        type="checkbox"
+                        checked={!!newTask.inputs[key]}
+                        onChange={(e) => handleTaskInputChange(key, schema, e.target.checked)}
+                        className="rounded"
+                      />
+                    ) : schema.type === 'integer' || schema.type === 'number' ? (
+                      <input
+                        type="number"
+                        value={newTask.inputs[key] ?? ''}
+                        onChange={(e) => handleTaskInputChange(key, schema, e.target.value)}
+                        className="w-full p-3 bg-dark-700 border border-dark-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      />
+                    ) : (
+                      <textarea
+                        value={newTask.inputs[key] ?? ''}
+                        onChange={(e) => handleTaskInputChange(key, schema, e.target.value)}
+                        className="w-full p-3 bg-dark-700 border border-dark-600 rounded-lg font-mono text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                        rows={key === 'code' || key === 'data' ? 6 : 2}
+                        placeholder={schema.description}
+                      />
+                    )}
+                  </div>
+                ))}
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">
                     Priority (1-10)
@@ -0,0 +1,545 @@
+import React, {useState, useEffect, useRef} from 'react';
+import {motion, AnimatePresence} from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import conversationService from '../services/ConversationService';
+
+const {FiX, FiPlus, FiSave, FiTrash2, FiCopy, FiUpload, FiDownload, FiCpu, FiLock, FiUserPlus} = FiIcons;
+
+// Mirrors DEFAULT_PERMISSIONS on the server; a template without permissions gets these
+const DEFAULT_PERMISSIONS = {
+  sandbox: {languages: ['javascript', 'python', 'bash'], network: false},
+  github: {read: ['*'], write: []},
+  mcp: {tools: ['*']},
+  memory: {read: ['*'], write: ['*']}
+};
+
+const SANDBOX_LANGUAGES = ['javascript', 'python', 'bash'];
+
+const PATTERN_FIELDS = [
+  {field: 'githubRead', label: 'GitHub read', placeholder: 'owner/repo, owner/*'},
+  {field: 'githubWrite', label: 'GitHub write', placeholder: 'No repositories'},
+  {field: 'mcpTools', label: 'MCP tools', placeholder: 'No MCP tools'},
+  {field: 'memoryRead', label: 'Memory read keys', placeholder: 'No keys'},
+  {field: 'memoryWrite', label: 'Memory write keys', placeholder: 'notes.*, plan'}
+];
+
+const emptyTemplate = {
+  name: '',
+  description: '',
+  type: 'worker',
+  role: 'general',
+  capabilities: '',
+  tools: [],
+  model: '',
+  systemPrompt: '',
+  priority: 5,
+  maxConcurrentTasks: 1,
+  requestsPerMinute: '',
+  tags: '',
+  ...permissionsDraft(null)
+};
+
+const splitList = (text) => text.split(',').map(entry => entry.trim()).filter(Boolean);
+
+// Permission form fields; null permissions show the defaults, unticked
+function permissionsDraft(permissions) {
+  const {sandbox, github, mcp, memory} = permissions || DEFAULT_PERMISSIONS;
+  return {
+    customPermissions: !!permissions,
+    sandboxLanguages: sandbox.languages,
+    sandboxNetwork: sandbox.network,
+    githubRead: github.read.join(', '),
+    githubWrite: github.write.join(', '),
+    mcpTools: mcp.tools.join(', '),
+    memoryRead: memory.read.join(', '),
+    memoryWrite: memory.write.join(', ')
+  };
+}
+
+function permissionsFromDraft(draft) {
+  if (!draft.customPermissions) return null;
+  return {
+    sandbox: {languages: draft.sandboxLanguages, network: draft.sandboxNetwork},
+    github: {read: splitList(draft.githubRead), write: splitList(draft.githubWrite)},
+    mcp: {tools: splitList(draft.mcpTools)},
+    memory: {read: splitList(draft.memoryRead), write: splitList(draft.memoryWrite)}
+  };
+}
+
+// Form state for a template; lists are edited as comma-separated text
+function toDraft(template) {
+  return {
+    ...emptyTemplate,
+    ...template,
+    description: template.description || '',
+    model: template.model || '',
+    systemPrompt: template.systemPrompt || '',
+    capabilities: template.capabilities.join(', '),
+    tags: template.tags.join(', '),
+    requestsPerMinute: template.requestsPerMinute || '',
+    ...permissionsDraft(template.permissions)
+  };
+}
+
+function fromDraft(draft) {
+  return {
+    name: draft.name.trim(),
+    description: draft.description || null,
+    type: draft.type.trim() || 'worker',
+    role: draft.role.trim() || 'general',
+    capabilities: splitList(draft.capabilities),
+    tools: draft.tools,
+    model: draft.model.trim() || null,
+    systemPrompt: draft.systemPrompt.trim() || null,
+    priority: parseInt(draft.priority, 10) || 5,
+    maxConcurrentTasks: parseInt(draft.maxConcurrentTasks, 10) || 1,
+    requestsPerMinute: parseInt(draft.requestsPerMinute, 10) || null,
+    permissions: permissionsFromDraft(draft),
+    tags: splitList(draft.tags)
+  };
+}
+
+/**
+ * Gallery of agent templates: built-ins and the team's own, with an editor,
+ * JSON/YAML import and export, and one-click agent creation
+ */
+export default function TemplateGallery({isOpen, onClose, onAgentCreated}) {
+  const [templates, setTemplates] = useState([]);
+  const [tools, setTools] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [draft, setDraft] = useState(emptyTemplate);
+  const [tag, setTag] = useState('');
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const fileInput = useRef(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadTemplates();
+      conversationService.getTools().then(setTools).catch(err => console.error('Error loading tools:', err));
+    }
+  }, [isOpen]);
+
+  const loadTemplates = async () => {
+    try {
+      setTemplates(await conversationService.getAgentTemplates());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const selectTemplate = (template) => {
+    setSelected(template);
+    setDraft(template ? toDraft(template) : emptyTemplate);
+    setError(null);
+    setNotice(null);
+  };
+
+  // Built-ins are read-only; duplicating one starts an editable copy
+  const handleDuplicate = () => {
+    setSelected(null);
+    setDraft(prev => ({...prev, name: `${prev.name} (copy)`}));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const data = fromDraft(draft);
+      const saved = selected
+        ? await conversationService.updateAgentTemplate(selected.id, data)
+        : await conversationService.createAgentTemplate(data);
+      await loadTemplates();
+      selectTemplate(saved);
+      setNotice(`Saved version ${saved.version}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selected || !confirm(`Delete template "${selected.name}"?`)) return;
+    try {
+      await conversationService.deleteAgentTemplate(selected.id);
+      await loadTemplates();
+      selectTemplate(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCreateAgent = async () => {
+    try {
+      const agent = await conversationService.createAgentFromTemplate(selected.id);
+      onAgentCreated?.(agent);
+      setNotice(`Created agent ${agent.name}`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setError(null);
+    try {
+      const format = /\.ya?ml$/i.test(file.name) ? 'yaml' : /\.json$/i.test(file.name) ? 'json' : undefined;
+      const result = await conversationService.importAgentTemplates(await file.text(), format);
+      await loadTemplates();
+      setNotice(`Imported ${file.name}: ${result.created} created, ${result.updated} updated`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleTool = (name) => {
+    setDraft(prev => ({
+      ...prev,
+      tools: prev.tools.includes(name) ? prev.tools.filter(tool => tool !== name) : [...prev.tools, name]
+    }));
+  };
+
+  const toggleLanguage = (language) => {
+    setDraft(prev => ({
+      ...prev,
+      sandboxLanguages: prev.sandboxLanguages.includes(language)
+        ? prev.sandboxLanguages.filter(entry => entry !== language)
+        : [...prev.sandboxLanguages, language]
+    }));
+  };
+
+  const tags = [...new Set(templates.flatMap(template => template.tags))].sort();
+  const visible = templates.filter(template => !tag || template.tags.includes(tag));
+  const readOnly = !!selected?.builtin;
+  const inputClass = 'w-full p-2 bg-dark-700 border border-dark-600 rounded text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 disabled:opacity-60';
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{opacity: 0}}
+          animate={{opacity: 1}}
+          exit={{opacity: 0}}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{scale: 0.9, opacity: 0}}
+            animate={{scale: 1, opacity: 1}}
+            exit={{scale: 0.9, opacity: 0}}
+            className="bg-dark-800 rounded-lg border border-dark-700 w-full max-w-5xl h-[85vh] flex flex-col"
+          >
+            <div className="flex items-center justify-between p-4 border-b border-dark-700">
+              <h3 className="text-xl font-semibold text-white">Agent Templates</h3>
+              <div className="flex items-center space-x-2">
+                <input ref={fileInput} type="file" accept=".json,.yaml,.yml" onChange={handleImport} className="hidden" />
+                <button
+                  onClick={() => fileInput.current?.click()}
+                  className="flex items-center space-x-1 px-3 py-1.5 text-sm text-gray-300 bg-dark-700 hover:bg-dark-600 rounded transition-colors"
+                >
+                  <SafeIcon icon={FiUpload} className="w-4 h-4" />
+                  <span>Import</span>
+                </button>
+                {['json', 'yaml'].map(format => (
+                  <a
+                    key={format}
+                    href={conversationService.agentTemplatesExportUrl(format)}
+                    className="flex items-center space-x-1 px-3 py-1.5 text-sm text-gray-300 bg-dark-700 hover:bg-dark-600 rounded transition-colors"
+                    title="Export the team's templates"
+                  >
+                    <SafeIcon icon={FiDownload} className="w-4 h-4" />
+                    <span>{format.toUpperCase()}</span>
+                  </a>
+                ))}
+                <button onClick={onClose} className="p-1 rounded hover:bg-dark-700 transition-colors">
+                  <SafeIcon icon={FiX} className="w-5 h-5 text-gray-400" />
+                </button>
+              </div>
+            </div>
+
+            <div className="flex flex-1 min-h-0">
+              {/* Gallery */}
+              <div className="w-72 border-r border-dark-700 overflow-y-auto p-2 space-y-1">
+                <button
+                  onClick={() => selectTemplate(null)}
+                  className={`w-full flex items-center space-x-2 p-2 rounded text-sm transition-colors ${
+                    !selected ? 'bg-primary-600 text-white' : 'text-gray-300 hover:bg-dark-700'
+                  }`}
+                >
+                  <SafeIcon icon={FiPlus} className="w-4 h-4" />
+                  <span>New Template</span>
+                </button>
+                {tags.length > 0 && (
+                  <div className="flex flex-wrap gap-1 p-1">
+                    {['', ...tags].map(entry => (
+                      <button
+                        key={entry || 'all'}
+                        onClick={() => setTag(entry)}
+                        className={`px-2 py-0.5 text-xs rounded-full transition-colors ${
+                          tag === entry ? 'bg-primary-600 text-white' : 'bg-dark-700 text-gray-400 hover:text-white'
+                        }`}
+                      >
+                        {entry || 'all'}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {visible.map(template => (
+                  <button
+                    key={template.id}
+                    onClick={() => selectTemplate(template)}
+                    className={`w-full text-left p-2 rounded transition-colors ${
+                      selected?.id === template.id ? 'bg-dark-600' : 'hover:bg-dark-700'
+                    }`}
+                  >
+                    <div className="flex items-center space-x-2">
+                      <SafeIcon icon={template.builtin ? FiLock : FiCpu} className="w-4 h-4 text-primary-400 flex-shrink-0" />
+                      <span className="text-sm text-white truncate">{template.name}</span>
+                    </div>
+                    <div className="text-xs text-gray-400 mt-1 truncate">
+                      {template.builtin ? 'Built-in' : `v${template.version}`} · {template.capabilities.join(', ') || template.role}
+                    </div>
+                  </button>
+                ))}
+              </div>
+
+              {/* Editor */}
+              <div className="flex-1 flex flex-col p-4 space-y-3 overflow-y-auto">
+                {readOnly && (
+                  <p className="text-xs text-gray-400">Built-in templates are read-only. Duplicate one to adapt it.</p>
+                )}
+                <div className="grid grid-cols-2 gap-3">
+                  <input
+                    type="text"
+                    value={draft.name}
+                    disabled={readOnly}
+                    onChange={(e) => setDraft(prev => ({...prev, name: e.target.value}))}
+                    placeholder="Template name"
+                    className={inputClass}
+                  />
+                  <input
+                    type="text"
+                    value={draft.model}
+                    disabled={readOnly}
+                    onChange={(e) => setDraft(prev => ({...prev, model: e.target.value}))}
+                    placeholder="Model (default if empty)"
+                    className={inputClass}
+                  />
+                  <input
+                    type="text"
+                    value={draft.type}
+                    disabled={readOnly}
+                    onChange={(e) => setDraft(prev => ({...prev, type: e.target.value}))}
+                    placeholder="Type"
+                    className={inputClass}
+                  />
+                  <input
+                    type="text"
+                    value={draft.role}
+                    disabled={readOnly}
+                    onChange={(e) => setDraft(prev => ({...prev, role: e.target.value}))}
+                    placeholder="Role"
+                    className={inputClass}
+                  />
+                </div>
+                <input
+                  type="text"
+                  value={draft.description}
+                  disabled={readOnly}
+                  onChange={(e) => setDraft(prev => ({...prev, description: e.target.value}))}
+                  placeholder="Description"
+                  className={inputClass}
+                />
+                <input
+                  type="text"
+                  value={draft.capabilities}
+                  disabled={readOnly}
+                  onChange={(e) => setDraft(prev => ({...prev, capabilities: e.target.value}))}
+                  placeholder="Capabilities, comma separated"
+                  className={inputClass}
+                />
+                <div className="grid grid-cols-3 gap-3">
+                  <label className="text-xs text-gray-400">
+                    Priority
+                    <input
+                      type="number"
+                      min={1}
+                      max={10}
+                      value={draft.priority}
+                      disabled={readOnly}
+                      onChange={(e) => setDraft(prev => ({...prev, priority: e.target.value}))}
+                      className={`${inputClass} mt-1`}
+                    />
+                  </label>
+                  <label className="text-xs text-gray-400">
+                    Concurrent tasks
+                    <input
+                      type="number"
+                      min={1}
+                      value={draft.maxConcurrentTasks}
+                      disabled={readOnly}
+                      onChange={(e) => setDraft(prev => ({...prev, maxConcurrentTasks: e.target.value}))}
+                      className={`${inputClass} mt-1`}
+                    />
+                  </label>
+                  <label className="text-xs text-gray-400">
+                    LLM requests / min
+                    <input
+                      type="number"
+                      min={1}
+                      value={draft.requestsPerMinute}
+                      disabled={readOnly}
+                      onChange={(e) => setDraft(prev => ({...prev, requestsPerMinute: e.target.value}))}
+                      placeholder="No limit"
+                      className={`${inputClass} mt-1`}
+                    />
+                  </label>
+                </div>
+                <div>
+                  <div className="text-xs text-gray-400 mb-1">Tools</div>
+                  <div className="flex flex-wrap gap-2">
+                    {[...new Set([...tools.map(tool => tool.name), ...draft.tools])].map(name => (
+                      <label key={name} className="flex items-center space-x-1 px-2 py-1 bg-dark-700 rounded text-xs text-gray-300">
+                        <input
+                          type="checkbox"
+                          checked={draft.tools.includes(name)}
+                          disabled={readOnly}
+                          onChange={() => toggleTool(name)}
+                        />
+                        <span>{name}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div className="border border-dark-600 rounded p-3 space-y-2">
+                  <label className="flex items-center space-x-2 text-xs text-gray-400">
+                    <input
+                      type="checkbox"
+                      checked={draft.customPermissions}
+                      disabled={readOnly}
+                      onChange={(e) => setDraft(prev => ({...prev, customPermissions: e.target.checked}))}
+                    />
+                    <span>Custom permissions (otherwise the defaults below apply)</span>
+                  </label>
+                  <div className="flex flex-wrap items-center gap-2 text-xs text-gray-300">
+                    <span className="text-gray-400">Sandbox</span>
+                    {SANDBOX_LANGUAGES.map(language => (
+                      <label key={language} className="flex items-center space-x-1 px-2 py-1 bg-dark-700 rounded">
+                        <input
+                          type="checkbox"
+                          checked={draft.sandboxLanguages.includes(language)}
+                          disabled={readOnly || !draft.customPermissions}
+                          onChange={() => toggleLanguage(language)}
+                        />
+                        <span>{language}</span>
+                      </label>
+                    ))}
+                    <label className="flex items-center space-x-1 px-2 py-1 bg-dark-700 rounded">
+                      <input
+                        type="checkbox"
+                        checked={draft.sandboxNetwork}
+                        disabled={readOnly || !draft.customPermissions}
+                        onChange={(e) => setDraft(prev => ({...prev, sandboxNetwork: e.target.checked}))}
+                      />
+                      <span>network</span>
+                    </label>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    {PATTERN_FIELDS.map(({field, label, placeholder}) => (
+                      <label key={field} className="text-xs text-gray-400">
+                        {label}
+                        <input
+                          type="text"
+                          value={draft[field]}
+                          disabled={readOnly || !draft.customPermissions}
+                          onChange={(e) => setDraft(prev => ({...prev, [field]: e.target.value}))}
+                          placeholder={placeholder}
+                          className={`${inputClass} mt-1`}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <textarea
+                  value={draft.systemPrompt}
+                  disabled={readOnly}
+                  onChange={(e) => setDraft(prev => ({...prev, systemPrompt: e.target.value}))}
+                  placeholder="Instructions added to the agent's system prompt"
+                  className={`${inputClass} flex-1 min-h-[140px] font-mono resize-none`}
+                />
+                <input
+                  type="text"
+                  value={draft.tags}
+                  disabled={readOnly}
+                  onChange={(e) => setDraft(prev => ({...prev, tags: e.target.value}))}
+                  placeholder="Tags, comma separated"
+                  className={inputClass}
+                />
+
+                {error && <p className="text-sm text-red-400">{error}</p>}
+                {notice && !error && <p className="text-sm text-green-400">{notice}</p>}
+
+                <div className="flex justify-between">
+                  <div className="flex items-center space-x-2">
+                    {selected && !readOnly && (
+                      <button
+                        onClick={handleDelete}
+                        className="flex items-center space-x-1 px-3 py-2 text-sm text-red-400 hover:text-red-300 transition-colors"
+                      >
+                        <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                        <span>Delete</span>
+                      </button>
+                    )}
+                    {selected && (
+                      <>
+                        <button
+                          onClick={handleDuplicate}
+                          className="flex items-center space-x-1 px-3 py-2 text-sm text-gray-300 hover:text-white transition-colors"
+                        >
+                          <SafeIcon icon={FiCopy} className="w-4 h-4" />
+                          <span>Duplicate</span>
+                        </button>
+                        <a
+                          href={conversationService.agentTemplatesExportUrl('yaml', [selected.id])}
+                          className="flex items-center space-x-1 px-3 py-2 text-sm text-gray-300 hover:text-white transition-colors"
+                        >
+                          <SafeIcon icon={FiDownload} className="w-4 h-4" />
+                          <span>Export</span>
+                        </a>
+                      </>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {selected && (
+                      <button
+                        onClick={handleCreateAgent}
+                        className="flex items-center space-x-1 px-4 py-2 bg-dark-700 hover:bg-dark-600 rounded-lg text-white text-sm transition-colors"
+                      >
+                        <SafeIcon icon={FiUserPlus} className="w-4 h-4" />
+                        <span>Create Agent</span>
+                      </button>
+                    )}
+                    {!readOnly && (
+                      <button
+                        onClick={handleSave}
+                        disabled={isSaving || !draft.name.trim()}
+                        className="flex items-center space-x-1 px-4 py-2 bg-primary-600 hover:bg-primary-700 disabled:opacity-50 rounded-lg text-white text-sm transition-colors"
+                      >
+                        <SafeIcon icon={FiSave} className="w-4 h-4" />
+                        <span>{selected ? 'Save New Version' : 'Create Template'}</span>
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
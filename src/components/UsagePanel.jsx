@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import conversationService from '../services/ConversationService';
+
+const { FiBarChart2, FiRefreshCw } = FiIcons;
+
+const RANGES = [
+  { value: 'day', label: 'Last 30 days', days: 30 },
+  { value: 'week', label: 'Last 12 weeks', days: 84 },
+  { value: 'month', label: 'Last 12 months', days: 365 }
+];
+
+const formatCost = (cost) => `$${(cost || 0).toFixed(cost >= 1 ? 2 : 4)}`;
+const formatTokens = (tokens) => (tokens || 0).toLocaleString();
+
+export default function UsagePanel({ organizationId }) {
+  const [bucket, setBucket] = useState('day');
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadUsage = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const range = RANGES.find(r => r.value === bucket);
+      const from = new Date(Date.now() - range.days * 24 * 60 * 60 * 1000).toISOString();
+      setUsage(await conversationService.getUsage({ organizationId, bucket, from }));
+    } catch (err) {
+      console.error('Error loading usage:', err);
+      setError('Failed to load usage');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadUsage();
+  }, [bucket, organizationId]);
+
+  const totals = usage?.totals;
+  const maxBucketCost = Math.max(...(usage?.buckets || []).map(b => b.cost), 0);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-dark-800 border border-dark-700 rounded-lg p-6"
+    >
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center space-x-3">
+          <SafeIcon icon={FiBarChart2} className="w-5 h-5 text-primary-500" />
+          <h2 className="text-xl font-semibold text-white">Usage & Cost</h2>
+        </div>
+        <div className="flex items-center space-x-2">
+          <select
+            value={bucket}
+            onChange={(e) => setBucket(e.target.value)}
+            className="p-2 bg-dark-700 border border-dark-600 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            {RANGES.map(range => (
+              <option key={range.value} value={range.value}>{range.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={loadUsage}
+            disabled={loading}
+            className="p-2 bg-dark-700 hover:bg-dark-600 border border-dark-600 rounded-lg transition-colors"
+          >
+            <SafeIcon icon={FiRefreshCw} className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+
+      {totals && (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {[
+              { label: 'Requests', value: formatTokens(totals.requests) },
+              { label: 'Tokens', value: formatTokens(totals.totalTokens) },
+              { label: 'Cost', value: formatCost(totals.cost) },
+              { label: 'Avg Latency', value: `${totals.requests ? Math.round(totals.latencyMs / totals.requests) : 0}ms` },
+              { label: 'Cache Hits', value: formatTokens(totals.cacheHits || 0) }
+            ].map(stat => (
+              <div key={stat.label} className="bg-dark-700 rounded-lg p-4">
+                <p className="text-xs text-gray-400">{stat.label}</p>
+                <p className="text-lg font-semibold text-white">{stat.value}</p>
+              </div>
+            ))}
+          </div>
+
+          {usage.buckets.length > 0 ? (
+            <div>
+              <h3 className="text-sm font-medium text-gray-300 mb-2">Cost over time</h3>
+              <div className="flex items-end space-x-1 h-32">
+                {usage.buckets.map(b => (
+                  <div
+                    key={b.start}
+                    title={`${new Date(b.start).toLocaleDateString()}: ${formatCost(b.cost)} · ${formatTokens(b.totalTokens)} tokens`}
+                    className="flex-1 bg-primary-600 hover:bg-primary-500 rounded-t"
+                    style={{ height: `${maxBucketCost ? Math.max((b.cost / maxBucketCost) * 100, 2) : 2}%` }}
+                  />
+                ))}
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No LLM usage recorded in this period.</p>
+          )}
+
+          {[
+            { title: 'By model', rows: usage.byModel, key: 'model' },
+            { title: 'By operation', rows: usage.byOperation, key: 'operation' }
+          ].filter(table => table.rows.length > 0).map(table => (
+            <div key={table.title}>
+              <h3 className="text-sm font-medium text-gray-300 mb-2">{table.title}</h3>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500">
+                    <th className="py-1 font-normal">{table.key}</th>
+                    <th className="py-1 font-normal text-right">Requests</th>
+                    <th className="py-1 font-normal text-right">Prompt</th>
+                    <th className="py-1 font-normal text-right">Completion</th>
+                    <th className="py-1 font-normal text-right">Reasoning</th>
+                    <th className="py-1 font-normal text-right">Cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {table.rows.map(row => (
+                    <tr key={row[table.key]} className="border-t border-dark-700 text-gray-300">
+                      <td className="py-1 font-mono text-xs">{row[table.key]}</td>
+                      <td className="py-1 text-right">{formatTokens(row.requests)}</td>
+                      <td className="py-1 text-right">{formatTokens(row.promptTokens)}</td>
+                      <td className="py-1 text-right">{formatTokens(row.completionTokens)}</td>
+                      <td className="py-1 text-right">{formatTokens(row.reasoningTokens)}</td>
+                      <td className="py-1 text-right">{formatCost(row.cost)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      )}
+    </motion.div>
+  );
+}
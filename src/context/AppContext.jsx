@@ -12,6 +12,7 @@ const initialState = {
     theme: 'dark',
     autoSave: true,
     codeCompletion: true,
+    showReasoning: true,
     llmProvider: 'requesty',
     apiKey: '',
     githubToken: '',
@@ -24,6 +25,40 @@ const initialState = {
   error: null
 };
 
+// Apply an update to a streamed assistant message, creating it on first use
+function updateStreamingMessage(chatHistory, id, agent, update) {
+  if (!chatHistory.some(m => m.id === id)) {
+    return [...chatHistory, update({
+      id,
+      type: 'assistant',
+      content: '',
+      reasoning: '',
+      timestamp: new Date(),
+      agent,
+      streaming: true
+    })];
+  }
+  return chatHistory.map(m => m.id === id ? update(m) : m);
+}
+
+// Fold a tool-call / tool-result socket event into a message's tool call list
+export function applyToolEvent(toolCalls, event) {
+  if (event.type === 'tool-call') {
+    return [...toolCalls, {
+      id: event.id,
+      name: event.name,
+      arguments: event.arguments,
+      status: 'running'
+    }];
+  }
+  return toolCalls.map(call => call.id === event.id ? {
+    ...call,
+    status: event.error ? 'error' : 'completed',
+    result: event.result,
+    error: event.error
+  } : call);
+}
+
 function appReducer(state, action) {
   switch (action.type) {
     case 'SET_USER':
@@ -52,10 +87,40 @@ function appReducer(state, action) {
       return { ...state, activeAgent: action.payload };
     case 'ADD_AGENT':
       return { ...state, agents: [...state.agents, action.payload] };
+    case 'UPDATE_AGENT':
+      return {
+        ...state,
+        agents: state.agents.map(a =>
+          a.id === action.payload.id ? { ...a, ...action.payload.updates } : a
+        )
+      };
     case 'UPDATE_SETTINGS':
       return { ...state, settings: { ...state.settings, ...action.payload } };
     case 'ADD_CHAT_MESSAGE':
       return { ...state, chatHistory: [...state.chatHistory, action.payload] };
+    case 'APPEND_CHAT_DELTA':
+      return {
+        ...state,
+        chatHistory: updateStreamingMessage(state.chatHistory, action.payload.id, action.payload.agent, m => ({
+          ...m,
+          [action.payload.field]: (m[action.payload.field] || '') + action.payload.delta
+        }))
+      };
+    case 'RECORD_CHAT_TOOL_EVENT':
+      return {
+        ...state,
+        chatHistory: updateStreamingMessage(state.chatHistory, action.payload.id, action.payload.agent, m => ({
+          ...m,
+          toolCalls: applyToolEvent(m.toolCalls || [], action.payload.event)
+        }))
+      };
+    case 'UPDATE_CHAT_MESSAGE':
+      return {
+        ...state,
+        chatHistory: state.chatHistory.map(m =>
+          m.id === action.payload.id ? { ...m, ...action.payload.updates } : m
+        )
+      };
     case 'SET_CHAT_HISTORY':
       return { ...state, chatHistory: action.payload };
     case 'SET_LOADING':
@@ -98,8 +163,12 @@ export function AppProvider({ children }) {
     setAgents: (agents) => dispatch({ type: 'SET_AGENTS', payload: agents }),
     setActiveAgent: (agent) => dispatch({ type: 'SET_ACTIVE_AGENT', payload: agent }),
     addAgent: (agent) => dispatch({ type: 'ADD_AGENT', payload: agent }),
+    updateAgent: (id, updates) => dispatch({ type: 'UPDATE_AGENT', payload: { id, updates } }),
     updateSettings: (settings) => dispatch({ type: 'UPDATE_SETTINGS', payload: settings }),
     addChatMessage: (message) => dispatch({ type: 'ADD_CHAT_MESSAGE', payload: message }),
+    appendChatDelta: (id, field, delta, agent) => dispatch({ type: 'APPEND_CHAT_DELTA', payload: { id, field, delta, agent } }),
+    recordChatToolEvent: (id, event, agent) => dispatch({ type: 'RECORD_CHAT_TOOL_EVENT', payload: { id, event, agent } }),
+    updateChatMessage: (id, updates) => dispatch({ type: 'UPDATE_CHAT_MESSAGE', payload: { id, updates } }),
     setChatHistory: (history) => dispatch({ type: 'SET_CHAT_HISTORY', payload: history }),
     setLoading: (loading) => dispatch({ type: 'SET_LOADING', payload: loading }),
     setError: (error) => dispatch({ type: 'SET_ERROR', payload: error }),
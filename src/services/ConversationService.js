@@ -52,7 +52,7 @@ class ConversationService {
   }
 
   // Messages
-  async addMessage(conversationId, content, role = 'user') {
+  async addMessage(conversationId, content, role = 'user', metadata) {
     const response = await fetch(`${this.baseUrl}/messages`, {
       method: 'POST',
       headers: {
@@ -62,6 +62,7 @@ class ConversationService {
         conversationId,
         content,
         role,
+        metadata,
       }),
     });
     if (!response.ok) throw new Error('Failed to add message');
@@ -74,6 +75,250 @@ class ConversationService {
     return response.json();
   }
 
+  // Rolling summary
+  async getSummary(conversationId) {
+    const response = await fetch(`${this.baseUrl}/conversations/${conversationId}/summary`);
+    if (!response.ok) throw new Error('Failed to fetch summary');
+    return response.json();
+  }
+
+  async updateSummary(conversationId, content) {
+    const response = await fetch(`${this.baseUrl}/conversations/${conversationId}/summary`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ content }),
+    });
+    if (!response.ok) throw new Error('Failed to update summary');
+    return response.json();
+  }
+
+  async refreshSummary(conversationId) {
+    const response = await fetch(`${this.baseUrl}/conversations/${conversationId}/summary/refresh`, {
+      method: 'POST',
+    });
+    if (!response.ok) throw new Error('Failed to refresh summary');
+    return response.json();
+  }
+
+  async setConversationPrompt(conversationId, promptId) {
+    const response = await fetch(`${this.baseUrl}/conversations/${conversationId}/prompt`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ promptId }),
+    });
+    if (!response.ok) throw new Error('Failed to set conversation prompt');
+    return response.json();
+  }
+
+  // Prompt Templates
+  async getPrompts(organizationId) {
+    const response = await fetch(`${this.baseUrl}/prompts?organizationId=${organizationId}`);
+    if (!response.ok) throw new Error('Failed to fetch prompts');
+    return response.json();
+  }
+
+  async getBuiltinPrompts() {
+    const response = await fetch(`${this.baseUrl}/prompts/builtin`);
+    if (!response.ok) throw new Error('Failed to fetch built-in prompts');
+    return response.json();
+  }
+
+  async createPrompt(data) {
+    const response = await fetch(`${this.baseUrl}/prompts`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(data),
+    });
+    if (!response.ok) throw new Error((await response.json()).error || 'Failed to create prompt');
+    return response.json();
+  }
+
+  async updatePrompt(id, updates) {
+    const response = await fetch(`${this.baseUrl}/prompts/${id}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(updates),
+    });
+    if (!response.ok) throw new Error((await response.json()).error || 'Failed to update prompt');
+    return response.json();
+  }
+
+  async deletePrompt(id) {
+    const response = await fetch(`${this.baseUrl}/prompts/${id}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) throw new Error('Failed to delete prompt');
+    return response.json();
+  }
+
+  async getPromptVersions(id) {
+    const response = await fetch(`${this.baseUrl}/prompts/${id}/versions`);
+    if (!response.ok) throw new Error('Failed to fetch prompt versions');
+    return response.json();
+  }
+
+  // Agents
+  async getAgents() {
+    const response = await fetch(`${this.baseUrl}/agents`);
+    if (!response.ok) throw new Error('Failed to fetch agents');
+    return response.json();
+  }
+
+  async createAgent(data) {
+    const response = await fetch(`${this.baseUrl}/agents`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(data),
+    });
+    if (!response.ok) throw new Error((await response.json()).error || 'Failed to create agent');
+    return response.json();
+  }
+
+  // Agent inbox threads
+  async getAgentMessages(agentId) {
+    const response = await fetch(`${this.baseUrl}/agents/${agentId}/messages`);
+    if (!response.ok) throw new Error('Failed to fetch agent messages');
+    return response.json();
+  }
+
+  async sendAgentMessage(agentId, { content, kind = 'message', threadId } = {}) {
+    const response = await fetch(`${this.baseUrl}/agents/${agentId}/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ content, kind, threadId }),
+    });
+    if (!response.ok) throw new Error((await response.json()).error || 'Failed to send message');
+    return response.json();
+  }
+
+  // Agent templates
+  async getAgentTemplates(organizationId = 'default-org') {
+    const response = await fetch(`${this.baseUrl}/agent-templates?organizationId=${organizationId}`);
+    if (!response.ok) throw new Error('Failed to fetch agent templates');
+    return response.json();
+  }
+
+  async createAgentTemplate(data) {
+    const response = await fetch(`${this.baseUrl}/agent-templates`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(data),
+    });
+    if (!response.ok) throw new Error((await response.json()).error || 'Failed to create agent template');
+    return response.json();
+  }
+
+  async updateAgentTemplate(id, updates) {
+    const response = await fetch(`${this.baseUrl}/agent-templates/${id}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(updates),
+    });
+    if (!response.ok) throw new Error((await response.json()).error || 'Failed to update agent template');
+    return response.json();
+  }
+
+  async deleteAgentTemplate(id) {
+    const response = await fetch(`${this.baseUrl}/agent-templates/${id}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) throw new Error((await response.json()).error || 'Failed to delete agent template');
+    return response.json();
+  }
+
+  // content is the text of a JSON or YAML template file
+  async importAgentTemplates(content, format) {
+    const response = await fetch(`${this.baseUrl}/agent-templates/import`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ content, format }),
+    });
+    if (!response.ok) throw new Error((await response.json()).error || 'Failed to import agent templates');
+    return response.json();
+  }
+
+  // Download link for templates as JSON or YAML; all organization templates without ids
+  agentTemplatesExportUrl(format = 'json', ids = null) {
+    const params = new URLSearchParams({ format });
+    if (ids?.length) params.set('ids', ids.join(','));
+    return `${this.baseUrl}/agent-templates/export?${params}`;
+  }
+
+  async createAgentFromTemplate(templateId, data = {}) {
+    const response = await fetch(`${this.baseUrl}/agent-templates/${templateId}/agents`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(data),
+    });
+    if (!response.ok) throw new Error((await response.json()).error || 'Failed to create agent');
+    return response.json();
+  }
+
+  // Agent and template performance
+  async getAgentMetrics(agentId, { bucket = 'day', from, to } = {}) {
+    return this.fetchMetrics(`agents/${agentId}`, { bucket, from, to });
+  }
+
+  async getTemplateMetrics(templateId, { bucket = 'day', from, to } = {}) {
+    return this.fetchMetrics(`agent-templates/${encodeURIComponent(templateId)}`, { bucket, from, to });
+  }
+
+  async fetchMetrics(path, { bucket, from, to }) {
+    const params = new URLSearchParams({ bucket });
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+
+    const response = await fetch(`${this.baseUrl}/${path}/metrics?${params}`);
+    if (!response.ok) throw new Error('Failed to fetch metrics');
+    return response.json();
+  }
+
+  async rateTask(taskId, rating, comment) {
+    const response = await fetch(`${this.baseUrl}/tasks/${taskId}/rating`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ rating, comment }),
+    });
+    if (!response.ok) throw new Error((await response.json()).error || 'Failed to rate task');
+    return response.json();
+  }
+
+  // Tools the LLM can call
+  async getTools() {
+    const response = await fetch(`${this.baseUrl}/tools`);
+    if (!response.ok) throw new Error('Failed to fetch tools');
+    return response.json();
+  }
+
+  // Agent task types
+  async getTaskTypes() {
+    const response = await fetch(`${this.baseUrl}/task-types`);
+    if (!response.ok) throw new Error('Failed to fetch task types');
+    return response.json();
+  }
+
   // Artifacts
   async createArtifact(data) {
     const response = await fetch(`${this.baseUrl}/artifacts`, {
@@ -175,6 +420,19 @@ class ConversationService {
     if (!response.ok) throw new Error('Failed to fetch activity logs');
     return response.json();
   }
+
+  // LLM Usage
+  async getUsage({ organizationId, conversationId, bucket = 'day', from, to } = {}) {
+    const params = new URLSearchParams({ bucket });
+    if (organizationId) params.append('organizationId', organizationId);
+    if (conversationId) params.append('conversationId', conversationId);
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+
+    const response = await fetch(`${this.baseUrl}/usage?${params}`);
+    if (!response.ok) throw new Error('Failed to fetch usage');
+    return response.json();
+  }
 }
 
 export default new ConversationService();
\ No newline at end of file